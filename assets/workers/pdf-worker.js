@@ -1,16 +1,34 @@
 /**
  * PDF Worker
- * 在后台线程中处理 PDF 解析任务
+ * 在后台线程中处理 PDF 解析任务，复用 PdfConverter 的解析逻辑
+ * 需要主线程参与的步骤（输入密码、扫描页 OCR）通过消息请求主线程完成
  */
 
-// 导入 PDF.js
+// PdfConverter 及其检测器通过 window 导出
+self.window = self;
+
+// 导入 PDF.js（同时导入 pdf.worker，使 pdf.js 在本线程内解析）
 importScripts('https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/build/pdf.min.js');
 importScripts('https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/build/pdf.worker.min.js');
 
+// 导入解析模块
+importScripts(
+  '../../utils/cancel-utils.js',
+  '../../utils/file-utils.js',
+  '../../utils/asset-utils.js',
+  '../../utils/pdf-table-detector.js',
+  '../../utils/pdf-layout-analyzer.js',
+  '../../utils/pdf-header-footer-detector.js',
+  '../../utils/pdf-heading-detector.js',
+  '../../modules/pdf-converter.js'
+);
+
 class PDFWorker {
   constructor() {
-    this.pdfjsLib = null;
+    this.converter = null;
     this.isInitialized = false;
+    this.pendingRequest = null;
+    this.password = null;
   }
 
   /**
@@ -20,15 +38,12 @@ class PDFWorker {
     if (this.isInitialized) return;
 
     try {
-      this.pdfjsLib = pdfjsLib;
-      
-      // 设置 Worker
-      if (this.pdfjsLib.GlobalWorkerOptions) {
-        this.pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/build/pdf.worker.min.js';
-      }
+      this.converter = new PdfConverter();
+      this.converter.workerSrc = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/build/pdf.worker.min.js';
+      await this.converter.init();
 
       this.isInitialized = true;
-      
+
       this.postMessage({
         type: 'init-complete',
         success: true
@@ -42,234 +57,111 @@ class PDFWorker {
   }
 
   /**
-   * 解析 PDF 文件
+   * 解析 PDF 文件，每页解析完成后发送 page-processed
+   * @param {ArrayBuffer} arrayBuffer - 文件内容
+   * @param {string} fileName - 文件名
+   * @param {Object} options - 转换选项（见 PdfConverter.convertPdfToMarkdown）
+   * @param {boolean} canPromptPassword - 主线程能否询问密码，不能时加密文档直接报错
    */
-  async parsePdf(arrayBuffer, options = {}) {
+  async parsePdf(arrayBuffer, fileName, options = {}, canPromptPassword = false) {
     if (!this.isInitialized) {
       await this.init();
     }
 
+    this.converter.cancelled = false;
+    this.converter.stopRequested = false;
+    this.password = null;
+
     try {
-      // 加载 PDF 文档
-      const pdf = await this.pdfjsLib.getDocument({
-        data: arrayBuffer,
-        cMapUrl: 'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/cmaps/',
-        cMapPacked: true
-      }).promise;
+      const result = await this.converter.convertArrayBuffer(arrayBuffer, fileName, (progress) => {
+        this.postMessage({ type: 'progress', progress });
+      }, {
+        ...options,
+        onPassword: canPromptPassword ? (request) => this.requestPassword(request) : null
+      }, {
+        onPageProcessed: async (pageInfo) => {
+          this.postMessage({
+            type: 'page-processed',
+            pageNumber: pageInfo.pageNumber,
+            totalPages: pageInfo.count,
+            progress: 20 + ((pageInfo.index + 1) / pageInfo.count) * 70,
+            pageInfo: pageInfo
+          });
 
-      this.postMessage({
-        type: 'pdf-loaded',
-        totalPages: pdf.numPages
+          // 本线程内的 pdf.js 解析不经过消息队列，每页让出一次事件循环以便接收 cancel 消息
+          await new Promise(resolve => setTimeout(resolve, 0));
+        },
+        recognizePages: (pageNumbers) => this.request('ocr-required', { pageNumbers, password: this.password })
       });
 
-      const pages = [];
-      const totalPages = pdf.numPages;
-
-      // 处理每一页
-      for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
-        const page = await pdf.getPage(pageNum);
-        
-        // 提取文本内容
-        const textContent = await this.extractTextFromPage(page);
-        
-        // 提取页面信息
-        const pageInfo = {
-          pageNumber: pageNum,
-          text: textContent.raw,
-          items: textContent.items,
-          lines: textContent.lines,
-          structured: textContent.structured
-        };
-
-        pages.push(pageInfo);
-
-        // 发送进度更新
-        this.postMessage({
-          type: 'page-processed',
-          pageNumber: pageNum,
-          totalPages: totalPages,
-          progress: (pageNum / totalPages) * 100,
-          pageInfo: pageInfo
-        });
-      }
-
-      // 提取元数据
-      const metadata = await this.extractMetadata(pdf);
-
       this.postMessage({
         type: 'parsing-complete',
-        result: {
-          pages: pages,
-          totalPages: totalPages,
-          metadata: metadata
-        }
+        result: result
       });
 
     } catch (error) {
+      if (CancelUtils.isCancelError(error)) {
+        this.postMessage({ type: 'parsing-cancelled' });
+        return;
+      }
+
       this.postMessage({
         type: 'parsing-error',
-        error: error.message
+        error: error.message,
+        name: error.name
       });
     }
   }
 
   /**
-   * 从页面提取文本内容
+   * 请求主线程输入密码
+   * @param {Object} request - { fileName, incorrect }
+   * @returns {Promise<string|null>} 密码，取消时为 null
    */
-  async extractTextFromPage(page) {
-    try {
-      const textContent = await page.getTextContent();
-      const viewport = page.getViewport({ scale: 1.0 });
-
-      // 按位置组织文本项
-      const textItems = textContent.items.map(item => ({
-        text: item.str,
-        x: item.transform[4],
-        y: viewport.height - item.transform[5],
-        width: item.width,
-        height: item.height,
-        fontSize: item.height,
-        fontName: item.fontName
-      }));
-
-      // 按行分组文本
-      const lines = this.groupTextIntoLines(textItems);
-      
-      // 检测结构
-      const structuredContent = this.detectStructure(lines);
-
-      return {
-        raw: textContent.items.map(item => item.str).join(' '),
-        items: textItems,
-        lines: lines,
-        structured: structuredContent
-      };
-
-    } catch (error) {
-      console.error('提取页面文本失败:', error);
-      return {
-        raw: '',
-        items: [],
-        lines: [],
-        structured: []
-      };
-    }
+  async requestPassword(request) {
+    const { password } = await this.request('password-required', request);
+    this.password = password;
+    return password;
   }
 
   /**
-   * 将文本项按行分组
+   * 向主线程发送请求并等待回复（password-required -> password，ocr-required -> ocr-result）
+   * @param {string} type - 请求类型
+   * @param {Object} data - 请求数据
+   * @returns {Promise<Object>} 回复消息
    */
-  groupTextIntoLines(textItems) {
-    if (textItems.length === 0) return [];
-
-    const sortedItems = textItems.sort((a, b) => a.y - b.y);
-    const lines = [];
-    let currentLine = [sortedItems[0]];
-    let currentY = sortedItems[0].y;
-
-    for (let i = 1; i < sortedItems.length; i++) {
-      const item = sortedItems[i];
-      
-      if (Math.abs(item.y - currentY) < item.fontSize / 2) {
-        currentLine.push(item);
-      } else {
-        if (currentLine.length > 0) {
-          currentLine.sort((a, b) => a.x - b.x);
-          lines.push({
-            y: currentY,
-            items: currentLine,
-            text: currentLine.map(item => item.text).join(' ').trim(),
-            fontSize: Math.max(...currentLine.map(item => item.fontSize))
-          });
-        }
-        currentLine = [item];
-        currentY = item.y;
-      }
-    }
-
-    if (currentLine.length > 0) {
-      currentLine.sort((a, b) => a.x - b.x);
-      lines.push({
-        y: currentY,
-        items: currentLine,
-        text: currentLine.map(item => item.text).join(' ').trim(),
-        fontSize: Math.max(...currentLine.map(item => item.fontSize))
-      });
-    }
-
-    return lines;
+  request(type, data) {
+    return new Promise((resolve) => {
+      this.pendingRequest = resolve;
+      this.postMessage({ type, ...data });
+    });
   }
 
   /**
-   * 检测文本结构
+   * 处理主线程的回复
+   * @param {Object} message - 回复消息
    */
-  detectStructure(lines) {
-    if (lines.length === 0) return [];
-
-    const structured = [];
-    const avgFontSize = lines.reduce((sum, line) => sum + line.fontSize, 0) / lines.length;
-
-    for (const line of lines) {
-      const text = line.text.trim();
-      if (!text) continue;
-
-      let type = 'paragraph';
-      let level = 0;
-
-      // 检测标题
-      if (line.fontSize > avgFontSize * 1.2) {
-        type = 'heading';
-        if (line.fontSize > avgFontSize * 1.5) {
-          level = 1;
-        } else {
-          level = 2;
-        }
-      }
-
-      // 检测列表项
-      if (/^[\s]*[•\-\*\d+\.]\s/.test(text)) {
-        type = 'list';
-      }
-
-      // 检测表格
-      if (text.includes('\t') || /\s{3,}/.test(text)) {
-        type = 'table';
-      }
+  resolveRequest(message) {
+    const resolve = this.pendingRequest;
+    this.pendingRequest = null;
+    if (resolve) resolve(message);
+  }
 
-      structured.push({
-        type,
-        level,
-        text,
-        fontSize: line.fontSize,
-        y: line.y
-      });
-    }
+  /**
+   * 取消解析：当前页处理完后停止；等待中的请求按取消处理
+   */
+  cancel() {
+    if (!this.converter) return;
 
-    return structured;
+    this.converter.cancel();
+    this.resolveRequest({ password: null, texts: [], log: [] });
   }
 
   /**
-   * 提取 PDF 元数据
+   * 停止解析并保留已解析的页面
    */
-  async extractMetadata(pdf) {
-    try {
-      const metadata = await pdf.getMetadata();
-      return {
-        title: metadata.info?.Title || '',
-        author: metadata.info?.Author || '',
-        subject: metadata.info?.Subject || '',
-        creator: metadata.info?.Creator || '',
-        producer: metadata.info?.Producer || '',
-        creationDate: metadata.info?.CreationDate || '',
-        modificationDate: metadata.info?.ModDate || '',
-        pages: pdf.numPages
-      };
-    } catch (error) {
-      console.warn('提取 PDF 元数据失败:', error);
-      return {
-        pages: pdf.numPages
-      };
-    }
+  stop() {
+    if (this.converter) this.converter.stop();
   }
 
   /**
@@ -284,6 +176,7 @@ class PDFWorker {
    */
   destroy() {
     this.isInitialized = false;
+    this.converter = null;
   }
 }
 
@@ -300,7 +193,20 @@ self.addEventListener('message', async (event) => {
       break;
 
     case 'parse-pdf':
-      await pdfWorker.parsePdf(data.arrayBuffer, data.options);
+      await pdfWorker.parsePdf(data.arrayBuffer, data.fileName, data.options, data.canPromptPassword);
+      break;
+
+    case 'password':
+    case 'ocr-result':
+      pdfWorker.resolveRequest(event.data);
+      break;
+
+    case 'cancel':
+      pdfWorker.cancel();
+      break;
+
+    case 'stop':
+      pdfWorker.stop();
       break;
 
     case 'destroy':
@@ -329,4 +235,4 @@ self.addEventListener('unhandledrejection', (event) => {
     type: 'worker-error',
     error: event.reason.message || 'Unhandled promise rejection'
   });
-});
\ No newline at end of file
+});
@@ -14,6 +14,7 @@ class AppState {
     this.messageQueue = [];
     this.currentFiles = [];
     this.conversionResults = [];
+    this.streamingFileId = null; // 正在编辑器中实时预览的文件
   }
 
   /**
@@ -68,6 +69,17 @@ class AppState {
       this.handleProcessingCompleted(e.detail);
     });
 
+    document.addEventListener('fileProcessor:queueRestored', (e) => {
+      const { restored, pending } = e.detail;
+      this.showMessage(pending > 0
+        ? `已恢复上次的 ${restored} 个文件，其中 ${pending} 个等待处理，点击“继续”恢复转换`
+        : `已恢复上次的 ${restored} 个文件`);
+    });
+
+    document.addEventListener('fileProcessor:processingPaused', (e) => {
+      this.showMessage(`处理已暂停：${e.detail.pending} 个文件等待处理`, 'warning');
+    });
+
     document.addEventListener('fileProcessor:progressUpdate', (e) => {
       this.handleProgressUpdate(e.detail);
     });
@@ -76,6 +88,18 @@ class AppState {
       this.handleViewResult(e.detail);
     });
 
+    document.addEventListener('fileProcessor:pageProcessed', (e) => {
+      this.handlePageProcessed(e.detail);
+    });
+
+    document.addEventListener('fileProcessor:fileError', (e) => {
+      if (e.detail.fileItem.id === this.streamingFileId) this.streamingFileId = null;
+    });
+
+    document.addEventListener('fileProcessor:fileCancelled', (e) => {
+      if (e.detail.fileItem.id === this.streamingFileId) this.streamingFileId = null;
+    });
+
     // 监听转换管理器事件
     document.addEventListener('conversionManager:conversionComplete', (e) => {
       this.handleConversionComplete(e.detail);
@@ -115,6 +139,7 @@ class AppState {
     if (typeof FileProcessor !== 'undefined') {
       this.fileProcessor = new FileProcessor();
       this.fileProcessor.init();
+      await this.fileProcessor.restoreQueue();
     }
 
     // 初始化转换管理器
@@ -399,6 +424,22 @@ class AppState {
     const { fileItem, result } = detail;
     this.conversionResults.push(result);
     this.showMessage(`文件 ${fileItem.name} 转换完成`);
+
+    // 实时预览的文件完成后替换为最终结果
+    if (fileItem.id === this.streamingFileId) {
+      this.streamingFileId = null;
+      if (this.markdownEditor) this.markdownEditor.setContent(result.content);
+    }
+  }
+
+  /**
+   * 处理逐页转换事件：正在实时预览的文件把已转换的页面推送到编辑器
+   */
+  handlePageProcessed(detail) {
+    const { fileItem, markdown } = detail;
+    if (fileItem.id === this.streamingFileId && this.markdownEditor) {
+      this.markdownEditor.setContent(markdown);
+    }
   }
 
   /**
@@ -439,11 +480,18 @@ class AppState {
     const { fileItem } = detail;
     
     if (fileItem.result) {
+      this.streamingFileId = null;
+
       // 在编辑器中显示结果
       if (this.markdownEditor) {
         this.markdownEditor.setContent(fileItem.result.content);
         this.switchMode('markdown-editor');
       }
+    } else if (fileItem.partialMarkdown && this.markdownEditor) {
+      // 处理中的文件：显示已转换的页面，后续页面转换后继续推送
+      this.streamingFileId = fileItem.id;
+      this.markdownEditor.setContent(fileItem.partialMarkdown);
+      this.switchMode('markdown-editor');
     }
   }
 
@@ -655,9 +703,20 @@ class AppState {
   /**
    * 导出为 ZIP
    */
-  exportAsZip() {
-    // 这里可以集成 JSZip 库来创建 ZIP 文件
-    this.showMessage('ZIP 导出功能开发中...', 'info');
+  async exportAsZip() {
+    if (!this.fileProcessor || !window.ExportHandler) return;
+
+    const documents = this.fileProcessor.getAllResults().map(result => ({
+      filename: `${result.source.replace(/\.[^/.]+$/, "")}_converted.md`,
+      content: result.content,
+      assets: result.assets || []
+    }));
+
+    try {
+      await new ExportHandler().exportMarkdownBundle(documents, 'batch_conversion_result.zip');
+    } catch (error) {
+      this.showMessage(error.message, 'error');
+    }
   }
 
   /**
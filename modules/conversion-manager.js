@@ -5,36 +5,12 @@
 
 class ConversionManager {
   constructor() {
-    this.converters = {};
+    this.registry = window.converterRegistry;
     this.isInitialized = false;
     this.activeConversions = new Map();
     this.conversionHistory = [];
     this.maxConcurrentConversions = 3;
-    
-    // 转换器配置
-    this.converterConfig = {
-      word: {
-        class: 'WordConverter',
-        types: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'application/msword'],
-        extensions: ['.docx', '.doc'],
-        maxSize: 50 * 1024 * 1024, // 50MB
-        description: 'Word 文档转换器'
-      },
-      pdf: {
-        class: 'PdfConverter',
-        types: ['application/pdf'],
-        extensions: ['.pdf'],
-        maxSize: 100 * 1024 * 1024, // 100MB
-        description: 'PDF 文档转换器'
-      },
-      ocr: {
-        class: 'ImageConverter',
-        types: ['image/jpeg', 'image/png', 'image/gif', 'image/bmp', 'image/webp'],
-        extensions: ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp'],
-        maxSize: 20 * 1024 * 1024, // 20MB
-        description: '图片 OCR 转换器'
-      }
-    };
+    this.storage = window.queueStorage || null; // 转换历史持久化（IndexedDB）
   }
 
   /**
@@ -44,11 +20,14 @@ class ConversionManager {
     if (this.isInitialized) return;
 
     try {
-      // 初始化所有转换器
+      // 检查已注册的转换器
       await this.initializeConverters();
       
       // 绑定事件监听器
       this.bindEvents();
+
+      // 恢复保存的转换历史
+      await this.restoreHistory();
       
       this.isInitialized = true;
       console.log('转换管理器初始化完成');
@@ -60,29 +39,20 @@ class ConversionManager {
   }
 
   /**
-   * 初始化所有转换器
+   * 检查已注册转换器的依赖状态
    */
   async initializeConverters() {
-    for (const [type, config] of Object.entries(this.converterConfig)) {
-      try {
-        const ConverterClass = window[config.class];
-        if (ConverterClass) {
-          const converter = new ConverterClass();
-          
-          // 如果转换器有 init 方法，则调用
-          if (typeof converter.init === 'function') {
-            await converter.init();
-          }
-          
-          this.converters[type] = converter;
-          console.log(`${config.description} 初始化成功`);
-        } else {
-          console.warn(`转换器类 ${config.class} 未找到`);
-        }
-      } catch (error) {
-        console.error(`初始化 ${config.description} 失败:`, error);
-      }
+    if (!this.registry) {
+      throw new Error('ConverterRegistry 未加载');
     }
+
+    this.registry.getAll().forEach(converter => {
+      if (this.registry.isAvailable(converter)) {
+        console.log(`${converter.description} 转换器已就绪`);
+      } else {
+        console.warn(`${converter.description} 转换器依赖未加载`);
+      }
+    });
   }
 
   /**
@@ -98,6 +68,16 @@ class ConversionManager {
     document.addEventListener('conversionError', (e) => {
       this.handleConversionError(e.detail);
     });
+
+    // 文件队列的转换不经过 convertFile，完成时同样记入历史
+    document.addEventListener('fileProcessor:fileCompleted', (e) => {
+      this.addFileItemToHistory(e.detail.fileItem);
+    });
+
+    // 保存的历史被清除时同步清空内存中的历史
+    document.addEventListener('queueStorage:historyCleared', () => {
+      this.conversionHistory = [];
+    });
   }
 
   /**
@@ -108,16 +88,16 @@ class ConversionManager {
    */
   async convertFile(file, options = {}) {
     try {
-      // 检测文件格式
+      // 检测文件格式（按文件内容识别）
       const formatDetector = new FormatDetector();
-      const detection = formatDetector.detectFormat(file);
+      const detection = await formatDetector.detectFormatWithContent(file);
       
       if (!detection.isSupported) {
         throw new Error(detection.error || '不支持的文件格式');
       }
 
-      // 获取对应的转换器
-      const converter = this.converters[detection.converter];
+      // 从注册表获取对应的转换器
+      const converter = this.registry.get(detection.converter);
       if (!converter) {
         throw new Error(`转换器 ${detection.converter} 不可用`);
       }
@@ -136,7 +116,8 @@ class ConversionManager {
         status: 'processing',
         startTime: Date.now(),
         progress: 0,
-        options: options
+        options: options,
+        abortController: new AbortController()
       };
 
       this.activeConversions.set(conversionId, conversionTask);
@@ -145,24 +126,12 @@ class ConversionManager {
       this.dispatchEvent('conversionStarted', {
         conversionId,
         fileName: file.name,
-        converter: detection.converter
+        converter: detection.converter,
+        warnings: detection.warnings
       });
 
       // 执行转换
-      let result;
-      switch (detection.converter) {
-        case 'word':
-          result = await this.convertWordFile(converter, file, conversionTask);
-          break;
-        case 'pdf':
-          result = await this.convertPdfFile(converter, file, conversionTask);
-          break;
-        case 'ocr':
-          result = await this.convertImageFile(converter, file, conversionTask);
-          break;
-        default:
-          throw new Error(`未知的转换器类型: ${detection.converter}`);
-      }
+      const result = await this.runConverter(converter, file, conversionTask);
 
       // 更新任务状态
       conversionTask.status = 'completed';
@@ -171,7 +140,7 @@ class ConversionManager {
       conversionTask.progress = 100;
 
       // 添加到历史记录
-      this.conversionHistory.push({ ...conversionTask });
+      this.addToHistory(conversionTask);
 
       // 从活动转换中移除
       this.activeConversions.delete(conversionId);
@@ -186,6 +155,9 @@ class ConversionManager {
       return result;
 
     } catch (error) {
+      // 已取消的任务由 cancelConversion 触发取消事件
+      if (CancelUtils.isCancelError(error)) throw error;
+
       console.error('文件转换失败:', error);
       
       // 触发转换错误事件
@@ -199,12 +171,12 @@ class ConversionManager {
   }
 
   /**
-   * 转换 Word 文件
-   * @param {Object} converter - Word 转换器
+   * 调用注册的转换器并生成统一格式的结果
+   * @param {Object} converter - 注册表中的转换器
    * @param {File} file - 文件
    * @param {Object} task - 转换任务
    */
-  async convertWordFile(converter, file, task) {
+  async runConverter(converter, file, task) {
     const updateProgress = (progress) => {
       task.progress = progress;
       this.dispatchEvent('conversionProgress', {
@@ -213,106 +185,27 @@ class ConversionManager {
       });
     };
 
-    updateProgress(10);
-    
-    let markdown;
-    if (typeof converter.convertDocxToMarkdown === 'function') {
-      markdown = await converter.convertDocxToMarkdown(file);
-    } else {
-      throw new Error('Word 转换器方法不可用');
-    }
+    const signal = task.abortController.signal;
+    const result = await converter.convert(file, { ...task.options, signal }, updateProgress);
 
-    updateProgress(100);
-
-    return {
-      type: 'markdown',
-      content: markdown,
-      source: file.name,
-      converter: 'word',
-      metadata: {
-        originalSize: file.size,
-        convertedAt: new Date().toISOString()
-      }
-    };
-  }
-
-  /**
-   * 转换 PDF 文件
-   * @param {Object} converter - PDF 转换器
-   * @param {File} file - 文件
-   * @param {Object} task - 转换任务
-   */
-  async convertPdfFile(converter, file, task) {
-    const updateProgress = (progress) => {
-      task.progress = progress;
-      this.dispatchEvent('conversionProgress', {
-        conversionId: task.id,
-        progress: progress
-      });
-    };
-
-    const result = await converter.convertPdfToMarkdown(file, updateProgress);
+    // 不支持取消信号的转换器在取消后仍可能正常返回，结果丢弃
+    CancelUtils.throwIfAborted(signal);
 
     return {
       type: 'markdown',
       content: result.markdown,
       source: file.name,
-      converter: 'pdf',
+      converter: converter.name,
       metadata: {
         originalSize: file.size,
-        pages: result.totalPages,
-        images: result.images.length,
-        convertedAt: new Date().toISOString(),
-        pdfMetadata: result.metadata
+        ...result.metadata,
+        convertedAt: new Date().toISOString()
       },
       additionalData: {
-        pages: result.pages,
-        images: result.images
-      }
-    };
-  }
-
-  /**
-   * 转换图片文件
-   * @param {Object} converter - 图片转换器
-   * @param {File} file - 文件
-   * @param {Object} task - 转换任务
-   */
-  async convertImageFile(converter, file, task) {
-    const updateProgress = (progress) => {
-      task.progress = progress;
-      this.dispatchEvent('conversionProgress', {
-        conversionId: task.id,
-        progress: progress
-      });
-    };
-
-    const result = await converter.convertImageToMarkdown(file, updateProgress);
-
-    // 替换 Markdown 中的图片占位符
-    let markdown = result.markdown;
-    if (result.imageBase64) {
-      markdown = markdown.replace('{IMAGE_BASE64}', result.imageBase64);
-    }
-
-    return {
-      type: 'markdown',
-      content: markdown,
-      source: file.name,
-      converter: 'ocr',
-      metadata: {
-        originalSize: file.size,
-        confidence: result.confidence,
-        wordsCount: result.words ? result.words.length : 0,
-        convertedAt: new Date().toISOString(),
-        imageInfo: result.imageInfo
+        assets: result.assets || [],
+        ...result.additionalData
       },
-      additionalData: {
-        text: result.text,
-        words: result.words,
-        lines: result.lines,
-        paragraphs: result.paragraphs
-      }
+      report: result.report
     };
   }
 
@@ -397,7 +290,7 @@ class ConversionManager {
     let mergedContent = '# 多文件转换结果\n\n';
     
     Object.entries(groupedResults).forEach(([converter, converterResults]) => {
-      const converterName = this.converterConfig[converter]?.description || converter;
+      const converterName = this.registry.get(converter)?.description || converter;
       mergedContent += `## ${converterName} (${converterResults.length} 个文件)\n\n`;
       
       converterResults.forEach((result, index) => {
@@ -433,15 +326,14 @@ class ConversionManager {
   getConverterStatus() {
     const status = {};
     
-    Object.entries(this.converterConfig).forEach(([type, config]) => {
-      const converter = this.converters[type];
-      status[type] = {
-        available: !!converter,
-        description: config.description,
-        supportedTypes: config.types,
-        supportedExtensions: config.extensions,
-        maxSize: config.maxSize,
-        isReady: converter && (typeof converter.isAvailable !== 'function' || converter.isAvailable())
+    this.registry.getAll().forEach(converter => {
+      status[converter.name] = {
+        available: true,
+        description: converter.description,
+        supportedTypes: converter.mimeTypes,
+        supportedExtensions: converter.extensions,
+        maxSize: converter.maxSize,
+        isReady: this.registry.isAvailable(converter)
       };
     });
 
@@ -465,13 +357,14 @@ class ConversionManager {
   }
 
   /**
-   * 取消转换任务
+   * 取消转换任务（通过取消信号终止转换器的 Worker 和页面循环，convertFile 以 AbortError 结束）
    * @param {string} conversionId - 转换任务ID
    */
   cancelConversion(conversionId) {
     const task = this.activeConversions.get(conversionId);
     if (task) {
       task.status = 'cancelled';
+      task.abortController.abort();
       this.activeConversions.delete(conversionId);
       
       this.dispatchEvent('conversionCancelled', {
@@ -482,10 +375,91 @@ class ConversionManager {
   }
 
   /**
-   * 清理转换历史
+   * 清理转换历史（同时删除保存的历史）
    */
   clearHistory() {
     this.conversionHistory = [];
+
+    if (this.storage) {
+      this.storage.clearHistory().catch(error => console.warn('清除转换历史失败:', error));
+    }
+  }
+
+  /**
+   * 生成可保存的历史记录（不含文件内容和取消控制器）
+   * @param {Object} task - 转换任务
+   * @returns {Object} 历史记录
+   */
+  createHistoryEntry(task) {
+    // 转换器的附加数据（如 PDF 各页内容）体积大，历史中只保留资源
+    const result = task.result ? {
+      ...task.result,
+      additionalData: { assets: (task.result.additionalData && task.result.additionalData.assets) || [] }
+    } : task.result;
+
+    return {
+      id: task.id,
+      fileName: task.file.name,
+      fileSize: task.file.size,
+      converter: task.converter,
+      status: task.status,
+      startTime: task.startTime,
+      endTime: task.endTime,
+      result
+    };
+  }
+
+  /**
+   * 添加历史记录并保存
+   * @param {Object} task - 转换任务
+   */
+  addToHistory(task) {
+    const entry = this.createHistoryEntry(task);
+    this.conversionHistory.push(entry);
+
+    if (this.storage) {
+      this.storage.saveHistory(entry).catch(error => console.warn('保存转换历史失败:', error));
+    }
+  }
+
+  /**
+   * 将文件处理器完成的文件项记入历史
+   * @param {Object} fileItem - 文件项（见 FileProcessor.processFile）
+   */
+  addFileItemToHistory(fileItem) {
+    const result = fileItem.result || {};
+
+    this.addToHistory({
+      id: this.generateConversionId(),
+      file: fileItem.file,
+      converter: fileItem.converter,
+      status: fileItem.status,
+      startTime: fileItem.startTime,
+      endTime: fileItem.endTime,
+      result: {
+        type: result.type,
+        content: result.content,
+        source: result.source,
+        converter: fileItem.converter,
+        report: result.report,
+        additionalData: { assets: result.assets || [] }
+      }
+    });
+  }
+
+  /**
+   * 从 IndexedDB 恢复转换历史
+   */
+  async restoreHistory() {
+    if (!this.storage) return;
+
+    try {
+      const history = await this.storage.getHistory();
+      const knownIds = new Set(this.conversionHistory.map(entry => entry.id));
+      this.conversionHistory = [...history.filter(entry => !knownIds.has(entry.id)), ...this.conversionHistory];
+    } catch (error) {
+      console.warn('恢复转换历史失败:', error);
+    }
   }
 
   /**
@@ -529,13 +503,13 @@ class ConversionManager {
   getSupportedFormats() {
     const formats = {};
     
-    Object.entries(this.converterConfig).forEach(([type, config]) => {
-      formats[type] = {
-        description: config.description,
-        types: config.types,
-        extensions: config.extensions,
-        maxSize: config.maxSize,
-        available: !!this.converters[type]
+    this.registry.getAll().forEach(converter => {
+      formats[converter.name] = {
+        description: converter.description,
+        types: converter.mimeTypes,
+        extensions: converter.extensions,
+        maxSize: converter.maxSize,
+        available: this.registry.isAvailable(converter)
       };
     });
 
@@ -561,14 +535,6 @@ class ConversionManager {
       this.cancelConversion(conversionId);
     }
 
-    // 销毁所有转换器
-    for (const converter of Object.values(this.converters)) {
-      if (typeof converter.destroy === 'function') {
-        await converter.destroy();
-      }
-    }
-
-    this.converters = {};
     this.activeConversions.clear();
     this.conversionHistory = [];
     this.isInitialized = false;
@@ -0,0 +1,240 @@
+/**
+ * 转换设置模块
+ * 负责管理各转换器的可配置选项，持久化到本地存储并渲染设置面板
+ */
+
+class ConversionSettings {
+  constructor() {
+    this.storageKey = 'conversion-settings';
+    this.values = {};
+    this.isInitialized = false;
+
+    // 设置项定义：分组 -> 选项 -> { label, default, options }
+    this.definitions = {
+      word: {
+        imageMode: {
+          label: '图片处理',
+          default: 'assets',
+          options: {
+            assets: '导出为资源文件（ZIP 打包）',
+            inline: '内嵌为 data URI',
+            none: '忽略图片'
+          }
+        },
+        revisionMode: {
+          label: '修订处理',
+          default: 'accept',
+          options: {
+            accept: '接受全部修订',
+            reject: '拒绝全部修订',
+            criticmarkup: '标记为 CriticMarkup'
+          }
+        },
+        commentMode: {
+          label: '批注处理',
+          default: 'ignore',
+          options: {
+            ignore: '忽略批注',
+            footnote: '导出为脚注',
+            html: '导出为 HTML 注释'
+          }
+        }
+      },
+      document: {
+        imageMode: {
+          label: '图片处理',
+          default: 'assets',
+          options: {
+            assets: '导出为资源文件（ZIP 打包）',
+            inline: '内嵌为 data URI',
+            none: '忽略图片'
+          }
+        }
+      },
+      pdf: {
+        imageMode: {
+          label: '图片处理',
+          default: 'assets',
+          options: {
+            assets: '导出为资源文件（ZIP 打包）',
+            inline: '内嵌为 data URI',
+            none: '忽略图片'
+          }
+        },
+        headerFooterMode: {
+          label: '页眉页脚',
+          default: 'strip',
+          options: {
+            strip: '移除页眉、页脚和页码',
+            keep: '保留'
+          }
+        },
+        pageBreakMode: {
+          label: '分页处理',
+          default: 'heading',
+          options: {
+            heading: '插入分隔线和“第 N 页”标题',
+            none: '不分页，合并跨页段落'
+          }
+        },
+        annotationMode: {
+          label: '批注处理',
+          default: 'ignore',
+          options: {
+            ignore: '忽略批注（保留超链接）',
+            blockquote: '导出为引用块',
+            footnote: '导出为脚注'
+          }
+        },
+        ocrMode: {
+          label: '扫描页',
+          default: 'auto',
+          options: {
+            auto: '自动 OCR 识别文字',
+            off: '不识别'
+          }
+        }
+      }
+    };
+
+    this.groupLabels = {
+      word: 'Word 文档',
+      document: 'RTF / ODT / HTML 文档',
+      pdf: 'PDF 文档'
+    };
+
+    this.load();
+  }
+
+  /**
+   * 初始化设置面板
+   */
+  init() {
+    if (this.isInitialized) return;
+
+    this.bindEvents();
+    this.render();
+    this.isInitialized = true;
+  }
+
+  /**
+   * 绑定事件监听器
+   */
+  bindEvents() {
+    const container = document.getElementById('conversionSettings');
+    if (!container) return;
+
+    container.addEventListener('change', (e) => {
+      const setting = e.target.getAttribute('data-setting');
+      if (!setting) return;
+
+      const [group, key] = setting.split('.');
+      this.set(group, key, e.target.value);
+    });
+  }
+
+  /**
+   * 从本地存储加载设置
+   */
+  load() {
+    try {
+      const saved = localStorage.getItem(this.storageKey);
+      this.values = saved ? JSON.parse(saved) || {} : {};
+    } catch (error) {
+      console.warn('加载转换设置失败:', error);
+      this.values = {};
+    }
+  }
+
+  /**
+   * 保存设置到本地存储
+   */
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.values));
+    } catch (error) {
+      console.warn('保存转换设置失败:', error);
+    }
+  }
+
+  /**
+   * 获取分组的全部设置（合并默认值）
+   * @param {string} group - 设置分组，如 'word'
+   * @returns {Object} 设置值
+   */
+  get(group) {
+    const definitions = this.definitions[group] || {};
+    const saved = this.values[group] || {};
+    const result = {};
+
+    Object.entries(definitions).forEach(([key, definition]) => {
+      const value = saved[key];
+      const isValid = value !== undefined && (!definition.options || value in definition.options);
+      result[key] = isValid ? value : definition.default;
+    });
+
+    return result;
+  }
+
+  /**
+   * 更新单个设置
+   * @param {string} group - 设置分组
+   * @param {string} key - 设置名
+   * @param {*} value - 设置值
+   */
+  set(group, key, value) {
+    if (!this.definitions[group] || !this.definitions[group][key]) return;
+
+    this.values[group] = { ...(this.values[group] || {}), [key]: value };
+    this.save();
+
+    this.dispatchEvent('settingsChanged', { group, key, value });
+  }
+
+  /**
+   * 渲染设置面板
+   */
+  render() {
+    const container = document.getElementById('conversionSettings');
+    if (!container) return;
+
+    container.innerHTML = Object.entries(this.definitions).map(([group, definitions]) => {
+      const values = this.get(group);
+      return `
+        <div class="settings-group">
+          <h4>${this.groupLabels[group] || group}</h4>
+          ${Object.entries(definitions).map(([key, definition]) => this.renderField(group, key, definition, values[key])).join('')}
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * 渲染单个设置项
+   */
+  renderField(group, key, definition, value) {
+    return `
+      <label class="settings-field">
+        <span>${definition.label}</span>
+        <select data-setting="${group}.${key}">
+          ${Object.entries(definition.options).map(([optionValue, optionLabel]) => `
+            <option value="${optionValue}" ${optionValue === value ? 'selected' : ''}>${optionLabel}</option>
+          `).join('')}
+        </select>
+      </label>
+    `;
+  }
+
+  /**
+   * 触发自定义事件
+   * @param {string} eventName - 事件名称
+   * @param {Object} detail - 事件详情
+   */
+  dispatchEvent(eventName, detail) {
+    const event = new CustomEvent(`conversionSettings:${eventName}`, { detail });
+    document.dispatchEvent(event);
+  }
+}
+
+// 导出模块
+window.ConversionSettings = ConversionSettings;
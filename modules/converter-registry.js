@@ -0,0 +1,249 @@
+/**
+ * 转换器注册表模块
+ * 统一登记各格式转换器及其匹配规则（MIME 类型、扩展名、文件头魔数），
+ * ConversionManager、FileProcessor 和产品页均通过注册表查找并调用转换器
+ */
+
+class ConverterRegistry {
+  constructor() {
+    this.converters = new Map();
+    this.defaultMaxSize = 50 * 1024 * 1024; // 50MB
+    this.minHeaderLength = 16;
+  }
+
+  /**
+   * 注册转换器（同名转换器会被覆盖）
+   * @param {Object} definition - 转换器定义
+   * @param {string} definition.name - 转换器名称，如 'word'
+   * @param {string} definition.description - 格式说明
+   * @param {string} definition.type - 文件类型：'document' | 'image'
+   * @param {Array} definition.mimeTypes - 支持的 MIME 类型
+   * @param {Array} definition.extensions - 支持的扩展名（包含点号）
+   * @param {Object} definition.extensionMimeTypes - 扩展名对应的 MIME 类型（可选，未列出的扩展名对应第一个 MIME 类型）
+   * @param {Array} definition.magic - 文件头签名 [{ offset, bytes }] 或判断函数 (bytes) => boolean
+   * @param {number} definition.maxSize - 文件大小上限
+   * @param {string} definition.settingsGroup - 对应的转换设置分组（见 ConversionSettings）
+   * @param {number} definition.timeMultiplier - 预计处理时间（秒/MB）
+   * @param {number} definition.cost - 批量处理时占用的并发槽数（OCR 等重型转换器大于 1）
+   * @param {Function} definition.convert - 转换函数 (file, options, onProgress) => Promise<{ markdown, assets, report, metadata, additionalData }>，
+   *   options.signal 为取消信号（AbortSignal），取消后应以 name 为 'AbortError' 的错误结束
+   * @param {Function} definition.isAvailable - 依赖检查函数（可选）
+   * @returns {Object} 规范化后的转换器
+   */
+  register(definition) {
+    if (!definition || !definition.name) {
+      throw new Error('转换器缺少名称');
+    }
+    if (typeof definition.convert !== 'function') {
+      throw new Error(`转换器 ${definition.name} 缺少 convert 方法`);
+    }
+
+    const entry = {
+      description: definition.name,
+      type: 'document',
+      maxSize: this.defaultMaxSize,
+      settingsGroup: null,
+      timeMultiplier: 1.0,
+      cost: 1,
+      ...definition,
+      mimeTypes: (definition.mimeTypes || []).map(type => type.toLowerCase()),
+      extensions: (definition.extensions || []).map(ext => this.normalizeExtension(ext)),
+      extensionMimeTypes: Object.fromEntries(
+        Object.entries(definition.extensionMimeTypes || {})
+          .map(([ext, type]) => [this.normalizeExtension(ext), type.toLowerCase()])
+      ),
+      magic: definition.magic || []
+    };
+
+    this.converters.set(entry.name, entry);
+    this.dispatchEvent('converterRegistered', { name: entry.name });
+    return entry;
+  }
+
+  /**
+   * 注销转换器
+   * @param {string} name - 转换器名称
+   */
+  unregister(name) {
+    if (this.converters.delete(name)) {
+      this.dispatchEvent('converterUnregistered', { name });
+    }
+  }
+
+  /**
+   * 获取转换器
+   * @param {string} name - 转换器名称
+   * @returns {Object|null} 转换器
+   */
+  get(name) {
+    return this.converters.get(name) || null;
+  }
+
+  /**
+   * 获取全部转换器（按注册顺序）
+   * @returns {Array} 转换器列表
+   */
+  getAll() {
+    return Array.from(this.converters.values());
+  }
+
+  /**
+   * 根据 MIME 类型、扩展名和文件头匹配转换器
+   * 声明的类型与文件头冲突时（如改了扩展名的文件）以文件头为准
+   * @param {File} file - 文件
+   * @param {Uint8Array} header - 文件头字节（可选）
+   * @returns {Object|null} 转换器
+   */
+  match(file, header = null) {
+    const entries = this.getAll();
+    const mimeType = (file.type || '').toLowerCase();
+    const extension = this.getFileExtension(file.name);
+
+    const candidates = [
+      ...entries.filter(entry => mimeType && entry.mimeTypes.includes(mimeType)),
+      ...entries.filter(entry => extension && entry.extensions.includes(extension))
+    ];
+
+    if (!header) return candidates[0] || null;
+
+    const sniffed = entries.filter(entry => this.matchesMagic(entry, header));
+    return candidates.find(entry => sniffed.includes(entry)) ||
+      candidates.find(entry => entry.magic.length === 0) ||
+      sniffed[0] ||
+      candidates[0] ||
+      null;
+  }
+
+  /**
+   * 读取文件头并匹配转换器
+   * @param {File} file - 文件
+   * @returns {Promise<Object|null>} 转换器
+   */
+  async detect(file) {
+    const header = await this.readHeader(file);
+    return this.match(file, header);
+  }
+
+  /**
+   * 检查文件头是否符合转换器的签名
+   * @param {Object} entry - 转换器
+   * @param {Uint8Array} header - 文件头字节
+   * @returns {boolean} 是否匹配
+   */
+  matchesMagic(entry, header) {
+    return entry.magic.some(signature => {
+      if (typeof signature === 'function') {
+        return signature(header);
+      }
+
+      const offset = signature.offset || 0;
+      return signature.bytes.every((byte, i) => header[offset + i] === byte);
+    });
+  }
+
+  /**
+   * 使用匹配的转换器转换文件
+   * @param {File} file - 文件
+   * @param {Object} options - 转换选项
+   * @param {Function} onProgress - 进度回调（0-100）
+   * @returns {Promise<Object>} 转换结果 { markdown, assets, report, metadata, additionalData }
+   */
+  async convert(file, options = {}, onProgress = null) {
+    const entry = await this.detect(file);
+    if (!entry) {
+      throw new Error(`不支持的文件格式: ${file.name}`);
+    }
+
+    return await entry.convert(file, options, onProgress);
+  }
+
+  /**
+   * 检查转换器依赖是否可用
+   * @param {Object} entry - 转换器
+   * @returns {boolean} 是否可用
+   */
+  isAvailable(entry) {
+    return !!entry && (typeof entry.isAvailable !== 'function' || entry.isAvailable());
+  }
+
+  /**
+   * 读取文件头字节（长度覆盖所有已登记签名）
+   * @param {File} file - 文件
+   * @returns {Promise<Uint8Array>} 文件头
+   */
+  readHeader(file) {
+    const length = this.getAll().reduce((max, entry) => {
+      return entry.magic.reduce((len, signature) => {
+        return signature.bytes ? Math.max(len, (signature.offset || 0) + signature.bytes.length) : len;
+      }, max);
+    }, this.minHeaderLength);
+
+    return new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onerror = () => resolve(new Uint8Array(0));
+      reader.onload = () => resolve(new Uint8Array(reader.result));
+      reader.readAsArrayBuffer(file.slice(0, length));
+    });
+  }
+
+  /**
+   * 获取全部支持的扩展名
+   * @returns {Array} 扩展名列表
+   */
+  getSupportedExtensions() {
+    return [...new Set(this.getAll().flatMap(entry => entry.extensions))];
+  }
+
+  /**
+   * 生成文件接受属性字符串（用于 input[type="file"]）
+   * @returns {string} accept 属性值
+   */
+  getAcceptString() {
+    const values = this.getAll().flatMap(entry => [...entry.mimeTypes, ...entry.extensions]);
+    return [...new Set(values)].join(',');
+  }
+
+  /**
+   * 生成支持格式的说明文字，如 "Word 文档 (.doc, .docx)"
+   * @returns {string} 格式说明
+   */
+  getFormatSummary() {
+    return this.getAll()
+      .map(entry => `${entry.description} (${entry.extensions.join(', ')})`)
+      .join('、');
+  }
+
+  /**
+   * 规范化扩展名（小写并包含点号）
+   */
+  normalizeExtension(extension) {
+    const ext = String(extension).toLowerCase();
+    return ext.startsWith('.') ? ext : `.${ext}`;
+  }
+
+  /**
+   * 获取文件扩展名
+   * @param {string} filename - 文件名
+   * @returns {string} 扩展名（包含点号）
+   */
+  getFileExtension(filename) {
+    const lastDotIndex = filename.lastIndexOf('.');
+    return lastDotIndex > 0 ? filename.slice(lastDotIndex).toLowerCase() : '';
+  }
+
+  /**
+   * 触发自定义事件
+   * @param {string} eventName - 事件名称
+   * @param {Object} detail - 事件详情
+   */
+  dispatchEvent(eventName, detail) {
+    const event = new CustomEvent(`converterRegistry:${eventName}`, { detail });
+    document.dispatchEvent(event);
+  }
+}
+
+// 创建全局实例
+window.converterRegistry = new ConverterRegistry();
+
+// 导出模块
+window.ConverterRegistry = ConverterRegistry;
@@ -105,6 +105,65 @@ class ExportHandler {
     this.dispatchExportSuccess('Markdown 文件导出成功！');
   }
 
+  /**
+   * 导出 Markdown 及其图片资源为 ZIP 包
+   * @param {Array} documents - 文档列表 [{ filename, content, assets }]
+   * @param {string} filename - ZIP 文件名
+   */
+  async exportMarkdownBundle(documents, filename = 'export.zip') {
+    if (typeof JSZip === 'undefined') {
+      throw new Error('JSZip 库未加载，无法打包下载');
+    }
+
+    const zip = new JSZip();
+    this.resolveAssetConflicts(documents).forEach(doc => {
+      zip.file(doc.filename, doc.content);
+      (doc.assets || []).forEach(asset => {
+        zip.file(asset.path, asset.base64, { base64: true });
+      });
+    });
+
+    const blob = await zip.generateAsync({ type: 'blob' });
+    this.downloadFile(blob, filename, 'application/zip');
+    this.dispatchExportSuccess('ZIP 文件导出成功！');
+  }
+
+  /**
+   * 消除同一批文档之间的文件名和资源路径冲突
+   * 基础名相同的文档（如 report.docx 与 report.pdf）会生成相同的 assets/<docname>-imageN 路径，
+   * 后出现的文档改用 <docname>-2-imageN 等路径，并同步替换 Markdown 中的图片引用
+   * @param {Array} documents - 文档列表 [{ filename, content, assets }]
+   * @returns {Array} 文件名和资源路径互不重复的文档列表
+   */
+  resolveAssetConflicts(documents) {
+    const usedFilenames = new Set();
+    const usedPaths = new Set();
+
+    return documents.map(doc => {
+      let filename = doc.filename;
+      for (let n = 2; filename && usedFilenames.has(filename); n++) {
+        filename = doc.filename.replace(/(\.[^./]+)?$/, `-${n}$1`);
+      }
+      usedFilenames.add(filename);
+
+      const assets = doc.assets || [];
+      let renamed = assets;
+      for (let n = 2; renamed.some(asset => usedPaths.has(asset.path)); n++) {
+        renamed = assets.map(asset => ({ ...asset, path: asset.path.replace(/(-image\d+)?(\.[^./]+)?$/, `-${n}$1$2`) }));
+      }
+      renamed.forEach(asset => usedPaths.add(asset.path));
+
+      let content = doc.content;
+      if (renamed !== assets) {
+        const paths = new Map(assets.map((asset, i) => [asset.path, renamed[i].path]));
+        const pattern = new RegExp(Array.from(paths.keys()).map(path => path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'g');
+        content = content.replace(pattern, path => paths.get(path));
+      }
+
+      return { ...doc, filename, content, assets: renamed };
+    });
+  }
+
   /**
    * 导出 PDF
    */
@@ -10,8 +10,17 @@ class FileProcessor {
     this.completedFiles = [];
     this.failedFiles = [];
     this.isProcessing = false;
-    this.maxConcurrent = 3; // 最大并发处理数
+    this.isPaused = false; // 暂停时不再开始新文件，处理中的文件继续完成
+    this.maxConcurrent = 3; // 并发处理槽数，每个文件按转换器的 cost 占用槽位
+    this.concurrencyStorageKey = 'file-processor-concurrency';
     this.formatDetector = null;
+    this.abortControllers = new Map(); // 文件ID -> 处理中文件的 AbortController
+    this.resolveQueue = null; // 队列空闲时结束 processQueue
+    this.draggedFileId = null;
+    this.storage = window.queueStorage || null; // 队列持久化（IndexedDB）
+    this.storageUsage = null; // 最近一次读取的存储占用，队列重新渲染时沿用
+
+    this.loadConcurrency();
     
     // 事件回调
     this.onProgress = null;
@@ -51,33 +60,19 @@ class FileProcessor {
       detectMultipleFormats: (files) => {
         return Array.from(files).map((file, index) => {
           const extension = file.name.toLowerCase().split('.').pop();
-          let converter = 'unknown';
-          let isSupported = false;
-          let description = '未知格式';
-
-          // 基础格式检测
-          if (['doc', 'docx'].includes(extension)) {
-            converter = 'word';
-            isSupported = true;
-            description = 'Word 文档';
-          } else if (extension === 'pdf') {
-            converter = 'pdf';
-            isSupported = true;
-            description = 'PDF 文档';
-          } else if (['png', 'jpg', 'jpeg'].includes(extension)) {
-            converter = 'ocr';
-            isSupported = true;
-            description = '图片文件';
-          }
+
+          // 按注册表中的 MIME 类型和扩展名检测
+          const converter = window.converterRegistry ? window.converterRegistry.match(file) : null;
+          const isSupported = !!converter;
 
           return {
             index,
             file,
             isSupported,
-            detectedType: isSupported ? 'document' : 'unknown',
-            converter,
+            detectedType: isSupported ? converter.type : 'unknown',
+            converter: isSupported ? converter.name : 'unknown',
             mimeType: file.type,
-            description,
+            description: isSupported ? converter.description : '未知格式',
             error: isSupported ? null : `不支持的文件格式: ${extension}`,
             warnings: []
           };
@@ -99,6 +94,12 @@ class FileProcessor {
   bindEvents() {
     // 监听拖拽事件
     this.setupDragAndDrop();
+    this.setupQueueReordering();
+
+    // 保存的数据变化后才重新统计存储占用
+    document.addEventListener('queueStorage:changed', () => {
+      this.updateStorageView();
+    });
   }
 
   /**
@@ -136,15 +137,57 @@ class FileProcessor {
     });
   }
 
+  /**
+   * 设置队列拖动排序（仅等待中的文件可拖动，按队列顺序处理）
+   */
+  setupQueueReordering() {
+    const container = document.getElementById('fileQueueContainer');
+    if (!container) return;
+
+    const getFileId = (e) => {
+      const element = e.target.closest('.file-item[data-file-id]');
+      return element ? element.getAttribute('data-file-id') : null;
+    };
+
+    container.addEventListener('dragstart', (e) => {
+      this.draggedFileId = getFileId(e);
+      if (this.draggedFileId) e.dataTransfer.effectAllowed = 'move';
+    });
+
+    container.addEventListener('dragover', (e) => {
+      if (!this.draggedFileId) return;
+      e.preventDefault();
+      container.querySelectorAll('.drag-target').forEach(el => el.classList.remove('drag-target'));
+      const target = e.target.closest('.file-item[data-file-id]');
+      if (target) target.classList.add('drag-target');
+    });
+
+    container.addEventListener('drop', (e) => {
+      if (!this.draggedFileId) return;
+      // 队列内排序，不作为文件上传处理
+      e.preventDefault();
+      e.stopPropagation();
+      this.moveFile(this.draggedFileId, getFileId(e));
+      this.draggedFileId = null;
+    });
+
+    container.addEventListener('dragend', () => {
+      this.draggedFileId = null;
+      container.querySelectorAll('.drag-target').forEach(el => el.classList.remove('drag-target'));
+    });
+  }
+
   /**
    * 添加文件到处理队列
    * @param {Array|FileList} files - 文件列表
    */
-  addFiles(files) {
+  async addFiles(files) {
     const fileArray = Array.from(files);
     
-    // 检测文件格式
-    const detectionResults = this.formatDetector.detectMultipleFormats(fileArray);
+    // 检测文件格式（支持时按文件内容识别）
+    const detectionResults = typeof this.formatDetector.detectMultipleFormatsWithContent === 'function'
+      ? await this.formatDetector.detectMultipleFormatsWithContent(fileArray)
+      : this.formatDetector.detectMultipleFormats(fileArray);
     
     // 处理检测结果
     detectionResults.forEach(result => {
@@ -156,20 +199,29 @@ class FileProcessor {
         type: result.detectedType,
         converter: result.converter,
         mimeType: result.mimeType,
+        typeMismatch: !!result.typeMismatch,
         description: result.description,
         isSupported: result.isSupported,
         error: result.error,
         warnings: result.warnings || [],
+        pageRange: '', // PDF 页码范围，为空时转换全部页面
+        convertedPageRange: null,
+        processedPages: null, // 逐页解析进度 { current, total }
+        partialMarkdown: '', // 处理中已转换页面的 Markdown 预览
+        stopRequested: false,
         status: result.isSupported ? 'pending' : 'unsupported',
         progress: 0,
         result: null,
         startTime: null,
         endTime: null,
-        processingTime: 0
+        processingTime: 0,
+        addedAt: Date.now()
       };
 
       this.fileQueue.push(fileItem);
+      this.persistFile(fileItem);
     });
+    this.persistQueueOrder();
 
     // 更新UI显示
     this.updateQueueDisplay();
@@ -180,9 +232,11 @@ class FileProcessor {
       totalFiles: this.fileQueue.length
     });
 
-    // 如果没有在处理中，自动开始处理
+    // 如果没有在处理中，自动开始处理；处理中时新文件按空闲槽位加入
     if (!this.isProcessing) {
       this.startProcessing();
+    } else {
+      this.dispatchNext();
     }
   }
 
@@ -190,7 +244,7 @@ class FileProcessor {
    * 开始处理文件队列
    */
   async startProcessing() {
-    if (this.isProcessing) return;
+    if (this.isProcessing || this.isPaused) return;
     
     this.isProcessing = true;
     this.dispatchEvent('processingStarted', {
@@ -204,39 +258,72 @@ class FileProcessor {
       this.handleError(error);
     } finally {
       this.isProcessing = false;
-      this.dispatchEvent('processingCompleted', {
+      this.dispatchEvent(this.isPaused && this.getPendingFiles().length > 0 ? 'processingPaused' : 'processingCompleted', {
         completed: this.completedFiles.length,
         failed: this.failedFiles.length,
+        pending: this.getPendingFiles().length,
         total: this.fileQueue.length
       });
+      this.updateQueueDisplay();
     }
   }
 
   /**
-   * 处理文件队列
+   * 处理文件队列：按队列顺序调度，有空闲槽位时开始下一个文件，
+   * 暂停后不再开始新文件；没有处理中的文件且无可开始的文件时结束
+   * @returns {Promise<void>}
    */
-  async processQueue() {
+  processQueue() {
     console.log('⚙️ [DEBUG] processQueue() 开始执行');
-    const pendingFiles = this.getPendingFiles();
-    console.log('📋 [DEBUG] 待处理文件数量:', pendingFiles.length);
+    console.log('📋 [DEBUG] 待处理文件数量:', this.getPendingFiles().length);
     console.log('📊 [DEBUG] 队列统计:', this.getQueueStats());
-    
-    // 分批处理文件
-    for (let i = 0; i < pendingFiles.length; i += this.maxConcurrent) {
-      const batch = pendingFiles.slice(i, i + this.maxConcurrent);
-      const promises = batch.map(fileItem => this.processFile(fileItem));
-      
-      try {
-        await Promise.allSettled(promises);
-      } catch (error) {
-        console.error('批处理失败:', error);
-      }
-      
-      // 更新进度
-      this.updateOverallProgress();
+
+    return new Promise((resolve) => {
+      this.resolveQueue = resolve;
+      this.dispatchNext();
+    });
+  }
+
+  /**
+   * 在槽位允许的范围内开始等待中的文件
+   * 队首文件占用的槽位不足时等待，不越过它开始后面的文件，以保持队列顺序
+   */
+  dispatchNext() {
+    if (!this.resolveQueue) return;
+
+    while (!this.isPaused) {
+      const fileItem = this.getPendingFiles()[0];
+      if (!fileItem) break;
+
+      // 没有处理中的文件时，即使占用超过总槽数也开始处理
+      const usedSlots = this.processingQueue.reduce((sum, f) => sum + this.getFileCost(f), 0);
+      if (this.processingQueue.length > 0 && usedSlots + this.getFileCost(fileItem) > this.maxConcurrent) break;
+
+      this.processFile(fileItem)
+        .catch(error => console.error('处理文件时发生错误:', error))
+        .finally(() => {
+          this.updateOverallProgress();
+          this.dispatchNext();
+        });
+    }
+
+    if (this.processingQueue.length === 0) {
+      const resolve = this.resolveQueue;
+      this.resolveQueue = null;
+      resolve();
     }
   }
 
+  /**
+   * 获取文件占用的并发槽数（转换器登记的 cost，OCR 等重型转换器占用更多）
+   * @param {Object} fileItem - 文件项
+   * @returns {number} 槽数
+   */
+  getFileCost(fileItem) {
+    const converter = window.converterRegistry ? window.converterRegistry.get(fileItem.converter) : null;
+    return converter && converter.cost > 0 ? converter.cost : 1;
+  }
+
   /**
    * 处理单个文件
    * @param {Object} fileItem - 文件项
@@ -250,6 +337,9 @@ class FileProcessor {
       return;
     }
 
+    // 等待期间已取消
+    if (fileItem.status !== 'pending') return;
+
     try {
       console.log(`⚙️ [DEBUG] 设置文件状态为处理中: ${fileItem.name}`);
       fileItem.status = 'processing';
@@ -259,21 +349,13 @@ class FileProcessor {
       // 更新UI
       this.updateFileDisplay(fileItem);
       
-      // 根据转换器类型处理文件
-      let result;
-      switch (fileItem.converter) {
-        case 'word':
-          result = await this.processWordFile(fileItem);
-          break;
-        case 'pdf':
-          result = await this.processPdfFile(fileItem);
-          break;
-        case 'ocr':
-          result = await this.processImageFile(fileItem);
-          break;
-        default:
-          throw new Error(`不支持的转换器类型: ${fileItem.converter}`);
+      // 从注册表获取转换器处理文件
+      const converter = window.converterRegistry ? window.converterRegistry.get(fileItem.converter) : null;
+      if (!converter) {
+        throw new Error(`不支持的转换器类型: ${fileItem.converter}`);
       }
+      this.abortControllers.set(fileItem.id, new AbortController());
+      const result = await this.runConverter(converter, fileItem);
 
       // 处理成功
       fileItem.status = 'completed';
@@ -289,6 +371,11 @@ class FileProcessor {
       this.dispatchEvent('fileCompleted', { fileItem, result });
       
     } catch (error) {
+      if (CancelUtils.isCancelError(error)) {
+        this.handleFileCancelled(fileItem);
+        return;
+      }
+
       // 处理失败
       console.error(`❌ [DEBUG] 文件处理失败: ${fileItem.name}`);
       console.error(`❌ [DEBUG] 错误类型: ${error.constructor.name}`);
@@ -306,130 +393,145 @@ class FileProcessor {
       console.error(`处理文件 ${fileItem.name} 失败:`, error);
       this.dispatchEvent('fileError', { fileItem, error });
     } finally {
+      this.abortControllers.delete(fileItem.id);
       this.updateFileDisplay(fileItem);
+      this.persistFile(fileItem);
     }
   }
 
   /**
-   * 确保 WordConverter 准备就绪
+   * 记录已取消的文件
+   * @param {Object} fileItem - 文件项
    */
-  async ensureWordConverterReady() {
-    // 等待 WordConverter 加载
-    let attempts = 0;
-    const maxAttempts = 50; // 最多等待5秒
-    
-    while (!window.WordConverter && attempts < maxAttempts) {
-      await new Promise(resolve => setTimeout(resolve, 100));
-      attempts++;
-    }
-    
-    if (!window.WordConverter) {
-      throw new Error('WordConverter 加载超时。请检查网络连接和脚本加载。');
-    }
-    
-    // 检查依赖
-    if (typeof window.WordConverter.checkDependencies === 'function') {
-      const deps = window.WordConverter.checkDependencies();
-      if (!deps.mammoth) {
-        throw new Error('Mammoth.js 库未加载，无法处理 Word 文件');
-      }
-      if (!deps.turndown) {
-        throw new Error('TurndownService 库未加载，无法转换为 Markdown');
-      }
-    }
-    
-    console.log('✅ WordConverter 及其依赖已准备就绪');
+  handleFileCancelled(fileItem) {
+    console.log(`⏹️ [DEBUG] 文件处理已取消: ${fileItem.name}`);
+
+    fileItem.status = 'cancelled';
+    fileItem.endTime = Date.now();
+    fileItem.processingTime = fileItem.endTime - fileItem.startTime;
+    fileItem.partialMarkdown = '';
+
+    this.removeFromProcessingQueue(fileItem);
+    this.dispatchEvent('fileCancelled', { fileItem });
   }
 
   /**
-   * 处理 Word 文件
-   * @param {Object} fileItem - 文件项
+   * 取消文件处理：等待中的文件不再处理，处理中的文件通过取消信号终止转换
+   * @param {string} fileId - 文件ID
    */
-  async processWordFile(fileItem) {
-    console.log(`📄 [DEBUG] 开始处理 Word 文件: ${fileItem.name}`);
-    
-    // 检查 WordConverter 是否可用
-    await this.ensureWordConverterReady();
+  cancelFile(fileId) {
+    const fileItem = this.fileQueue.find(f => f.id === fileId);
+    if (!fileItem) return;
 
-    console.log(`✅ [DEBUG] WordConverter 准备就绪，开始转换: ${fileItem.name}`);
-    
-    // 使用静态方法或实例方法
-    let markdown;
-    if (typeof window.WordConverter.convertDocxToMarkdown === 'function') {
-      // 静态方法调用
-      console.log(`🔧 [DEBUG] 使用静态方法转换: ${fileItem.name}`);
-      this.updateFileProgress(fileItem, 20);
-      markdown = await window.WordConverter.convertDocxToMarkdown(fileItem.file);
-    } else {
-      // 实例方法调用
-      console.log(`🔧 [DEBUG] 使用实例方法转换: ${fileItem.name}`);
-      const converter = new window.WordConverter();
-      this.updateFileProgress(fileItem, 20);
-      markdown = await converter.convertDocxToMarkdown(fileItem.file);
+    if (fileItem.status === 'pending') {
+      fileItem.status = 'cancelled';
+      this.updateFileDisplay(fileItem);
+      this.persistFile(fileItem);
+      this.dispatchEvent('fileCancelled', { fileItem });
+    } else if (fileItem.status === 'processing' && this.abortControllers.has(fileId)) {
+      this.abortControllers.get(fileId).abort();
     }
-    
-    this.updateFileProgress(fileItem, 100);
-    
-    console.log(`✅ [DEBUG] Word 文件转换完成: ${fileItem.name}, 内容长度: ${markdown?.length || 0}`);
-    
+  }
+
+  /**
+   * 获取转换器对应的转换选项（读取用户保存的转换设置，附加文件自身的页码范围、密码回调、逐页进度回调、停止判断和取消信号）
+   * @param {Object} converter - 注册表中的转换器
+   * @param {Object} fileItem - 文件项（可选）
+   * @returns {Object} 转换选项
+   */
+  getConverterOptions(converter, fileItem = null) {
+    const options = converter.settingsGroup && window.ConversionSettings
+      ? new window.ConversionSettings().get(converter.settingsGroup)
+      : {};
+    if (!fileItem) return options;
+
     return {
-      type: 'markdown',
-      content: markdown,
-      source: fileItem.name
+      ...options,
+      pageRange: fileItem.pageRange,
+      onPassword: (request) => this.requestPassword(request),
+      onPageProcessed: (pageInfo) => this.handlePageProcessed(fileItem, pageInfo),
+      shouldStop: () => fileItem.stopRequested,
+      signal: this.abortControllers.has(fileItem.id) ? this.abortControllers.get(fileItem.id).signal : undefined
     };
   }
 
   /**
-   * 处理 PDF 文件
+   * 记录逐页解析进度并累积已转换页面的 Markdown
    * @param {Object} fileItem - 文件项
+   * @param {Object} pageInfo - { pageNumber, index, count, text, images, scanned, markdown }
    */
-  async processPdfFile(fileItem) {
-    // 检查 PDF 转换器是否可用
-    if (!window.PdfConverter) {
-      throw new Error('PdfConverter 未加载');
+  handlePageProcessed(fileItem, pageInfo) {
+    fileItem.processedPages = { current: pageInfo.index + 1, total: pageInfo.count };
+    if (pageInfo.markdown) {
+      fileItem.partialMarkdown += (fileItem.partialMarkdown ? '\n\n' : '') + pageInfo.markdown;
     }
+    this.updateFileDisplay(fileItem);
+    this.dispatchEvent('pageProcessed', { fileItem, pageInfo, markdown: fileItem.partialMarkdown });
+  }
 
-    const converter = new PdfConverter();
-    
-    this.updateFileProgress(fileItem, 10);
-    
-    const result = await converter.convertPdfToMarkdown(fileItem.file, (progress) => {
-      this.updateFileProgress(fileItem, 10 + progress * 0.9);
-    });
-    
-    return {
-      type: 'markdown',
-      content: result.markdown,
-      source: fileItem.name,
-      pages: result.pages,
-      images: result.images
-    };
+  /**
+   * 停止处理中的文件并保留已转换的页面
+   * @param {string} fileId - 文件ID
+   */
+  stopFile(fileId) {
+    const fileItem = this.fileQueue.find(f => f.id === fileId);
+    if (!fileItem || fileItem.status !== 'processing') return;
+
+    fileItem.stopRequested = true;
+    this.updateFileDisplay(fileItem);
+  }
+
+  /**
+   * 询问加密文件的密码
+   * @param {Object} request - { fileName, incorrect }
+   * @returns {Promise<string|null>} 密码，取消时为 null
+   */
+  requestPassword({ fileName, incorrect }) {
+    const message = incorrect
+      ? `密码错误，请重新输入“${fileName}”的密码`
+      : `“${fileName}”已加密，请输入打开密码`;
+
+    if (window.DOMUtils) {
+      return window.DOMUtils.promptPassword({ title: '需要密码', message });
+    }
+    return Promise.resolve(window.prompt(message));
   }
 
   /**
-   * 处理图片文件
+   * 调用注册的转换器处理文件
+   * @param {Object} converter - 注册表中的转换器
    * @param {Object} fileItem - 文件项
    */
-  async processImageFile(fileItem) {
-    // 检查图片转换器是否可用
-    if (!window.ImageConverter) {
-      throw new Error('ImageConverter 未加载');
+  async runConverter(converter, fileItem) {
+    if (!window.converterRegistry.isAvailable(converter)) {
+      throw new Error(`${converter.description} 转换依赖库未加载`);
     }
 
-    const converter = new ImageConverter();
-    
+    console.log(`🔧 [DEBUG] 使用 ${converter.name} 转换器处理: ${fileItem.name}`);
+    fileItem.processedPages = null;
+    fileItem.partialMarkdown = '';
+    fileItem.stopRequested = false;
     this.updateFileProgress(fileItem, 5);
-    
-    const result = await converter.convertImageToMarkdown(fileItem.file, (progress) => {
+
+    const options = this.getConverterOptions(converter, fileItem);
+    const result = await converter.convert(fileItem.file, options, (progress) => {
       this.updateFileProgress(fileItem, 5 + progress * 0.95);
     });
-    
+
+    // 不支持取消信号的转换器在取消后仍可能正常返回，结果丢弃
+    CancelUtils.throwIfAborted(options.signal);
+    fileItem.convertedPageRange = fileItem.pageRange;
+    fileItem.partialMarkdown = '';
+
+    console.log(`✅ [DEBUG] 文件转换完成: ${fileItem.name}, 内容长度: ${result.markdown?.length || 0}`);
+
     return {
       type: 'markdown',
       content: result.markdown,
       source: fileItem.name,
-      text: result.text,
-      confidence: result.confidence
+      assets: result.assets || [],
+      report: result.report,
+      ...result.additionalData
     };
   }
 
@@ -498,8 +600,13 @@ class FileProcessor {
     const queueContainer = document.getElementById('fileQueueContainer');
     if (!queueContainer) return;
 
+    if (this.fileQueue.length === 0) {
+      queueContainer.innerHTML = '<div class="empty-queue"><p>📋 暂无文件，请上传文件开始转换</p></div>';
+      return;
+    }
+
     const html = this.fileQueue.map(fileItem => this.renderFileItem(fileItem)).join('');
-    queueContainer.innerHTML = html;
+    queueContainer.innerHTML = this.renderQueueControls() + html;
   }
 
   /**
@@ -523,6 +630,7 @@ class FileProcessor {
       'processing': '🔄',
       'completed': '✅',
       'failed': '❌',
+      'cancelled': '⏹️',
       'unsupported': '⚠️'
     };
 
@@ -531,29 +639,34 @@ class FileProcessor {
       'processing': '处理中...',
       'completed': '转换完成',
       'failed': '转换失败',
+      'cancelled': '已取消',
       'unsupported': '格式不支持'
     };
 
     return `
-      <div id="file-${fileItem.id}" class="file-item ${fileItem.status}">
+      <div id="file-${fileItem.id}" class="file-item ${fileItem.status}" data-file-id="${fileItem.id}" ${fileItem.status === 'pending' ? 'draggable="true"' : ''}>
         <div class="file-info">
           <div class="file-icon">${this.getFileIcon(fileItem.type)}</div>
           <div class="file-details">
-            <div class="file-name">${fileItem.name}</div>
+            <div class="file-name">${DOMUtils.escapeHtml(fileItem.name)}</div>
             <div class="file-meta">
-              ${this.formatDetector.formatFileSize(fileItem.size)} • ${fileItem.description || '未知格式'}
+              ${this.formatDetector.formatFileSize(fileItem.size)} • ${DOMUtils.escapeHtml(fileItem.description || '未知格式')}
             </div>
             ${fileItem.warnings.length > 0 ? `
               <div class="file-warnings">
-                ${fileItem.warnings.map(w => `<span class="warning">⚠️ ${w}</span>`).join('')}
+                ${fileItem.warnings.map(w => `<span class="warning">⚠️ ${DOMUtils.escapeHtml(w)}</span>`).join('')}
               </div>
             ` : ''}
+            ${this.renderPageRangeField(fileItem)}
           </div>
         </div>
         <div class="file-status">
           <div class="status-info">
             <span class="status-icon">${statusIcon[fileItem.status]}</span>
             <span class="status-text">${statusText[fileItem.status]}</span>
+            ${fileItem.status === 'processing' && fileItem.processedPages ? `
+              <span class="page-progress">第 ${fileItem.processedPages.current} / ${fileItem.processedPages.total} 页</span>
+            ` : ''}
           </div>
           ${fileItem.status === 'processing' || fileItem.status === 'completed' ? `
             <div class="progress-bar">
@@ -562,27 +675,96 @@ class FileProcessor {
             <div class="progress-text">${Math.round(fileItem.progress)}%</div>
           ` : ''}
           ${fileItem.error ? `
-            <div class="error-message">${fileItem.error}</div>
+            <div class="error-message">${DOMUtils.escapeHtml(fileItem.error)}</div>
           ` : ''}
           ${fileItem.status === 'completed' && fileItem.processingTime ? `
             <div class="processing-time">用时: ${(fileItem.processingTime / 1000).toFixed(1)}s</div>
           ` : ''}
+          ${this.renderConversionReport(fileItem.result && fileItem.result.report)}
         </div>
         <div class="file-actions">
           ${fileItem.status === 'pending' ? `
+            <button class="btn-small" onclick="fileProcessor.prioritizeFile('${fileItem.id}')">优先</button>
             <button class="btn-small" onclick="fileProcessor.removeFile('${fileItem.id}')">移除</button>
           ` : ''}
-          ${fileItem.status === 'failed' ? `
+          ${fileItem.status === 'pending' || fileItem.status === 'processing' ? `
+            <button class="btn-small" onclick="fileProcessor.cancelFile('${fileItem.id}')">取消</button>
+          ` : ''}
+          ${fileItem.status === 'processing' && fileItem.partialMarkdown ? `
+            <button class="btn-small" onclick="fileProcessor.viewResult('${fileItem.id}')">预览</button>
+          ` : ''}
+          ${fileItem.status === 'processing' && fileItem.processedPages ? `
+            <button class="btn-small" onclick="fileProcessor.stopFile('${fileItem.id}')" ${fileItem.stopRequested ? 'disabled' : ''}>
+              ${fileItem.stopRequested ? '正在停止...' : '停止并保留'}
+            </button>
+          ` : ''}
+          ${fileItem.status === 'failed' || fileItem.status === 'cancelled' ? `
             <button class="btn-small" onclick="fileProcessor.retryFile('${fileItem.id}')">重试</button>
           ` : ''}
           ${fileItem.status === 'completed' ? `
             <button class="btn-small" onclick="fileProcessor.viewResult('${fileItem.id}')">查看</button>
           ` : ''}
+          ${fileItem.status === 'completed' && fileItem.pageRange !== fileItem.convertedPageRange ? `
+            <button class="btn-small" onclick="fileProcessor.retryFile('${fileItem.id}')">重新转换</button>
+          ` : ''}
         </div>
       </div>
     `;
   }
 
+  /**
+   * 渲染 PDF 页码范围输入框（处理中的文件不可修改）
+   * @param {Object} fileItem - 文件项
+   */
+  renderPageRangeField(fileItem) {
+    if (fileItem.converter !== 'pdf' || fileItem.status === 'processing' || fileItem.status === 'unsupported') return '';
+
+    return `
+      <label class="page-range-field">
+        <span>页码范围</span>
+        <input type="text" value="${this.escapeHtml(fileItem.pageRange)}" placeholder="全部，如 1-5, 9, 12-"
+          onchange="fileProcessor.setPageRange('${fileItem.id}', this.value)">
+      </label>
+    `;
+  }
+
+  /**
+   * 设置文件的页码范围
+   * @param {string} fileId - 文件ID
+   * @param {string} pageRange - 页码范围
+   */
+  setPageRange(fileId, pageRange) {
+    const fileItem = this.fileQueue.find(f => f.id === fileId);
+    if (!fileItem || fileItem.status === 'processing') return;
+
+    fileItem.pageRange = String(pageRange || '').trim();
+    this.updateFileDisplay(fileItem);
+    this.persistFile(fileItem);
+  }
+
+  /**
+   * 渲染转换报告
+   * @param {Object} report - 转换报告 { warnings, droppedImages, unmappedStyles, needsReview }
+   */
+  renderConversionReport(report) {
+    if (!report || !report.needsReview) return '';
+
+    const summary = [];
+    if (report.warnings.length > 0) summary.push(`${report.warnings.length} 条警告`);
+    if (report.droppedImages > 0) summary.push(`${report.droppedImages} 张图片丢失`);
+    if (report.unmappedStyles.length > 0) summary.push(`${report.unmappedStyles.length} 个未映射样式`);
+
+    return `
+      <details class="conversion-report">
+        <summary>⚠️ 需人工复核：${summary.join('，')}</summary>
+        <ul>
+          ${report.warnings.map(w => `<li class="report-${w.type}">${DOMUtils.escapeHtml(w.message)}</li>`).join('')}
+          ${report.unmappedStyles.map(style => `<li class="report-warning">未映射样式：${DOMUtils.escapeHtml(style.styleName)}</li>`).join('')}
+        </ul>
+      </details>
+    `;
+  }
+
   /**
    * 获取文件图标
    * @param {string} type - 文件类型
@@ -606,42 +788,78 @@ class FileProcessor {
       this.fileQueue.splice(index, 1);
       this.updateQueueDisplay();
       this.updateOverallProgress();
+      this.unpersistFiles([fileId]);
     }
   }
 
   /**
-   * 重试文件处理
+   * 重试文件处理（失败或已取消的文件，或修改了页码范围的已完成文件）
    * @param {string} fileId - 文件ID
    */
   async retryFile(fileId) {
     const fileItem = this.fileQueue.find(f => f.id === fileId);
-    if (fileItem && fileItem.status === 'failed') {
+    if (fileItem && ['failed', 'cancelled', 'completed'].includes(fileItem.status)) {
       fileItem.status = 'pending';
       fileItem.progress = 0;
       fileItem.error = null;
+      fileItem.result = null;
       
-      // 从失败列表中移除
-      const failedIndex = this.failedFiles.findIndex(f => f.id === fileId);
-      if (failedIndex > -1) {
-        this.failedFiles.splice(failedIndex, 1);
-      }
+      // 从失败或完成列表中移除
+      [this.failedFiles, this.completedFiles].forEach(list => {
+        const index = list.findIndex(f => f.id === fileId);
+        if (index > -1) {
+          list.splice(index, 1);
+        }
+      });
       
       this.updateFileDisplay(fileItem);
+      this.persistFile(fileItem);
       
       // 如果没有在处理中，开始处理
       if (!this.isProcessing) {
         await this.startProcessing();
+      } else {
+        this.dispatchNext();
       }
     }
   }
 
   /**
-   * 查看转换结果
+   * 调整等待中文件的处理顺序
+   * @param {string} fileId - 移动的文件ID
+   * @param {string} targetFileId - 移动到该文件之前，为空时移到队尾
+   */
+  moveFile(fileId, targetFileId = null) {
+    if (fileId === targetFileId) return;
+
+    const fileItem = this.fileQueue.find(f => f.id === fileId);
+    if (!fileItem || fileItem.status !== 'pending') return;
+
+    this.fileQueue.splice(this.fileQueue.indexOf(fileItem), 1);
+    const targetIndex = this.fileQueue.findIndex(f => f.id === targetFileId);
+    this.fileQueue.splice(targetIndex > -1 ? targetIndex : this.fileQueue.length, 0, fileItem);
+
+    this.updateQueueDisplay();
+    this.persistQueueOrder();
+    this.dispatchEvent('queueReordered', { fileItem, order: this.fileQueue.map(f => f.id) });
+  }
+
+  /**
+   * 优先处理文件：移到第一个等待中的文件之前
+   * @param {string} fileId - 文件ID
+   */
+  prioritizeFile(fileId) {
+    const firstPending = this.getPendingFiles()[0];
+    if (firstPending) this.moveFile(fileId, firstPending.id);
+  }
+
+  /**
+   * 查看转换结果（处理中的文件查看已转换页面的预览，后续页面会继续推送）
    * @param {string} fileId - 文件ID
    */
   viewResult(fileId) {
     const fileItem = this.fileQueue.find(f => f.id === fileId);
-    if (fileItem && fileItem.result) {
+    if (fileItem && (fileItem.result || fileItem.partialMarkdown)) {
       this.dispatchEvent('viewResult', { fileItem });
     }
   }
@@ -703,7 +921,8 @@ class FileProcessor {
       pending: this.fileQueue.filter(item => item.status === 'pending').length,
       processing: this.fileQueue.filter(item => item.status === 'processing').length,
       completed: this.fileQueue.filter(item => item.status === 'completed').length,
-      failed: this.fileQueue.filter(item => item.status === 'failed').length
+      failed: this.fileQueue.filter(item => item.status === 'failed').length,
+      cancelled: this.fileQueue.filter(item => item.status === 'cancelled').length
     };
   }
 
@@ -716,9 +935,214 @@ class FileProcessor {
     this.completedFiles = [];
     this.failedFiles = [];
     this.updateQueueDisplay();
+    this.unpersistFiles(null);
     this.dispatchEvent('queueCleared', {});
   }
 
+  /**
+   * 生成保存到 IndexedDB 的文件记录（文件内容、状态和转换结果，不含处理中的临时状态）
+   * 转换结果只保存 Markdown、资源和报告，转换器的附加数据（如 PDF 各页内容）体积大且恢复后不再使用
+   * @param {Object} fileItem - 文件项
+   * @returns {Object} 文件记录
+   */
+  createStoredFile(fileItem) {
+    return {
+      id: fileItem.id,
+      file: fileItem.file,
+      name: fileItem.name,
+      size: fileItem.size,
+      type: fileItem.type,
+      converter: fileItem.converter,
+      mimeType: fileItem.mimeType,
+      typeMismatch: fileItem.typeMismatch,
+      description: fileItem.description,
+      isSupported: fileItem.isSupported,
+      error: fileItem.error,
+      warnings: fileItem.warnings,
+      pageRange: fileItem.pageRange,
+      convertedPageRange: fileItem.convertedPageRange,
+      status: fileItem.status,
+      progress: fileItem.progress,
+      result: fileItem.result ? {
+        type: fileItem.result.type,
+        content: fileItem.result.content,
+        source: fileItem.result.source,
+        assets: fileItem.result.assets,
+        report: fileItem.result.report
+      } : null,
+      processingTime: fileItem.processingTime,
+      addedAt: fileItem.addedAt
+    };
+  }
+
+  /**
+   * 由保存的文件记录还原文件项（中断时处理中的文件恢复为等待处理）
+   * @param {Object} record - 文件记录
+   * @returns {Object} 文件项
+   */
+  createFileItemFromStored(record) {
+    const interrupted = record.status === 'processing';
+
+    return {
+      ...record,
+      status: interrupted ? 'pending' : record.status,
+      progress: interrupted ? 0 : record.progress,
+      warnings: record.warnings || [],
+      processedPages: null,
+      partialMarkdown: '',
+      stopRequested: false,
+      startTime: null,
+      endTime: null
+    };
+  }
+
+  /**
+   * 保存文件项（失败时只记录警告，不影响转换）
+   * @param {Object} fileItem - 文件项
+   */
+  persistFile(fileItem) {
+    if (!this.storage) return;
+
+    this.storage.saveFile(this.createStoredFile(fileItem)).catch(error => {
+      console.warn(`保存队列文件 ${fileItem.name} 失败:`, error);
+    });
+  }
+
+  /**
+   * 保存队列顺序
+   */
+  persistQueueOrder() {
+    if (!this.storage) return;
+
+    this.storage.saveOrder(this.fileQueue.map(f => f.id)).catch(error => {
+      console.warn('保存队列顺序失败:', error);
+    });
+  }
+
+  /**
+   * 删除保存的文件项
+   * @param {Array|null} ids - 文件ID列表，为 null 时删除全部
+   */
+  unpersistFiles(ids) {
+    if (!this.storage) return;
+
+    const request = ids === null
+      ? this.storage.getFiles().then(records => this.storage.deleteFiles(records.map(record => record.id)))
+      : this.storage.deleteFiles(ids);
+
+    request.then(() => this.persistQueueOrder()).catch(error => {
+      console.warn('删除保存的队列文件失败:', error);
+    });
+  }
+
+  /**
+   * 从 IndexedDB 恢复上次的文件队列
+   * 有等待处理的文件时队列保持暂停，由用户点击"继续"恢复转换
+   * @returns {Promise<number>} 恢复的文件数
+   */
+  async restoreQueue() {
+    if (!this.storage) return 0;
+
+    let records;
+    try {
+      records = await this.storage.getFiles();
+    } catch (error) {
+      console.warn('恢复文件队列失败:', error);
+      return 0;
+    }
+    this.updateStorageView();
+
+    const knownIds = new Set(this.fileQueue.map(f => f.id));
+    const restored = records.filter(record => !knownIds.has(record.id)).map(record => this.createFileItemFromStored(record));
+    if (restored.length === 0) return 0;
+
+    restored.forEach(fileItem => {
+      this.fileQueue.push(fileItem);
+      if (fileItem.status === 'completed') this.completedFiles.push(fileItem);
+      if (fileItem.status === 'failed') this.failedFiles.push(fileItem);
+    });
+
+    const pending = restored.filter(f => f.status === 'pending' && f.isSupported).length;
+    if (pending > 0 && !this.isProcessing) this.isPaused = true;
+
+    this.updateQueueDisplay();
+    this.updateOverallProgress();
+    this.dispatchEvent('queueRestored', { restored: restored.length, pending });
+    return restored.length;
+  }
+
+  /**
+   * 清除保存的数据
+   * @param {string} scope - 'finished' 清除已完成、失败和已取消的文件及转换历史；'all' 清空队列和全部保存的数据
+   */
+  async purgeStorage(scope = 'finished') {
+    if (!this.storage) return;
+
+    try {
+      if (scope === 'all') {
+        if (!confirm('确定要清空队列并删除全部保存的文件和转换结果吗？')) return;
+
+        this.abortControllers.forEach(controller => controller.abort());
+        this.clearQueue();
+        await this.storage.clearAll();
+      } else {
+        const finished = this.fileQueue.filter(f => ['completed', 'failed', 'cancelled'].includes(f.status));
+        const ids = new Set(finished.map(f => f.id));
+
+        this.fileQueue = this.fileQueue.filter(f => !ids.has(f.id));
+        this.completedFiles = this.completedFiles.filter(f => !ids.has(f.id));
+        this.failedFiles = this.failedFiles.filter(f => !ids.has(f.id));
+
+        await this.storage.deleteFiles(Array.from(ids));
+        await this.storage.saveOrder(this.fileQueue.map(f => f.id));
+        await this.storage.clearHistory();
+        this.updateQueueDisplay();
+        this.updateOverallProgress();
+      }
+
+      this.dispatchEvent('storagePurged', { scope });
+    } catch (error) {
+      console.warn('清除保存的数据失败:', error);
+    }
+  }
+
+  /**
+   * 重新统计存储占用并更新显示
+   */
+  async updateStorageView() {
+    if (!this.storage) return;
+
+    try {
+      this.storageUsage = await this.storage.getUsage();
+    } catch (error) {
+      console.warn('读取存储占用失败:', error);
+      this.storageUsage = null;
+    }
+
+    const container = document.getElementById('queueStorageInfo');
+    if (container) container.innerHTML = this.renderStorageInfo();
+  }
+
+  /**
+   * 渲染存储占用（使用最近一次统计的结果）
+   * @returns {string} HTML
+   */
+  renderStorageInfo() {
+    const usage = this.storageUsage;
+    if (!usage) return '';
+
+    const formatSize = (bytes) => this.formatDetector.formatFileSize(bytes);
+
+    return `
+      <span class="storage-usage">
+        已保存 ${usage.files} 个文件、${usage.history} 条历史，约 ${formatSize(usage.bytes)}
+        ${usage.usage !== null && usage.quota ? `（本站点已用 ${formatSize(usage.usage)} / ${formatSize(usage.quota)}，${(usage.usage / usage.quota * 100).toFixed(1)}%）` : ''}
+      </span>
+      <button class="btn-small" onclick="fileProcessor.purgeStorage('finished')">清除已完成</button>
+      <button class="btn-small" onclick="fileProcessor.purgeStorage('all')">清除全部</button>
+    `;
+  }
+
   /**
    * 开始处理所有文件
    */
@@ -732,80 +1156,98 @@ class FileProcessor {
     }
     
     console.log('✅ [DEBUG] 开始处理文件队列，文件数量:', this.fileQueue.length);
-    this.isProcessing = true;
-    this.processQueue().catch(error => {
-      console.error('❌ [DEBUG] processQueue 执行失败:', error);
-      this.isProcessing = false;
-    });
+    this.resumeAll();
   }
 
   /**
-   * 暂停处理
+   * 暂停处理：不再开始新文件，处理中的文件继续完成
    */
   pauseAll() {
-    this.isProcessing = false;
+    if (this.isPaused) return;
+
+    this.isPaused = true;
     console.log('文件处理已暂停');
+    this.updateQueueDisplay();
+    this.dispatchEvent('queuePaused', { processing: this.processingQueue.length });
   }
 
   /**
-   * 更新队列显示
+   * 继续处理暂停的队列
    */
-  updateQueueDisplay() {
-    const container = document.getElementById('fileQueueContainer');
-    if (!container) return;
+  resumeAll() {
+    this.isPaused = false;
+    this.updateQueueDisplay();
+    this.dispatchEvent('queueResumed', { pending: this.getPendingFiles().length });
 
-    if (this.fileQueue.length === 0) {
-      container.innerHTML = '<div class="empty-queue"><p>📋 暂无文件，请上传文件开始转换</p></div>';
-      return;
+    if (this.isProcessing) {
+      this.dispatchNext();
+    } else {
+      this.startProcessing();
+    }
+  }
+
+  /**
+   * 设置并发处理槽数并保存
+   * @param {number|string} value - 槽数（1-8）
+   */
+  setMaxConcurrent(value) {
+    const maxConcurrent = parseInt(value, 10);
+    if (!(maxConcurrent >= 1 && maxConcurrent <= 8)) return;
+
+    this.maxConcurrent = maxConcurrent;
+    try {
+      localStorage.setItem(this.concurrencyStorageKey, String(maxConcurrent));
+    } catch (error) {
+      console.warn('保存并发设置失败:', error);
     }
 
-    const queueHTML = this.fileQueue.map(item => this.createFileItemHTML(item)).join('');
-    container.innerHTML = queueHTML;
+    // 槽位增加时立即开始等待中的文件
+    this.dispatchNext();
   }
 
   /**
-   * 创建文件项 HTML
+   * 从本地存储加载并发处理槽数
    */
-  createFileItemHTML(item) {
-    const statusIcons = {
-      pending: '⏳',
-      processing: '🔄',
-      completed: '✅',
-      failed: '❌'
-    };
+  loadConcurrency() {
+    try {
+      const saved = parseInt(localStorage.getItem(this.concurrencyStorageKey), 10);
+      if (saved >= 1 && saved <= 8) this.maxConcurrent = saved;
+    } catch (error) {
+      console.warn('加载并发设置失败:', error);
+    }
+  }
 
-    const statusTexts = {
-      pending: '等待处理',
-      processing: '处理中...',
-      completed: '已完成',
-      failed: '处理失败'
-    };
+  /**
+   * 生成占用多个槽位的转换器说明（按注册表中的 cost）
+   * @returns {string} 说明文字，如 "PDF 文档占 2 个槽位；"
+   */
+  getCostHint() {
+    const converters = window.converterRegistry ? window.converterRegistry.getAll().filter(c => c.cost > 1) : [];
+    return converters.map(c => `${c.description}占 ${c.cost} 个槽位；`).join('');
+  }
+
+  /**
+   * 渲染队列控制栏（暂停/继续、并发槽数）
+   */
+  renderQueueControls() {
+    const options = [1, 2, 3, 4, 6, 8].map(value => `
+      <option value="${value}" ${value === this.maxConcurrent ? 'selected' : ''}>${value}</option>
+    `).join('');
 
     return `
-      <div class="file-item ${item.status}" data-file-id="${item.id}">
-        <div class="file-info">
-          <div class="file-icon">${window.FileUtils?.getFileIcon(item.file) || '📄'}</div>
-          <div class="file-details">
-            <div class="file-name">${item.file.name}</div>
-            <div class="file-meta">
-              ${window.FileUtils?.formatFileSize(item.file.size) || item.file.size + ' bytes'} • 
-              ${item.file.type || '未知类型'}
-            </div>
-            ${item.error ? `<div class="error-message">${item.error}</div>` : ''}
-          </div>
-        </div>
-        <div class="file-status">
-          <div class="status-info">
-            <span class="status-icon">${statusIcons[item.status]}</span>
-            <span>${statusTexts[item.status]}</span>
-          </div>
-          ${item.status === 'processing' ? `
-            <div class="progress-bar">
-              <div class="progress-fill" style="width: ${item.progress || 0}%"></div>
-            </div>
-            <div class="progress-text">${Math.round(item.progress || 0)}%</div>
-          ` : ''}
-        </div>
+      <div class="queue-controls">
+        ${this.isPaused ? `
+          <button class="btn-small" onclick="fileProcessor.resumeAll()">▶️ 继续</button>
+          <span class="queue-paused">已暂停${this.processingQueue.length > 0 ? `，${this.processingQueue.length} 个文件处理完后停止` : ''}</span>
+        ` : `
+          <button class="btn-small" onclick="fileProcessor.pauseAll()">⏸️ 暂停</button>
+        `}
+        <label class="concurrency-field">
+          <span>并发槽数</span>
+          <select onchange="fileProcessor.setMaxConcurrent(this.value)">${options}</select>
+        </label>
+        <span class="queue-hint">${this.getCostHint()}拖动等待中的文件可调整顺序</span>
+        ${this.storage ? `<div class="storage-info" id="queueStorageInfo">${this.renderStorageInfo()}</div>` : ''}
       </div>
     `;
   }
@@ -814,6 +1256,8 @@ class FileProcessor {
    * 销毁文件处理器
    */
   destroy() {
+    // 只释放内存中的队列，保留已保存的数据以便下次恢复
+    this.storage = null;
     this.clearQueue();
     this.isProcessing = false;
   }
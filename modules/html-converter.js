@@ -0,0 +1,175 @@
+/**
+ * HTML 转换器模块
+ * 负责将保存的网页 (.html/.htm) 转换为 Markdown，并为 RTF、ODT 等先生成 HTML 的转换器提供统一的 HTML -> Markdown 路径
+ */
+
+class HtmlConverter {
+  constructor() {
+    this.imageMode = 'assets'; // 'assets' | 'inline' | 'none'
+
+    // 转换时移除的元素（脚本、样式及网页导航等非正文内容）
+    this.removedSelectors = ['script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed', 'link', 'meta', 'nav', 'form'];
+  }
+
+  /**
+   * 将 HTML 文件转换为 Markdown
+   * @param {File} file - HTML 文件
+   * @param {Object} options - 转换选项
+   * @param {string} options.imageMode - 图片处理方式：'assets' | 'inline' | 'none'
+   * @returns {Promise<Object>} 转换结果 { markdown, assets, report }
+   */
+  async convertHtmlToMarkdown(file, options = {}) {
+    const arrayBuffer = await FileUtils.readAsArrayBuffer(file);
+    const html = this.decodeHtml(arrayBuffer);
+
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    this.removedSelectors.forEach(selector => {
+      doc.querySelectorAll(selector).forEach(el => el.remove());
+    });
+
+    // 保存的网页中优先取唯一的正文区域
+    const mains = doc.querySelectorAll('main, article');
+    const root = mains.length === 1 ? mains[0] : doc.body;
+
+    const assets = [];
+    const imageStats = { total: 0, dropped: 0 };
+    const warnings = [];
+    const baseName = FileUtils.getBaseName(file.name);
+    const imageMode = options.imageMode || this.imageMode;
+    let localImages = 0;
+
+    Array.from(root.querySelectorAll('img')).forEach(img => {
+      const src = img.getAttribute('src') || '';
+      imageStats.total++;
+
+      const match = /^data:([^;,]+);base64,(.*)$/i.exec(src);
+      if (match) {
+        const newSrc = AssetUtils.addImage(assets, baseName, match[1], match[2], imageMode);
+        if (!newSrc) imageStats.dropped++;
+        img.setAttribute('src', newSrc);
+      } else if (imageMode === 'none') {
+        imageStats.dropped++;
+        img.setAttribute('src', '');
+      } else if (src && !/^(https?:)?\/\//i.test(src)) {
+        localImages++;
+      }
+    });
+
+    if (localImages > 0) {
+      warnings.push({
+        type: 'warning',
+        message: `${localImages} 张图片引用了本地路径，导出后可能无法显示`
+      });
+    }
+
+    const markdown = this.htmlToMarkdown(root.innerHTML);
+    return {
+      markdown,
+      assets,
+      report: this.buildConversionReport(warnings, imageStats)
+    };
+  }
+
+  /**
+   * 通用转换入口（供 ConversionManager 调用）
+   */
+  async convertToMarkdown(file, options = {}) {
+    return await this.convertHtmlToMarkdown(file, options);
+  }
+
+  /**
+   * 将 HTML 字符串转换为 Markdown
+   * @param {string} html - HTML 内容
+   * @returns {string} Markdown
+   */
+  htmlToMarkdown(html) {
+    return TurndownRules.createTurndownService().turndown(html).trim();
+  }
+
+  /**
+   * 生成转换报告（结构与 Word 转换报告一致）
+   * @param {Array} warnings - 警告 [{ type, message }]
+   * @param {Object} imageStats - 图片统计 { total, dropped }
+   * @returns {Object} 转换报告
+   */
+  buildConversionReport(warnings, imageStats) {
+    return {
+      warnings,
+      totalImages: imageStats.total,
+      droppedImages: imageStats.dropped,
+      unmappedStyles: [],
+      needsReview: warnings.length > 0 || imageStats.dropped > 0
+    };
+  }
+
+  /**
+   * 按 BOM 或 meta charset 解码 HTML
+   * @param {ArrayBuffer} arrayBuffer - 文件内容
+   * @returns {string} HTML 文本
+   */
+  decodeHtml(arrayBuffer) {
+    const bytes = new Uint8Array(arrayBuffer);
+    let charset = 'utf-8';
+
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+      charset = 'utf-16le';
+    } else if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+      charset = 'utf-16be';
+    } else if (!(bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF)) {
+      const head = String.fromCharCode(...bytes.subarray(0, 1024));
+      const match = /<meta[^>]+charset\s*=\s*["']?([\w-]+)/i.exec(head);
+      if (match) charset = match[1].toLowerCase();
+    }
+
+    try {
+      return new TextDecoder(charset).decode(bytes);
+    } catch (error) {
+      console.warn(`不支持的字符编码 ${charset}，按 UTF-8 解码`);
+      return new TextDecoder('utf-8').decode(bytes);
+    }
+  }
+
+  /**
+   * 检查依赖是否可用
+   * @returns {boolean} 是否可用
+   */
+  isAvailable() {
+    return !!TurndownRules.getTurndownConstructor();
+  }
+
+  /**
+   * 获取支持的文件类型
+   * @returns {Array} 支持的 MIME 类型
+   */
+  getSupportedTypes() {
+    return ['text/html'];
+  }
+}
+
+// 导出模块
+window.HtmlConverter = HtmlConverter;
+
+// 注册到转换器注册表
+if (window.converterRegistry) {
+  window.converterRegistry.register({
+    name: 'html',
+    description: 'HTML 网页',
+    type: 'document',
+    mimeTypes: ['text/html'],
+    extensions: ['.html', '.htm'],
+    maxSize: 20 * 1024 * 1024, // 20MB
+    settingsGroup: 'document',
+    timeMultiplier: 0.2,
+    isAvailable: () => new HtmlConverter().isAvailable(),
+    convert: async (file, options = {}, onProgress = null) => {
+      if (onProgress) onProgress(10);
+      const result = await new HtmlConverter().convertToMarkdown(file, options);
+      if (onProgress) onProgress(100);
+
+      return {
+        ...result,
+        metadata: { images: result.assets.length }
+      };
+    }
+  });
+}
@@ -59,24 +59,47 @@ class ImageConverter {
    * 将图片文件转换为 Markdown
    * @param {File} file - 图片文件
    * @param {Function} onProgress - 进度回调函数
+   * @param {Object} options - 转换选项
+   * @param {AbortSignal} options.signal - 取消信号，取消后终止 OCR Worker 并以 AbortError 结束
    * @returns {Promise<Object>} 转换结果
    */
-  async convertImageToMarkdown(file, onProgress = null) {
-    await this.init();
-    
-    // 只在实际需要转换时才初始化Worker（避免AudioContext警告）
-    await this.initWorker();
+  async convertImageToMarkdown(file, onProgress = null, options = {}) {
+    const signal = options.signal || null;
+    const onAbort = () => this.destroy();
+    if (signal) signal.addEventListener('abort', onAbort);
+
+    try {
+      CancelUtils.throwIfAborted(signal);
+      await this.init();
+      
+      // 只在实际需要转换时才初始化Worker（避免AudioContext警告）
+      await CancelUtils.race(this.initWorker(), signal);
+
+      return await this.recognizeFile(file, onProgress, signal);
+    } finally {
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  }
 
+  /**
+   * 识别图片文件并生成 Markdown
+   * @param {File} file - 图片文件
+   * @param {Function} onProgress - 进度回调函数
+   * @param {AbortSignal} signal - 取消信号
+   * @returns {Promise<Object>} 转换结果
+   */
+  async recognizeFile(file, onProgress, signal) {
     try {
       if (onProgress) onProgress(5);
 
       // 预处理图片
       const processedImage = await this.preprocessImage(file);
+      CancelUtils.throwIfAborted(signal);
       
       if (onProgress) onProgress(15);
 
-      // 执行 OCR 识别
-      const ocrResult = await this.performOCR(processedImage, onProgress);
+      // 执行 OCR 识别（取消时 Worker 已被终止，不等待识别结果）
+      const ocrResult = await CancelUtils.race(this.performOCR(processedImage, onProgress), signal);
       
       if (onProgress) onProgress(85);
 
@@ -108,6 +131,8 @@ class ImageConverter {
       };
 
     } catch (error) {
+      if (CancelUtils.isCancelError(error)) throw error;
+
       console.error('图片转换失败:', error);
       throw new Error(`图片转换失败: ${error.message}`);
     }
@@ -492,13 +517,64 @@ class ImageConverter {
    * 销毁转换器
    */
   async destroy() {
-    if (this.worker) {
-      await this.worker.terminate();
-      this.worker = null;
-    }
+    const worker = this.worker;
+    this.worker = null;
     this.isInitialized = false;
+    if (worker) {
+      await worker.terminate();
+    }
   }
 }
 
 // 导出模块
-window.ImageConverter = ImageConverter;
\ No newline at end of file
+window.ImageConverter = ImageConverter;
+
+// 注册到转换器注册表
+if (window.converterRegistry) {
+  window.converterRegistry.register({
+    name: 'ocr',
+    description: '图片',
+    type: 'image',
+    mimeTypes: ['image/png', 'image/jpeg', 'image/jpg', 'image/gif', 'image/webp'],
+    extensions: ['.png', '.jpg', '.jpeg', '.gif', '.webp'],
+    extensionMimeTypes: { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.webp': 'image/webp' },
+    magic: [
+      { offset: 0, bytes: [0x89, 0x50, 0x4E, 0x47] }, // PNG
+      { offset: 0, bytes: [0xFF, 0xD8, 0xFF] }, // JPEG
+      { offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF
+      (bytes) => String.fromCharCode(...bytes.subarray(8, 12)) === 'WEBP'
+    ],
+    maxSize: 20 * 1024 * 1024, // 20MB
+    timeMultiplier: 2.0,
+    cost: 2,
+    isAvailable: () => new ImageConverter().isAvailable(),
+    convert: async (file, options = {}, onProgress = null) => {
+      const converter = new ImageConverter();
+
+      try {
+        const result = await converter.convertImageToMarkdown(file, onProgress, { signal: options.signal });
+
+        return {
+          markdown: result.imageBase64
+            ? result.markdown.replace('{IMAGE_BASE64}', result.imageBase64)
+            : result.markdown,
+          assets: [],
+          metadata: {
+            confidence: result.confidence,
+            wordsCount: result.words ? result.words.length : 0,
+            imageInfo: result.imageInfo
+          },
+          additionalData: {
+            text: result.text,
+            confidence: result.confidence,
+            words: result.words,
+            lines: result.lines,
+            paragraphs: result.paragraphs
+          }
+        };
+      } finally {
+        await converter.destroy();
+      }
+    }
+  });
+}
@@ -30,23 +30,27 @@ class MarkdownEditor {
    */
   setupMarked() {
     if (typeof marked !== 'undefined') {
+      // marked 9 已移除 highlight、tables、sanitize 选项（传入时被忽略，HTML 一直原样输出）
       marked.setOptions({
-        highlight: function(code, lang) {
-          if (lang && typeof hljs !== 'undefined' && hljs.getLanguage(lang)) {
-            try {
-              return hljs.highlight(code, { language: lang }).value;
-            } catch (err) {
-              console.warn('语法高亮失败:', err);
-            }
-          }
-          return typeof hljs !== 'undefined' ? hljs.highlightAuto(code).value : code;
-        },
         breaks: true,
-        gfm: true,
-        tables: true,
-        sanitize: false
+        gfm: true
       });
+
+      MarkdownEditor.registerMarkedExtensions();
+    }
+  }
+
+  /**
+   * 为全局 Marked.js 注册扩展（页面内只注册一次，转换结果页也调用此方法）
+   */
+  static registerMarkedExtensions() {
+    if (typeof marked === 'undefined' || MarkdownEditor.markedExtensionsRegistered) return;
+
+    // 启用脚注语法（[^1] 引用与 [^1]: 定义）
+    if (typeof markedFootnote !== 'undefined') {
+      marked.use(markedFootnote());
     }
+    MarkdownEditor.markedExtensionsRegistered = true;
   }
 
   /**
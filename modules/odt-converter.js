@@ -0,0 +1,492 @@
+/**
+ * ODT 转换器模块
+ * 负责解析 OpenDocument 文本 (.odt) 的 content.xml，生成 HTML 后经 HtmlConverter 转换为 Markdown
+ */
+
+class OdtConverter {
+  constructor() {
+    this.imageMode = 'assets'; // 'assets' | 'inline' | 'none'
+    this.htmlConverter = new window.HtmlConverter();
+
+    this.ns = {
+      text: 'urn:oasis:names:tc:opendocument:xmlns:text:1.0',
+      table: 'urn:oasis:names:tc:opendocument:xmlns:table:1.0',
+      draw: 'urn:oasis:names:tc:opendocument:xmlns:drawing:1.0',
+      style: 'urn:oasis:names:tc:opendocument:xmlns:style:1.0',
+      fo: 'urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0',
+      office: 'urn:oasis:names:tc:opendocument:xmlns:office:1.0',
+      xlink: 'http://www.w3.org/1999/xlink'
+    };
+
+    // 内置段落/字符样式名到 HTML 的映射（样式名中的空格在 ODF 中编码为 _20_）
+    this.paragraphStyleTags = {
+      'Title': 'h1',
+      'Subtitle': 'h2',
+      'Preformatted_20_Text': 'pre',
+      'Quotations': 'blockquote'
+    };
+    this.characterStyleTags = {
+      'Source_20_Text': 'code',
+      'Strong_20_Emphasis': 'strong',
+      'Emphasis': 'em'
+    };
+  }
+
+  /**
+   * 将 ODT 文件转换为 Markdown
+   * @param {File} file - ODT 文件
+   * @param {Object} options - 转换选项
+   * @param {string} options.imageMode - 图片处理方式：'assets' | 'inline' | 'none'
+   * @returns {Promise<Object>} 转换结果 { markdown, assets, report }
+   */
+  async convertOdtToMarkdown(file, options = {}) {
+    if (typeof JSZip === 'undefined') {
+      throw new Error('JSZip 库未加载，无法读取 ODT 文档');
+    }
+
+    const arrayBuffer = await FileUtils.readAsArrayBuffer(file);
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(arrayBuffer);
+    } catch (error) {
+      throw new Error(`${file.name} 不是有效的 ODT 文档`);
+    }
+
+    const contentFile = zip.file('content.xml');
+    if (!contentFile) {
+      throw new Error(`${file.name} 缺少 content.xml，不是有效的 ODT 文档`);
+    }
+
+    const content = this.parseXml(await contentFile.async('string'));
+    const stylesFile = zip.file('styles.xml');
+    const styles = stylesFile ? this.parseXml(await stylesFile.async('string')) : null;
+
+    const state = {
+      styles: this.collectStyles([styles, content]),
+      listStyles: this.collectListStyles([styles, content]),
+      images: await this.loadImages(zip, content),
+      imageMode: options.imageMode || this.imageMode,
+      baseName: FileUtils.getBaseName(file.name),
+      assets: [],
+      imageStats: { total: 0, dropped: 0 },
+      notes: []
+    };
+
+    const body = content.getElementsByTagNameNS(this.ns.office, 'text')[0];
+    if (!body) {
+      throw new Error(`${file.name} 不是文本文档（可能是 ODS 表格或 ODP 演示文稿）`);
+    }
+
+    let html = this.convertBlocks(body, state);
+    if (state.notes.length > 0) {
+      html += `<ol>${state.notes.map(note => `<li id="${note.id}">${note.html}</li>`).join('')}</ol>`;
+    }
+
+    const warnings = [];
+    if (state.imageStats.dropped > 0 && state.imageMode !== 'none') {
+      warnings.push({ type: 'warning', message: `${state.imageStats.dropped} 张图片无法读取，已忽略` });
+    }
+
+    return {
+      markdown: this.htmlConverter.htmlToMarkdown(html),
+      assets: state.assets,
+      report: this.htmlConverter.buildConversionReport(warnings, state.imageStats)
+    };
+  }
+
+  /**
+   * 通用转换入口（供 ConversionManager 调用）
+   */
+  async convertToMarkdown(file, options = {}) {
+    return await this.convertOdtToMarkdown(file, options);
+  }
+
+  /**
+   * 解析 XML 字符串
+   */
+  parseXml(xml) {
+    return new DOMParser().parseFromString(xml, 'application/xml');
+  }
+
+  /**
+   * 判断节点是否为指定命名空间下的元素
+   */
+  is(node, ns, localName) {
+    return node.nodeType === 1 && node.namespaceURI === this.ns[ns] && node.localName === localName;
+  }
+
+  /**
+   * 获取指定命名空间的属性
+   */
+  attr(node, ns, name) {
+    return node.getAttributeNS(this.ns[ns], name);
+  }
+
+  /**
+   * 收集样式定义（styles.xml 中的命名样式与自动样式，content.xml 中的自动样式）
+   * @param {Array} docs - XML 文档
+   * @returns {Map} `${family}:${name}` -> { name, parent, bold, italic }
+   */
+  collectStyles(docs) {
+    const styles = new Map();
+
+    docs.filter(Boolean).forEach(doc => {
+      Array.from(doc.getElementsByTagNameNS(this.ns.style, 'style')).forEach(el => {
+        const props = el.getElementsByTagNameNS(this.ns.style, 'text-properties')[0];
+        const weight = props ? this.attr(props, 'fo', 'font-weight') : '';
+        const fontStyle = props ? this.attr(props, 'fo', 'font-style') : '';
+
+        styles.set(`${this.attr(el, 'style', 'family')}:${this.attr(el, 'style', 'name')}`, {
+          name: this.attr(el, 'style', 'name'),
+          parent: this.attr(el, 'style', 'parent-style-name'),
+          bold: weight ? (weight === 'bold' || parseInt(weight, 10) >= 600) : undefined,
+          italic: fontStyle ? (fontStyle === 'italic' || fontStyle === 'oblique') : undefined
+        });
+      });
+    });
+
+    return styles;
+  }
+
+  /**
+   * 收集列表样式，记录每一级是编号列表还是项目符号列表
+   * @param {Array} docs - XML 文档
+   * @returns {Map} 列表样式名 -> { level: 'ol' | 'ul' }
+   */
+  collectListStyles(docs) {
+    const listStyles = new Map();
+
+    docs.filter(Boolean).forEach(doc => {
+      Array.from(doc.getElementsByTagNameNS(this.ns.text, 'list-style')).forEach(el => {
+        const levels = {};
+        Array.from(el.children).forEach(level => {
+          const tag = level.localName === 'list-level-style-number' ? 'ol' : 'ul';
+          levels[this.attr(level, 'text', 'level')] = tag;
+        });
+        listStyles.set(this.attr(el, 'style', 'name'), levels);
+      });
+    });
+
+    return listStyles;
+  }
+
+  /**
+   * 预先读取文档引用的内嵌图片
+   * @param {Object} zip - JSZip 实例
+   * @param {Document} content - content.xml
+   * @returns {Promise<Map>} 图片路径 -> { contentType, base64 }
+   */
+  async loadImages(zip, content) {
+    const images = new Map();
+
+    for (const el of Array.from(content.getElementsByTagNameNS(this.ns.draw, 'image'))) {
+      const href = this.attr(el, 'xlink', 'href');
+      const entry = href ? zip.file(href.replace(/^\.\//, '')) : null;
+      if (!entry || images.has(href)) continue;
+
+      try {
+        images.set(href, {
+          contentType: this.getImageContentType(href),
+          base64: await entry.async('base64')
+        });
+      } catch (error) {
+        console.warn(`读取 ODT 图片 ${href} 失败:`, error);
+      }
+    }
+
+    return images;
+  }
+
+  /**
+   * 沿父样式链查找样式属性
+   * @param {Map} styles - 样式定义
+   * @param {string} family - 样式族 'paragraph' | 'text'
+   * @param {string} name - 样式名
+   * @param {Function} pick - (style) => 值，返回 undefined 时继续查找父样式
+   */
+  resolveStyle(styles, family, name, pick) {
+    const visited = new Set();
+    while (name && !visited.has(name)) {
+      visited.add(name);
+      const style = styles.get(`${family}:${name}`);
+      const value = pick(style || { name });
+      if (value !== undefined) return value;
+      if (!style) return undefined;
+      name = style.parent;
+    }
+    return undefined;
+  }
+
+  /**
+   * 转换块级内容
+   * @param {Element} parent - 父元素
+   * @param {Object} state - 转换状态
+   * @param {number} listLevel - 当前列表层级
+   * @param {string} listStyleName - 继承的列表样式
+   * @returns {string} HTML
+   */
+  convertBlocks(parent, state, listLevel = 0, listStyleName = '') {
+    return Array.from(parent.childNodes).map(node => {
+      if (this.is(node, 'text', 'h')) {
+        const level = Math.min(Math.max(parseInt(this.attr(node, 'text', 'outline-level'), 10) || 1, 1), 6);
+        return `<h${level}>${this.convertInline(node, state)}</h${level}>`;
+      }
+
+      if (this.is(node, 'text', 'p')) {
+        return this.convertParagraph(node, state);
+      }
+
+      if (this.is(node, 'text', 'list')) {
+        const styleName = this.attr(node, 'text', 'style-name') || listStyleName;
+        const levels = state.listStyles.get(styleName) || {};
+        const tag = levels[String(listLevel + 1)] || 'ul';
+        const items = Array.from(node.childNodes)
+          .filter(item => this.is(item, 'text', 'list-item') || this.is(item, 'text', 'list-header'))
+          .map(item => `<li>${this.unwrapFirstParagraph(this.convertBlocks(item, state, listLevel + 1, styleName))}</li>`);
+        return `<${tag}>${items.join('')}</${tag}>`;
+      }
+
+      if (this.is(node, 'table', 'table')) {
+        return this.convertTable(node, state);
+      }
+
+      if (this.is(node, 'text', 'section') || this.is(node, 'text', 'soft-page-break')) {
+        return this.convertBlocks(node, state, listLevel, listStyleName);
+      }
+
+      // 目录、变量声明、修订记录等不属于正文
+      return '';
+    }).join('');
+  }
+
+  /**
+   * 去掉列表项首段的 p 标签，避免生成松散列表
+   */
+  unwrapFirstParagraph(html) {
+    return html.replace(/^<p>((?:(?!<\/?p>).)*)<\/p>/, '$1');
+  }
+
+  /**
+   * 转换段落，按段落样式映射为标题、代码块或引用
+   */
+  convertParagraph(node, state) {
+    const styleName = this.attr(node, 'text', 'style-name');
+    const tag = this.resolveStyle(state.styles, 'paragraph', styleName, style => this.paragraphStyleTags[style.name]) || 'p';
+    const inline = this.convertInline(node, state);
+
+    if (tag === 'pre') {
+      return `<pre><code>${node.textContent.replace(/&/g, '&amp;').replace(/</g, '&lt;')}</code></pre>`;
+    }
+    if (tag === 'blockquote') {
+      return `<blockquote><p>${inline}</p></blockquote>`;
+    }
+    return `<${tag}>${inline}</${tag}>`;
+  }
+
+  /**
+   * 转换表格
+   */
+  convertTable(node, state) {
+    const rows = [];
+    const collectRows = (parent, isHeader) => {
+      Array.from(parent.childNodes).forEach(child => {
+        if (this.is(child, 'table', 'table-row')) {
+          rows.push({ row: child, isHeader });
+        } else if (this.is(child, 'table', 'table-header-rows')) {
+          collectRows(child, true);
+        } else if (this.is(child, 'table', 'table-rows') || this.is(child, 'table', 'table-row-group')) {
+          collectRows(child, isHeader);
+        }
+      });
+    };
+    collectRows(node, false);
+
+    const renderRow = ({ row, isHeader }) => {
+      const cellTag = isHeader ? 'th' : 'td';
+      const cells = Array.from(row.childNodes)
+        .filter(cell => this.is(cell, 'table', 'table-cell'))
+        .map(cell => {
+          const colspan = parseInt(this.attr(cell, 'table', 'number-columns-spanned'), 10) || 1;
+          const rowspan = parseInt(this.attr(cell, 'table', 'number-rows-spanned'), 10) || 1;
+          const spans = (colspan > 1 ? ` colspan="${colspan}"` : '') + (rowspan > 1 ? ` rowspan="${rowspan}"` : '');
+          return `<${cellTag}${spans}>${this.convertBlocks(cell, state)}</${cellTag}>`;
+        });
+      return `<tr>${cells.join('')}</tr>`;
+    };
+
+    const header = rows.filter(r => r.isHeader).map(renderRow).join('');
+    const body = rows.filter(r => !r.isHeader).map(renderRow).join('');
+    return `<table>${header ? `<thead>${header}</thead>` : ''}<tbody>${body}</tbody></table>`;
+  }
+
+  /**
+   * 转换行内内容
+   * @param {Element} parent - 父元素
+   * @param {Object} state - 转换状态
+   * @returns {string} HTML
+   */
+  convertInline(parent, state) {
+    return Array.from(parent.childNodes).map(node => {
+      if (node.nodeType === 3) {
+        return DOMUtils.escapeHtml(node.nodeValue);
+      }
+      if (node.nodeType !== 1) return '';
+
+      if (this.is(node, 'text', 's')) {
+        return ' '.repeat(parseInt(this.attr(node, 'text', 'c'), 10) || 1);
+      }
+      if (this.is(node, 'text', 'tab')) return ' ';
+      if (this.is(node, 'text', 'line-break')) return '<br>';
+
+      if (this.is(node, 'text', 'span')) {
+        return this.applyCharacterStyle(this.attr(node, 'text', 'style-name'), this.convertInline(node, state), state);
+      }
+
+      if (this.is(node, 'text', 'a')) {
+        const href = DOMUtils.escapeHtml(this.attr(node, 'xlink', 'href'));
+        return `<a href="${href}">${this.convertInline(node, state)}</a>`;
+      }
+
+      if (this.is(node, 'text', 'note')) {
+        return this.convertNote(node, state);
+      }
+
+      if (this.is(node, 'draw', 'frame')) {
+        return this.convertFrame(node, state);
+      }
+
+      // 批注、书签、修订标记等不输出
+      if (this.is(node, 'office', 'annotation') || this.is(node, 'office', 'annotation-end')) return '';
+
+      return this.convertInline(node, state);
+    }).join('');
+  }
+
+  /**
+   * 按字符样式包裹行内内容
+   */
+  applyCharacterStyle(styleName, html, state) {
+    if (!styleName || !html) return html;
+
+    const tag = this.resolveStyle(state.styles, 'text', styleName, style => this.characterStyleTags[style.name]);
+    if (tag) return `<${tag}>${html}</${tag}>`;
+
+    const bold = this.resolveStyle(state.styles, 'text', styleName, style => style.bold);
+    const italic = this.resolveStyle(state.styles, 'text', styleName, style => style.italic);
+    if (bold) html = `<strong>${html}</strong>`;
+    if (italic) html = `<em>${html}</em>`;
+    return html;
+  }
+
+  /**
+   * 转换脚注/尾注，输出与 Mammoth 一致的结构以复用脚注规则
+   */
+  convertNote(node, state) {
+    const kind = this.attr(node, 'text', 'note-class') === 'endnote' ? 'endnote' : 'footnote';
+    const number = state.notes.filter(note => note.kind === kind).length + 1;
+    const id = `${kind}-${number}`;
+    const body = node.getElementsByTagNameNS(this.ns.text, 'note-body')[0];
+
+    state.notes.push({ kind, id, html: body ? this.convertBlocks(body, state) : '' });
+    return `<sup><a href="#${id}" id="${kind}-ref-${number}">[${number}]</a></sup>`;
+  }
+
+  /**
+   * 转换图文框：图片输出为 img，文本框输出其中的文字
+   */
+  convertFrame(node, state) {
+    const image = node.getElementsByTagNameNS(this.ns.draw, 'image')[0];
+    if (!image) {
+      const textBox = node.getElementsByTagNameNS(this.ns.draw, 'text-box')[0];
+      return textBox ? this.convertInline(textBox, state) : '';
+    }
+
+    const href = this.attr(image, 'xlink', 'href');
+    const alt = DOMUtils.escapeHtml(this.attr(node, 'draw', 'name'));
+    state.imageStats.total++;
+
+    const data = state.images.get(href);
+    if (!data) {
+      // 外部链接图片保留原地址
+      if (/^(https?:)?\/\//i.test(href) && state.imageMode !== 'none') {
+        return `<img src="${DOMUtils.escapeHtml(href)}" alt="${alt}">`;
+      }
+      state.imageStats.dropped++;
+      return '';
+    }
+
+    const src = AssetUtils.addImage(state.assets, state.baseName, data.contentType, data.base64, state.imageMode);
+    if (!src) {
+      state.imageStats.dropped++;
+      return '';
+    }
+    return `<img src="${src}" alt="${alt}">`;
+  }
+
+  /**
+   * 根据文件扩展名获取图片 MIME 类型
+   */
+  getImageContentType(path) {
+    const types = {
+      png: 'image/png',
+      jpg: 'image/jpeg',
+      jpeg: 'image/jpeg',
+      gif: 'image/gif',
+      bmp: 'image/bmp',
+      webp: 'image/webp',
+      svg: 'image/svg+xml',
+      tif: 'image/tiff',
+      tiff: 'image/tiff',
+      emf: 'image/x-emf',
+      wmf: 'image/x-wmf'
+    };
+    return types[(path.split('.').pop() || '').toLowerCase()] || 'image/png';
+  }
+
+  /**
+   * 检查依赖是否可用
+   * @returns {boolean} 是否可用
+   */
+  isAvailable() {
+    return typeof JSZip !== 'undefined' && this.htmlConverter.isAvailable();
+  }
+
+  /**
+   * 获取支持的文件类型
+   * @returns {Array} 支持的 MIME 类型
+   */
+  getSupportedTypes() {
+    return ['application/vnd.oasis.opendocument.text'];
+  }
+}
+
+// 导出模块
+window.OdtConverter = OdtConverter;
+
+// 注册到转换器注册表
+if (window.converterRegistry) {
+  window.converterRegistry.register({
+    name: 'odt',
+    description: 'OpenDocument 文本',
+    type: 'document',
+    mimeTypes: ['application/vnd.oasis.opendocument.text'],
+    extensions: ['.odt'],
+    magic: [
+      { offset: 0, bytes: [0x50, 0x4B, 0x03, 0x04] } // ZIP
+    ],
+    maxSize: 50 * 1024 * 1024, // 50MB
+    settingsGroup: 'document',
+    timeMultiplier: 0.5,
+    isAvailable: () => new OdtConverter().isAvailable(),
+    convert: async (file, options = {}, onProgress = null) => {
+      if (onProgress) onProgress(10);
+      const result = await new OdtConverter().convertToMarkdown(file, options);
+      if (onProgress) onProgress(100);
+
+      return {
+        ...result,
+        metadata: { images: result.assets.length }
+      };
+    }
+  });
+}
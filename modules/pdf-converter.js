@@ -8,6 +8,20 @@ class PdfConverter {
     this.pdfjsLib = null;
     this.isInitialized = false;
     this.workerSrc = 'libs/pdf.worker.min.js';
+    this.imageMode = 'assets'; // 'assets' | 'inline' | 'none'
+    this.minImageSize = 8; // 忽略更小的装饰性图片（如分隔线、占位像素）
+    this.minPageTextChars = 20; // 可提取文字少于该字符数且含图片的页面视为扫描页
+    this.ocrScale = 3; // 扫描页渲染倍率（约 216 DPI）
+    this.tableDetector = window.PdfTableDetector ? new window.PdfTableDetector() : null;
+    this.headerFooterDetector = window.PdfHeaderFooterDetector ? new window.PdfHeaderFooterDetector() : null;
+    this.headingDetector = window.PdfHeadingDetector ? new window.PdfHeadingDetector() : null;
+    this.layoutAnalyzer = window.PdfLayoutAnalyzer ? new window.PdfLayoutAnalyzer() : null;
+    this.useWorker = true; // 支持时在 pdf-worker 中解析
+    this.workerUrl = 'assets/workers/pdf-worker.js';
+    this.activeWorker = null;
+    this.cancelled = false;
+    this.stopRequested = false;
+    this.activeOcrContext = null;
   }
 
   /**
@@ -37,288 +51,1825 @@ class PdfConverter {
   }
 
   /**
-   * 将 PDF 文件转换为 Markdown
+   * 将 PDF 文件转换为 Markdown（支持时在 Worker 中解析，避免大文件阻塞页面）
    * @param {File} file - PDF 文件
    * @param {Function} onProgress - 进度回调函数
+   * @param {Object} options - 转换选项
+   * @param {string} options.imageMode - 图片处理方式：'assets' | 'inline' | 'none'
+   * @param {string} options.headerFooterMode - 页眉页脚处理：'strip' 移除页眉、页脚和页码 | 'keep' 保留
+   * @param {string} options.pageBreakMode - 分页方式：'heading' 插入“第 N 页”分隔 | 'none' 不分页并合并跨页段落
+   * @param {string} options.annotationMode - 批注处理（超链接始终保留）：'ignore' | 'blockquote' 引用块 | 'footnote' 脚注
+   * @param {string} options.ocrMode - 扫描页处理：'auto' 通过 OCR 识别 | 'off' 不识别
+   * @param {string} options.pageRange - 页码范围，如 "1-5, 9, 12-"，为空时转换全部页面
+   * @param {Function} options.onPassword - 加密文档的密码回调 ({ fileName, incorrect }) => Promise<string|null>，返回 null 表示取消
+   * @param {Function} options.onPageProcessed - 每页解析完成的回调 ({ pageNumber, index, count, text, images, scanned, markdown })，markdown 为该页的预览
+   * @param {Function} options.shouldStop - 每页开始前调用，返回 true 时停止转换并保留已转换的页面
+   * @param {AbortSignal} options.signal - 取消信号，取消后终止 Worker 和 OCR 识别，并以 AbortError 结束
+   * @returns {Promise<Object>} 转换结果（提前停止时 partial 为 true）
+   */
+  async convertPdfToMarkdown(file, onProgress = null, options = {}) {
+    this.cancelled = false;
+    this.stopRequested = false;
+
+    const signal = options.signal || null;
+    const onAbort = () => this.cancel();
+    if (signal) signal.addEventListener('abort', onAbort);
+
+    try {
+      CancelUtils.throwIfAborted(signal);
+
+      // 读取文件为 ArrayBuffer
+      const arrayBuffer = await FileUtils.readAsArrayBuffer(file);
+      
+      if (onProgress) onProgress(10);
+      if (this.cancelled) throw CancelUtils.createError();
+
+      if (this.canUseWorker()) {
+        try {
+          return await this.convertInWorker(arrayBuffer, file.name, onProgress, options);
+        } catch (error) {
+          // Worker 无法启动（如通过 file:// 打开页面）时回退到主线程
+          if (!error.workerUnavailable) throw error;
+          console.warn('PDF Worker 不可用，改为在主线程解析:', error.message);
+        }
+      }
+
+      // 正在等待的密码输入等无法中断，取消时不等待其结束
+      return await CancelUtils.race(this.convertArrayBuffer(arrayBuffer, file.name, onProgress, options, {
+        onPageProcessed: options.onPageProcessed
+      }), signal);
+
+    } catch (error) {
+      // 取消后的其他错误（如取消了密码输入）一律视为取消
+      if (CancelUtils.isCancelError(error) || this.cancelled) throw CancelUtils.createError();
+
+      console.error('PDF 转换失败:', error);
+      const message = error.name === 'PasswordException' ? 'PDF 文件已加密，需要密码才能打开' : error.message;
+      throw new Error(`PDF 转换失败: ${message}`);
+    } finally {
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * 取消正在进行的转换（Worker 中的解析通过 cancel 消息终止，扫描页识别终止 OCR Worker）
+   */
+  cancel() {
+    this.cancelled = true;
+    if (this.activeWorker) {
+      this.activeWorker.postMessage({ type: 'cancel' });
+    }
+    if (this.activeOcrContext) {
+      this.destroyOcrContext(this.activeOcrContext);
+    }
+  }
+
+  /**
+   * 停止转换并保留已转换的页面（当前页处理完后生效）
+   */
+  stop() {
+    this.stopRequested = true;
+    if (this.activeWorker) {
+      this.activeWorker.postMessage({ type: 'stop' });
+    }
+  }
+
+  /**
+   * 判断能否在 Worker 中解析（Worker 内通过 OffscreenCanvas 编码图片）
+   */
+  canUseWorker() {
+    return this.useWorker && typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined';
+  }
+
+  /**
+   * 在 pdf-worker 中解析 PDF：逐页接收解析进度，密码输入和扫描页 OCR 由主线程完成后回传
+   * @param {ArrayBuffer} arrayBuffer - 文件内容（复制给 Worker，主线程识别扫描页时仍需使用）
+   * @param {string} fileName - 文件名
+   * @param {Function} onProgress - 进度回调函数
+   * @param {Object} options - 转换选项（见 convertPdfToMarkdown）
+   * @returns {Promise<Object>} 转换结果
+   */
+  convertInWorker(arrayBuffer, fileName, onProgress, options) {
+    const { onPassword, onPageProcessed, shouldStop, signal, ...workerOptions } = options;
+
+    return new Promise((resolve, reject) => {
+      let worker;
+      try {
+        worker = new Worker(this.workerUrl);
+      } catch (error) {
+        error.workerUnavailable = true;
+        reject(error);
+        return;
+      }
+
+      this.activeWorker = worker;
+      let started = false;
+      let finished = false;
+
+      const onAbort = () => finish(reject, CancelUtils.createError());
+      const finish = (callback, value) => {
+        if (finished) return;
+        finished = true;
+        worker.terminate();
+        this.activeWorker = null;
+        if (signal) signal.removeEventListener('abort', onAbort);
+        callback(value);
+      };
+
+      // 取消时立即终止 Worker，不等待当前页解析完成
+      if (signal) signal.addEventListener('abort', onAbort);
+
+      worker.addEventListener('error', (event) => {
+        event.preventDefault();
+        const error = new Error(event.message || 'PDF Worker 加载失败');
+        error.workerUnavailable = !started;
+        finish(reject, error);
+      });
+
+      worker.addEventListener('message', async (event) => {
+        const message = event.data;
+        started = true;
+
+        switch (message.type) {
+          case 'password-required': {
+            // 密码输入失败时结束转换，避免 Worker 一直等待 password 消息
+            try {
+              const password = await onPassword({ fileName, incorrect: message.incorrect });
+              if (!finished) worker.postMessage({ type: 'password', password });
+            } catch (error) {
+              finish(reject, error);
+            }
+            break;
+          }
+
+          case 'progress':
+            if (onProgress) onProgress(message.progress);
+            break;
+
+          case 'page-processed':
+            if (onProgress) onProgress(message.progress);
+            if (onPageProcessed) onPageProcessed(message.pageInfo);
+            if (shouldStop && !this.stopRequested && shouldStop()) this.stop();
+            break;
+
+          case 'ocr-required': {
+            // 扫描页在主线程渲染并识别，识别结果回传 Worker
+            const ocrContext = this.createOcrContext(workerOptions);
+            this.activeOcrContext = ocrContext;
+            try {
+              await this.init();
+              const pdf = await this.loadDocument(arrayBuffer.slice(0), fileName, async () => message.password);
+              const texts = await this.recognizePages(pdf, message.pageNumbers, ocrContext);
+              worker.postMessage({ type: 'ocr-result', texts: Array.from(texts.entries()), log: ocrContext.pages });
+            } catch (error) {
+              worker.postMessage({ type: 'ocr-result', texts: [], log: message.pageNumbers.map(pageNumber => ({ pageNumber, confidence: null, error: error.message })) });
+            } finally {
+              this.activeOcrContext = null;
+              await this.destroyOcrContext(ocrContext);
+            }
+            break;
+          }
+
+          case 'parsing-complete':
+            finish(resolve, message.result);
+            break;
+
+          case 'parsing-cancelled':
+            finish(reject, CancelUtils.createError());
+            break;
+
+          case 'parsing-error':
+          case 'worker-error': {
+            const error = new Error(message.error);
+            error.name = message.name || 'Error';
+            finish(reject, error);
+            break;
+          }
+        }
+      });
+
+      worker.postMessage({
+        type: 'parse-pdf',
+        data: { arrayBuffer, fileName, options: workerOptions, canPromptPassword: typeof onPassword === 'function' }
+      });
+    });
+  }
+
+  /**
+   * 解析 PDF 并生成 Markdown（主线程和 Worker 共用）
+   * @param {ArrayBuffer} arrayBuffer - 文件内容
+   * @param {string} fileName - 文件名
+   * @param {Function} onProgress - 进度回调函数
+   * @param {Object} options - 转换选项（见 convertPdfToMarkdown）
+   * @param {Object} runtime - 运行环境回调
+   * @param {Function} runtime.onPageProcessed - 每页解析完成的回调（附带该页的 Markdown 预览）
+   * @param {Function} runtime.recognizePages - 扫描页识别 (pageNumbers) => Promise<{ texts: [[页码, 文本内容]], log }>，省略时在当前线程识别
    * @returns {Promise<Object>} 转换结果
    */
-  async convertPdfToMarkdown(file, onProgress = null) {
+  async convertArrayBuffer(arrayBuffer, fileName, onProgress = null, options = {}, runtime = {}) {
     await this.init();
 
-    try {
-      // 读取文件为 ArrayBuffer
-      const arrayBuffer = await this.readFileAsArrayBuffer(file);
-      
-      if (onProgress) onProgress(10);
+    const ocrContext = this.createOcrContext(options);
+    this.activeOcrContext = ocrContext;
+
+    try {
+      // 加载 PDF 文档（加密文档通过回调获取密码）
+      const pdf = await this.loadDocument(arrayBuffer, fileName, options.onPassword);
+
+      if (onProgress) onProgress(20);
+
+      const totalPages = pdf.numPages;
+      const pageNumbers = this.parsePageRange(options.pageRange, totalPages);
+      // 页眉页脚和标题层级需要对比全部页面，逐页只保留行、图片位置和批注，生成 Markdown 后即释放
+      const pages = [];
+      let imageCount = 0;
+      let markdownContent = '';
+      const pageBreakMode = options.pageBreakMode || 'heading';
+      const annotationMode = options.annotationMode || 'ignore';
+      const footnotes = [];
+      const scannedPages = [];
+      let stopped = false;
+
+      // 图片提取上下文（同一图片对象在多页重复出现时复用资源）
+      const imageContext = {
+        baseName: FileUtils.getBaseName(fileName),
+        imageMode: options.imageMode || this.imageMode,
+        assets: [],
+        cache: new Map(),
+        stats: { total: 0, dropped: 0 }
+      };
+
+      // 处理选定的每一页
+      for (let index = 0; index < pageNumbers.length; index++) {
+        if (this.cancelled) throw CancelUtils.createError();
+        if (this.stopRequested || (options.shouldStop && options.shouldStop())) {
+          stopped = true;
+          break;
+        }
+
+        const pageNum = pageNumbers[index];
+        const page = await pdf.getPage(pageNum);
+        
+        // 提取图片（操作列表加载后字体对象可用，因此先于文本提取）
+        const extractedCount = imageContext.stats.total;
+        const pageImages = await this.extractImagesFromPage(page, pageNum, imageContext);
+        imageCount += pageImages.length;
+
+        // 提取链接和批注，链接在文本分行前标记到对应的文本项上
+        const annotations = await this.extractAnnotationsFromPage(page);
+
+        // 提取文本内容
+        const textContent = await this.extractTextFromPage(page, annotations.links);
+
+        // 扫描页（几乎没有可提取的文字但有图片）稍后改用 OCR 识别的文字
+        const scanned = imageContext.stats.total > extractedCount && this.isScannedPage(textContent);
+        const awaitingOcr = scanned && ocrContext.enabled;
+        if (awaitingOcr) scannedPages.push(pageNum);
+
+        // 批注取出被标记的文本后不再需要文本项列表（等待 OCR 的扫描页在识别后处理）
+        const notes = annotationMode === 'ignore' ? [] : annotations.notes;
+        pages.push({
+          pageNumber: pageNum,
+          text: awaitingOcr ? textContent : this.retainPageText(textContent),
+          images: pageImages,
+          notes: awaitingOcr ? notes : this.resolveNoteText(notes, textContent.items)
+        });
+
+        // 释放页面的操作列表、字体和解码后的图片
+        page.cleanup();
+
+        if (runtime.onPageProcessed) {
+          await runtime.onPageProcessed({
+            pageNumber: pageNum,
+            index,
+            count: pageNumbers.length,
+            text: textContent.raw,
+            images: pageImages.length,
+            scanned,
+            markdown: this.renderPagePreview(textContent, pageImages, pageNum, { isFirstPage: index === 0, pageBreakMode })
+          });
+        }
+
+        // 更新进度
+        if (onProgress) {
+          const progress = 20 + ((index + 1) / pageNumbers.length) * 70;
+          onProgress(progress);
+        }
+      }
+
+      // 提前停止时不再识别扫描页
+      if (scannedPages.length > 0) {
+        const texts = stopped
+          ? new Map()
+          : runtime.recognizePages
+            ? await this.receiveRecognizedPages(runtime.recognizePages, scannedPages, ocrContext)
+            : await this.recognizePages(pdf, scannedPages, ocrContext);
+
+        // 批注在 OCR 之后取被标记的文本
+        pages.filter(page => scannedPages.includes(page.pageNumber)).forEach(page => {
+          const text = texts.get(page.pageNumber) || page.text;
+          page.notes = this.resolveNoteText(page.notes, text.items);
+          page.text = this.retainPageText(text);
+        });
+      }
+
+      if (this.cancelled) throw CancelUtils.createError();
+
+      // 页眉页脚需要对比多页，全部页面提取完成后再统一移除
+      if (options.headerFooterMode !== 'keep') {
+        this.stripHeadersAndFooters(pages);
+      }
+
+      // 标题层级：优先使用书签，否则按全文字号聚类
+      const outline = await this.extractOutline(pdf);
+      const fontSizeLevels = outline.length === 0 && this.headingDetector
+        ? this.headingDetector.buildFontSizeLevels(pages.flatMap(page => page.text.lines))
+        : null;
+
+      // 逐页检测结构并生成 Markdown；不分页时上一页等本页合并跨页段落后再生成
+      let previous = null;
+      const emitPage = (page) => {
+        markdownContent += this.convertPageToMarkdown(page.text, [...page.images, ...page.notes], page.pageNumber, {
+          isFirstPage: page === pages[0],
+          pageBreakMode,
+          annotationMode,
+          footnotes
+        }) + '\n\n';
+
+        // 该页的 Markdown 已生成，释放文本、图片和批注
+        page.text = null;
+        page.images = null;
+        page.notes = null;
+      };
+
+      pages.forEach(page => {
+        if (outline.length > 0 && this.headingDetector) {
+          const entries = outline
+            .filter(entry => entry.pageNumber === page.pageNumber)
+            .map(entry => ({ ...entry, y: entry.top === null ? null : page.text.pageHeight - entry.top }));
+          const { matches, unmatched } = this.headingDetector.matchOutline(page.text.lines, entries);
+
+          page.text.structured = this.detectStructure(page.text.lines, { outlineMatches: matches });
+          this.insertOutlineHeadings(page.text.structured, unmatched);
+        } else {
+          page.text.structured = this.detectStructure(page.text.lines, { fontSizeLevels });
+        }
+
+        if (previous) {
+          if (pageBreakMode === 'none') this.joinPageBoundaries([previous, page]);
+          emitPage(previous);
+        }
+        previous = page;
+      });
+      if (previous) emitPage(previous);
+
+      // 批注脚注定义统一放在文末
+      if (footnotes.length > 0) {
+        markdownContent += footnotes.map((note, index) => `[^a${index + 1}]: ${this.formatNote(note, ' ').replace(/\n(?=.)/g, '\n    ')}`).join('\n\n');
+      }
+
+      // 清理和优化 Markdown
+      markdownContent = this.cleanupMarkdown(markdownContent);
+
+      if (onProgress) onProgress(100);
+
+      return {
+        markdown: markdownContent,
+        imageCount,
+        assets: imageContext.assets,
+        report: this.buildConversionReport(imageContext.stats, ocrContext.pages, stopped ? { converted: pages.length, requested: pageNumbers.length } : null),
+        ocrPages: ocrContext.pages,
+        totalPages: totalPages,
+        pageNumbers: pages.map(page => page.pageNumber),
+        partial: stopped,
+        metadata: await this.extractMetadata(pdf)
+      };
+
+    } finally {
+      this.activeOcrContext = null;
+      await this.destroyOcrContext(ocrContext);
+    }
+  }
+
+  /**
+   * 生成单页的 Markdown 预览，在全文处理（页眉页脚、书签标题、跨页段落合并、批注）之前逐页推送
+   * @param {Object} textContent - 页面文本内容
+   * @param {Array} images - 页面图片
+   * @param {number} pageNum - 页码
+   * @param {Object} options - { isFirstPage, pageBreakMode }
+   * @returns {string} 该页的 Markdown
+   */
+  renderPagePreview(textContent, images, pageNum, options) {
+    const preview = { ...textContent, structured: this.detectStructure(textContent.lines) };
+    return this.cleanupMarkdown(this.convertPageToMarkdown(preview, images, pageNum, options));
+  }
+
+  /**
+   * 创建 OCR 上下文：识别器在遇到第一张扫描页时才创建，转换结束后销毁
+   * @param {Object} options - 转换选项
+   * @returns {Object} { enabled, converter, error, pages }
+   */
+  createOcrContext(options) {
+    return {
+      enabled: options.ocrMode !== 'off',
+      converter: null,
+      error: null,
+      pages: []
+    };
+  }
+
+  /**
+   * 销毁 OCR 上下文中的识别器
+   */
+  async destroyOcrContext(context) {
+    const converter = context.converter;
+    if (converter) {
+      context.converter = null;
+      await converter.destroy();
+    }
+  }
+
+  /**
+   * 在当前线程逐页识别扫描页
+   * @param {Object} pdf - PDF 文档对象
+   * @param {Array} pageNumbers - 扫描页页码
+   * @param {Object} context - OCR 上下文
+   * @returns {Promise<Map>} 页码 -> 识别出的文本内容（识别失败的页面不在其中）
+   */
+  async recognizePages(pdf, pageNumbers, context) {
+    const texts = new Map();
+    for (const pageNumber of pageNumbers) {
+      if (this.cancelled || this.stopRequested) break;
+
+      const page = await pdf.getPage(pageNumber);
+      const textContent = await this.recognizePage(page, pageNumber, context);
+      if (textContent) texts.set(pageNumber, textContent);
+    }
+    return texts;
+  }
+
+  /**
+   * 通过运行环境（Worker 中为主线程）识别扫描页，并记录识别结果
+   * @param {Function} recognize - 识别回调 (pageNumbers) => Promise<{ texts, log }>
+   * @param {Array} pageNumbers - 扫描页页码
+   * @param {Object} context - OCR 上下文
+   * @returns {Promise<Map>} 页码 -> 识别出的文本内容
+   */
+  async receiveRecognizedPages(recognize, pageNumbers, context) {
+    const { texts, log } = await recognize(pageNumbers);
+    context.pages.push(...log);
+    return new Map(texts);
+  }
+
+  /**
+   * 加载 PDF 文档：文档加密时通过 onPassword 回调获取密码，密码错误时再次询问，取消时终止加载
+   * @param {ArrayBuffer} arrayBuffer - 文件内容
+   * @param {string} fileName - 文件名（用于密码提示）
+   * @param {Function} onPassword - 密码回调 ({ fileName, incorrect }) => Promise<string|null>
+   * @returns {Promise<Object>} PDF 文档对象
+   */
+  async loadDocument(arrayBuffer, fileName, onPassword = null) {
+    const loadingTask = this.pdfjsLib.getDocument({
+      data: arrayBuffer,
+      cMapUrl: 'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/cmaps/',
+      cMapPacked: true,
+      // Worker 中没有 document，字体不能通过 FontFace 加载
+      disableFontFace: typeof document === 'undefined'
+    });
+
+    // 未提供回调时由 pdf.js 直接抛出 PasswordException
+    if (typeof onPassword !== 'function') {
+      return await loadingTask.promise;
+    }
+
+    return await new Promise((resolve, reject) => {
+      loadingTask.onPassword = async (updatePassword, reason) => {
+        try {
+          const incorrect = reason === this.pdfjsLib.PasswordResponses.INCORRECT_PASSWORD;
+          const password = await onPassword({ fileName, incorrect });
+          if (password === null || password === undefined) {
+            throw new Error('PDF 文件已加密，已取消输入密码');
+          }
+          updatePassword(password);
+        } catch (error) {
+          reject(error);
+          loadingTask.destroy();
+        }
+      };
+      loadingTask.promise.then(resolve, reject);
+    });
+  }
+
+  /**
+   * 解析页码范围，如 "1-5, 9, 12-"（"12-" 表示第 12 页至末页，"-3" 表示第 1 页至第 3 页）
+   * @param {string} rangeText - 页码范围，为空时返回全部页码
+   * @param {number} totalPages - 文档总页数
+   * @returns {Array} 升序且去重的页码
+   */
+  parsePageRange(rangeText, totalPages) {
+    const text = String(rangeText || '').trim();
+    if (!text) {
+      return Array.from({ length: totalPages }, (_, i) => i + 1);
+    }
+
+    const pages = new Set();
+    for (const part of text.split(/[,，]/)) {
+      const value = part.trim();
+      if (!value) continue;
+
+      const match = value.match(/^(\d*)\s*[-–~]\s*(\d*)$|^(\d+)$/);
+      if (!match || (match[3] === undefined && !match[1] && !match[2])) {
+        throw new Error(`页码范围格式错误: ${value}`);
+      }
+
+      const start = match[3] !== undefined ? Number(match[3]) : Number(match[1] || 1);
+      const end = match[3] !== undefined ? start : match[2] ? Number(match[2]) : Infinity;
+      if (start < 1 || end < start) {
+        throw new Error(`页码范围格式错误: ${value}`);
+      }
+
+      for (let page = start; page <= Math.min(end, totalPages); page++) {
+        pages.add(page);
+      }
+    }
+
+    if (pages.size === 0) {
+      throw new Error(`页码范围 ${text} 超出文档页数（共 ${totalPages} 页）`);
+    }
+    return Array.from(pages).sort((a, b) => a - b);
+  }
+
+  /**
+   * 从页面提取文本内容
+   * @param {Object} page - PDF 页面对象
+   * @param {Array} links - 页面链接区域（见 extractAnnotationsFromPage）
+   * @returns {Promise<Object>} 文本内容
+   */
+  async extractTextFromPage(page, links = []) {
+    try {
+      const textContent = await page.getTextContent();
+      const viewport = page.getViewport({ scale: 1.0 });
+
+      // 按位置组织文本项（跳过 pdf.js 插入的空换行标记），附带字体的粗体、斜体、等宽信息
+      const fontStyles = {};
+      const pageItems = textContent.items.filter(item => item.str).map(item => ({
+        text: item.str,
+        x: item.transform[4],
+        y: viewport.height - item.transform[5], // 转换坐标系
+        width: item.width,
+        height: item.height,
+        fontSize: item.height,
+        fontName: item.fontName,
+        ...this.getFontStyle(page, item.fontName, textContent.styles, fontStyles)
+      }));
+      const textItems = this.applyLinks(pageItems, links);
+
+      // 按行分组文本，多栏版面按栏重排为阅读顺序（标题、段落等结构在移除页眉页脚后检测）
+      return {
+        raw: textContent.items.map(item => item.str).join(' '),
+        items: textItems,
+        lines: this.groupIntoReadingOrder(textItems),
+        pageHeight: viewport.height,
+        structured: []
+      };
+
+    } catch (error) {
+      console.error('提取页面文本失败:', error);
+      return {
+        raw: '',
+        items: [],
+        lines: [],
+        pageHeight: 0,
+        structured: []
+      };
+    }
+  }
+
+  /**
+   * 将文本项按行分组，多栏版面按栏重排为阅读顺序
+   * @param {Array} textItems - 文本项数组
+   * @returns {Array} 阅读顺序的行
+   */
+  groupIntoReadingOrder(textItems) {
+    const lines = this.groupTextIntoLines(textItems);
+    return this.layoutAnalyzer
+      ? this.layoutAnalyzer.orderLines(lines, items => this.groupTextIntoLines(items))
+      : lines;
+  }
+
+  /**
+   * 只保留全文处理需要的页面文本（行、页高及 OCR 来源），丢弃原始文本和文本项列表
+   * @param {Object} textContent - 页面文本内容
+   * @returns {Object} { lines, pageHeight, structured, source, confidence }
+   */
+  retainPageText(textContent) {
+    const { raw, items, ...retained } = textContent;
+    return retained;
+  }
+
+  /**
+   * 判断是否为扫描页（可提取的文字极少）
+   * @param {Object} textContent - 页面文本内容
+   * @returns {boolean} 是否为扫描页
+   */
+  isScannedPage(textContent) {
+    const chars = textContent.items.reduce((sum, item) => sum + item.text.replace(/\s+/g, '').length, 0);
+    return chars < this.minPageTextChars;
+  }
+
+  /**
+   * 将页面渲染为图片并通过 ImageConverter 的 Tesseract 流程识别文字
+   * @param {Object} page - PDF 页面对象
+   * @param {number} pageNum - 页码
+   * @param {Object} context - OCR 上下文 { converter, error, pages }
+   * @returns {Promise<Object|null>} 与 extractTextFromPage 结构相同的文本内容（source 为 'ocr'），识别失败时为 null
+   */
+  async recognizePage(page, pageNum, context) {
+    try {
+      if (context.error) throw context.error;
+
+      if (!context.converter) {
+        try {
+          // 产品页延迟加载 Tesseract.js
+          if (typeof Tesseract === 'undefined' && window.loadTesseract) {
+            await window.loadTesseract();
+          }
+          if (!window.ImageConverter) {
+            throw new Error('图片转换器未加载');
+          }
+
+          const converter = new window.ImageConverter();
+          await converter.init();
+          await converter.initWorker();
+          context.converter = converter;
+        } catch (error) {
+          // 识别器不可用时后续页面不再重试
+          context.error = error;
+          throw error;
+        }
+      }
+
+      const canvas = await this.renderPageToCanvas(page, this.ocrScale);
+      context.converter.enhanceImage(canvas.getContext('2d'), canvas.width, canvas.height);
+      const { data } = await context.converter.performOCR(canvas);
+
+      const viewport = page.getViewport({ scale: 1.0 });
+      const textItems = this.convertOcrWordsToItems(data.words || [], this.ocrScale);
+      context.pages.push({ pageNumber: pageNum, confidence: data.confidence });
+
+      return {
+        raw: data.text || '',
+        items: textItems,
+        lines: this.groupIntoReadingOrder(textItems),
+        pageHeight: viewport.height,
+        structured: [],
+        source: 'ocr',
+        confidence: data.confidence
+      };
+
+    } catch (error) {
+      console.warn(`第 ${pageNum} 页 OCR 识别失败:`, error);
+      context.pages.push({ pageNumber: pageNum, confidence: null, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * 将页面渲染到画布
+   * @param {Object} page - PDF 页面对象
+   * @param {number} scale - 渲染倍率
+   * @returns {Promise<HTMLCanvasElement>} 画布
+   */
+  async renderPageToCanvas(page, scale) {
+    const viewport = page.getViewport({ scale });
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(viewport.width);
+    canvas.height = Math.ceil(viewport.height);
+
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+    return canvas;
+  }
+
+  /**
+   * 将 Tesseract 识别的词转换为文本项（坐标换算回页面坐标）
+   * 同一行的词使用行的底边和行高，避免升部、降部字母造成行内位置和字号不一致
+   * @param {Array} words - Tesseract 词数组
+   * @param {number} scale - 渲染倍率
+   * @returns {Array} 文本项
+   */
+  convertOcrWordsToItems(words, scale) {
+    return words.filter(word => word.text && word.text.trim()).map(word => {
+      const lineBox = word.line ? word.line.bbox : word.bbox;
+      const rowHeight = word.line && word.line.rowAttributes && word.line.rowAttributes.row_height
+        ? word.line.rowAttributes.row_height
+        : lineBox.y1 - lineBox.y0;
+
+      return {
+        text: word.text,
+        x: word.bbox.x0 / scale,
+        y: lineBox.y1 / scale,
+        width: (word.bbox.x1 - word.bbox.x0) / scale,
+        height: rowHeight / scale,
+        fontSize: rowHeight / scale,
+        fontName: word.font_name || '',
+        bold: !!word.is_bold,
+        italic: !!word.is_italic,
+        monospace: !!word.is_monospace,
+        confidence: word.confidence
+      };
+    });
+  }
+
+  /**
+   * 根据字体名称和 pdf.js 字体描述判断粗体、斜体和等宽字体
+   * @param {Object} page - PDF 页面对象
+   * @param {string} fontName - pdf.js 字体 ID
+   * @param {Object} styles - getTextContent 返回的字体样式表
+   * @param {Object} cache - 页面内的字体样式缓存
+   * @returns {Object} { bold, italic, monospace }
+   */
+  getFontStyle(page, fontName, styles = {}, cache = {}) {
+    if (cache[fontName]) return cache[fontName];
+
+    // 字体对象在操作列表加载后才进入 commonObjs
+    let font = null;
+    try {
+      if (page.commonObjs.has(fontName)) font = page.commonObjs.get(fontName);
+    } catch (error) {
+      font = null;
+    }
+
+    // 去掉子集前缀，如 ABCDEF+Arial-BoldMT
+    const name = ((font && font.name) || '').replace(/^[A-Z]{6}\+/, '');
+    const family = styles[fontName] ? styles[fontName].fontFamily : '';
+
+    cache[fontName] = {
+      bold: !!(font && (font.bold || font.black)) || /bold|black|heavy|semibold|demi/i.test(name),
+      italic: !!(font && font.italic) || /italic|oblique/i.test(name),
+      monospace: family === 'monospace' || /mono|courier|consol|menlo|typewriter|code/i.test(name)
+    };
+    return cache[fontName];
+  }
+
+  /**
+   * 移除各页重复的页眉、页脚和页码行
+   * @param {Array} pages - 页面数组 [{ text: { lines, pageHeight } }]
+   */
+  stripHeadersAndFooters(pages) {
+    if (!this.headerFooterDetector) return;
+
+    const removed = this.headerFooterDetector.detect(pages.map(page => page.text));
+    pages.forEach((page, index) => {
+      page.text.lines = page.text.lines.filter(line => !removed[index].has(line));
+    });
+  }
+
+  /**
+   * 合并跨页段落：上一页以未结束的段落收尾、下一页以段落开头且不像新句子（大写字母开头）时，把两段合为一段
+   * @param {Array} pages - 页面数组（structured 已生成）
+   */
+  joinPageBoundaries(pages) {
+    for (let i = 1; i < pages.length; i++) {
+      // 页码范围不连续时不合并
+      if (pages[i].pageNumber !== pages[i - 1].pageNumber + 1) continue;
+
+      const previous = pages[i - 1].text.structured;
+      const next = pages[i].text.structured;
+      const last = previous[previous.length - 1];
+      const first = next[0];
+
+      if (!last || !first || last.type !== 'paragraph' || first.type !== 'paragraph') continue;
+      if (/[.!?。！？:：;；]["'”’)）]*$/.test(last.text)) continue;
+      if (/^[A-Z]/.test(first.text) && !/[,，、\-]$/.test(last.text)) continue;
+
+      last.text = this.joinText(last.text, first.text);
+      next.shift();
+    }
+  }
+
+  /**
+   * 拼接折行文本：修复行尾连字符断词，中日韩文字之间不加空格
+   * @param {string} first - 前一段文本
+   * @param {string} second - 后一段文本
+   * @returns {string} 拼接结果
+   */
+  joinText(first, second) {
+    // 软连字符或“字母-”后接小写字母，视为断词；后接大写字母时保留连字符（如 Jean-Paul）
+    if (/\u00AD$/.test(first) || (/[A-Za-z]-$/.test(first) && /^[a-z]/.test(second))) {
+      return first.slice(0, -1) + second;
+    }
+    if (/[A-Za-z]-$/.test(first) && /^[A-Z]/.test(second)) {
+      return first + second;
+    }
+
+    const cjkPattern = /[\u2E80-\u2FDF\u3000-\u30FF\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF\uFF00-\uFFEF]/;
+    if (cjkPattern.test(first.slice(-1)) && cjkPattern.test(second.charAt(0))) {
+      return first + second;
+    }
+
+    return `${first} ${second}`;
+  }
+
+  /**
+   * 将文本项按行分组
+   * @param {Array} textItems - 文本项数组
+   * @returns {Array} 行数组
+   */
+  groupTextIntoLines(textItems) {
+    if (textItems.length === 0) return [];
+
+    // 按 Y 坐标排序
+    const sortedItems = textItems.sort((a, b) => a.y - b.y);
+    
+    const lines = [];
+    let currentLine = [sortedItems[0]];
+    let currentY = sortedItems[0].y;
+    let currentFontSize = sortedItems[0].fontSize;
+
+    for (let i = 1; i < sortedItems.length; i++) {
+      const item = sortedItems[i];
+      
+      // 如果 Y 坐标差异小于字体大小的一半，认为在同一行（空白文本项高度为 0，取行内最大字号）
+      if (Math.abs(item.y - currentY) < Math.max(item.fontSize, currentFontSize) / 2) {
+        currentLine.push(item);
+        currentFontSize = Math.max(currentFontSize, item.fontSize);
+      } else {
+        // 新行开始
+        if (currentLine.length > 0) {
+          lines.push(this.createLine(currentY, currentLine));
+        }
+        currentLine = [item];
+        currentY = item.y;
+        currentFontSize = item.fontSize;
+      }
+    }
+
+    // 添加最后一行
+    if (currentLine.length > 0) {
+      lines.push(this.createLine(currentY, currentLine));
+    }
+
+    return lines;
+  }
+
+  /**
+   * 创建行对象（文本项按 X 坐标排序）
+   * @param {number} y - 行的 Y 坐标
+   * @param {Array} items - 行内文本项
+   * @returns {Object} 行 { y, items, text, markdown, fontSize, monospace }
+   */
+  createLine(y, items) {
+    items.sort((a, b) => a.x - b.x);
+    const textItems = items.filter(item => item.text.trim());
+
+    return {
+      y,
+      items,
+      text: this.buildLineText(items),
+      markdown: this.buildLineMarkdown(items),
+      fontSize: Math.max(...items.map(item => item.fontSize)),
+      monospace: textItems.length > 0 && textItems.every(item => item.monospace)
+    };
+  }
+
+  /**
+   * 拼接行内文本项：仅在文本项间距超过约一个空格宽度时补空格（中日韩文字通常逐字或逐段排列，不应加空格）
+   * @param {Array} items - 按 x 坐标排序的文本项
+   * @returns {string} 行文本
+   */
+  buildLineText(items) {
+    let text = '';
+    let lastEnd = null;
+
+    for (const item of items) {
+      if (lastEnd !== null && item.x - lastEnd > (item.fontSize || 10) * 0.15 && !/\s$/.test(text) && !/^\s/.test(item.text)) {
+        text += ' ';
+      }
+      text += item.text;
+      lastEnd = lastEnd === null ? item.x + item.width : Math.max(lastEnd, item.x + item.width);
+    }
+
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * 拼接带格式的行文本：相同字体样式的连续文本项合为一段，输出 **粗体**、_斜体_ 和 `行内代码`，
+   * 指向同一地址的连续文本段输出为 [文本](地址)
+   * @param {Array} items - 按 x 坐标排序的文本项
+   * @returns {string} Markdown 行文本
+   */
+  buildLineMarkdown(items) {
+    const runs = [];
+    let lastEnd = null;
+
+    for (const item of items) {
+      let text = item.text;
+      const last = runs[runs.length - 1];
+      if (last && item.x - lastEnd > (item.fontSize || 10) * 0.15 && !/\s$/.test(last.text) && !/^\s/.test(text)) {
+        text = ' ' + text;
+      }
+      lastEnd = lastEnd === null ? item.x + item.width : Math.max(lastEnd, item.x + item.width);
+
+      // 空白文本项沿用前一段的样式和链接，避免打断格式
+      const isBlank = !item.text.trim() && last;
+      const style = isBlank
+        ? last.style
+        : item.monospace ? 'code' : `${item.bold ? 'bold' : ''}${item.italic ? 'italic' : ''}`;
+      const link = isBlank ? last.link : item.link || null;
+
+      if (last && last.style === style && last.link === link) {
+        last.text += text;
+      } else {
+        runs.push({ style, link, text });
+      }
+    }
+
+    const groups = [];
+    for (const run of runs) {
+      const last = groups[groups.length - 1];
+      if (last && last.link === run.link) {
+        last.text += this.formatRun(run);
+      } else {
+        groups.push({ link: run.link, text: this.formatRun(run) });
+      }
+    }
+
+    return groups.map(group => this.formatLink(group.text, group.link)).join('').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * 包裹链接（标记放在首尾空白之内），文本即地址时输出自动链接
+   * @param {string} text - 已格式化的文本
+   * @param {string|null} url - 链接地址
+   * @returns {string} Markdown 文本
+   */
+  formatLink(text, url) {
+    const core = text.trim();
+    if (!core || !url) return text;
+
+    const leading = text.match(/^\s*/)[0];
+    const trailing = text.match(/\s*$/)[0];
+    const href = url.replace(/[ ()<>]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    const label = core === url ? `<${href}>` : `[${core.replace(/([[\]])/g, '\\$1')}](${href})`;
+    return `${leading}${label}${trailing}`;
+  }
+
+  /**
+   * 按样式包裹文本段（标记放在首尾空白之内）
+   * @param {Object} run - 文本段 { style, text }
+   * @returns {string} Markdown 文本
+   */
+  formatRun(run) {
+    const core = run.text.trim();
+    if (!core || !run.style) return run.text;
+
+    const leading = run.text.match(/^\s*/)[0];
+    const trailing = run.text.match(/\s*$/)[0];
+    const wrappers = {
+      code: core.includes('`') ? ['`` ', ' ``'] : ['`', '`'],
+      bold: ['**', '**'],
+      italic: ['_', '_'],
+      bolditalic: ['**_', '_**']
+    };
+    const [open, close] = wrappers[run.style];
+    return `${leading}${open}${core}${close}${trailing}`;
+  }
+
+  /**
+   * 检测文本结构（标题、段落等）
+   * @param {Array} lines - 行数组
+   * @param {Object} headingContext - 标题依据：{ outlineMatches } 书签匹配结果或 { fontSizeLevels } 全文字号层级，
+   *   省略时按本组行的字号聚类
+   * @returns {Array} 结构化内容
+   */
+  detectStructure(lines, headingContext = null) {
+    if (lines.length === 0) return [];
+
+    const structured = [];
+    const context = headingContext || {};
+    let fontSizeLevels = context.fontSizeLevels || null;
+    if (!headingContext && this.headingDetector) {
+      fontSizeLevels = this.headingDetector.buildFontSizeLevels(lines);
+    }
+
+    // 连续的等宽字体行识别为代码块
+    const codeBlocks = this.detectCodeBlocks(lines);
+
+    // 按文本项 x 坐标在连续行间对齐列，识别表格区域（代码块中的对齐不视为表格）
+    const tables = (this.tableDetector ? this.tableDetector.detectTables(lines) : [])
+      .filter(table => !codeBlocks.some(block => table.startIndex <= block.endIndex && table.endIndex >= block.startIndex));
+
+    // 正文行距，用于区分段内折行和段落间距
+    const lineGap = this.getTypicalLineGap(lines);
+    let previousLine = null;
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+
+      const codeBlock = codeBlocks.find(block => block.startIndex === i);
+      if (codeBlock) {
+        const blockLines = lines.slice(i, codeBlock.endIndex + 1);
+        structured.push({
+          type: 'code',
+          level: 0,
+          text: this.buildCodeBlock(blockLines),
+          fontSize: line.fontSize,
+          y: line.y,
+          ...this.getHorizontalExtent(blockLines)
+        });
+        i = codeBlock.endIndex;
+        previousLine = null;
+        continue;
+      }
+
+      const table = tables.find(t => t.startIndex === i);
+      if (table) {
+        structured.push({
+          type: 'table',
+          level: 0,
+          text: '',
+          rows: table.rows,
+          alignments: table.alignments,
+          fontSize: line.fontSize,
+          y: line.y,
+          ...this.getHorizontalExtent(lines.slice(i, table.endIndex + 1))
+        });
+        i = table.endIndex;
+        previousLine = null;
+        continue;
+      }
+
+      const text = line.text.trim();
+      if (!text) continue;
+
+      let type = 'paragraph';
+      let level = 0;
+      const previous = structured[structured.length - 1];
+
+      // 检测标题：有书签时只认书签对应的行（标题文本取书签标题），否则按字号层级
+      if (context.outlineMatches) {
+        const entry = context.outlineMatches.get(line);
+        if (entry) {
+          // 折行标题的后续行已包含在书签标题中
+          if (previous && previous.outlineEntry === entry) {
+            previousLine = line;
+            continue;
+          }
+          structured.push({
+            type: 'heading',
+            level: entry.level,
+            text: entry.title,
+            outlineEntry: entry,
+            fontSize: line.fontSize,
+            y: line.y,
+            ...this.getHorizontalExtent([line])
+          });
+          previousLine = line;
+          continue;
+        }
+      } else if (this.headingDetector) {
+        level = this.headingDetector.getFontSizeLevel(line, fontSizeLevels);
+        if (level > 0) type = 'heading';
+      }
+
+      // 同级标题折行合并
+      if (type === 'heading' && previous && previous.type === 'heading' && previous.level === level &&
+          previousLine && line.y > previousLine.y && line.y - previousLine.y <= line.fontSize * 1.6) {
+        previous.text = this.joinText(previous.text, text);
+        previousLine = line;
+        continue;
+      }
+
+      // 检测列表项（编号标题如 "1. 引言" 仍作为标题）
+      if (type !== 'heading' && /^[\s]*[•\-\*\d+\.]\s/.test(text)) {
+        type = 'list';
+      }
+
+      // 段内折行合并到上一段落或列表项
+      if (type === 'paragraph' && previous && previousLine && this.isLineContinuation(previous, previousLine, line, lineGap)) {
+        const extent = this.getHorizontalExtent([line]);
+        previous.text = this.joinText(previous.text, line.markdown);
+        previous.x0 = Math.min(previous.x0, extent.x0);
+        previous.x1 = Math.max(previous.x1, extent.x1);
+        previousLine = line;
+        continue;
+      }
+
+      // 标题使用纯文本，段落和列表保留行内格式
+      structured.push({
+        type,
+        level,
+        text: type === 'heading' ? text : line.markdown,
+        fontSize: line.fontSize,
+        y: line.y,
+        ...this.getHorizontalExtent([line])
+      });
+      previousLine = line;
+    }
+
+    return structured;
+  }
+
+  /**
+   * 插入未能匹配到页面文本的书签标题：按书签目标位置插入，没有位置时按大纲顺序放在后续书签标题之前
+   * @param {Array} structured - 结构化内容
+   * @param {Array} entries - 未匹配的书签
+   */
+  insertOutlineHeadings(structured, entries) {
+    entries.slice().reverse().forEach(entry => {
+      const index = entry.y === null
+        ? structured.findIndex(item => item.outlineEntry && item.outlineEntry.index > entry.index)
+        : structured.findIndex(item => item.y >= entry.y);
+      structured.splice(index === -1 ? structured.length : index, 0, {
+        type: 'heading',
+        level: entry.level,
+        text: entry.title,
+        outlineEntry: entry,
+        fontSize: 0,
+        y: entry.y === null ? 0 : entry.y,
+        x0: 0,
+        x1: 0
+      });
+    });
+  }
+
+  /**
+   * 检测代码块：至少两行连续（同一栏内自上而下）的等宽字体行
+   * @param {Array} lines - 行数组
+   * @returns {Array} 代码块 [{ startIndex, endIndex }]
+   */
+  detectCodeBlocks(lines) {
+    const blocks = [];
+    let start = -1;
+
+    for (let i = 0; i <= lines.length; i++) {
+      const line = lines[i];
+      const previous = lines[i - 1];
+      const continues = line && line.monospace && start !== -1 &&
+        line.y > previous.y && line.y - previous.y <= (line.fontSize || 10) * 3;
+
+      if (continues) continue;
+
+      if (start !== -1 && i - start >= 2) {
+        blocks.push({ startIndex: start, endIndex: i - 1 });
+      }
+      start = line && line.monospace ? i : -1;
+    }
+
+    return blocks;
+  }
+
+  /**
+   * 生成代码块文本：按等宽字符宽度还原缩进和行内空格，行距明显变大处补空行
+   * @param {Array} lines - 代码块的行
+   * @returns {string} 代码文本
+   */
+  buildCodeBlock(lines) {
+    const textItems = lines.flatMap(line => line.items.filter(item => item.text.trim()));
+    const originX = Math.min(...textItems.map(item => item.x));
+    const charWidths = textItems
+      .filter(item => item.width > 0)
+      .map(item => item.width / item.text.length)
+      .sort((a, b) => a - b);
+    const charWidth = charWidths.length > 0 ? charWidths[Math.floor(charWidths.length / 2)] : 6;
+    const lineGap = this.getTypicalLineGap(lines);
+
+    const output = [];
+    lines.forEach((line, index) => {
+      if (index > 0 && lineGap > 0 && line.y - lines[index - 1].y > lineGap * 1.5) {
+        output.push('');
+      }
+
+      let text = '';
+      for (const item of line.items) {
+        const column = Math.max(0, Math.round((item.x - originX) / charWidth));
+        if (text.length < column) text += ' '.repeat(column - text.length);
+        text += item.text;
+      }
+      output.push(text.replace(/\s+$/, ''));
+    });
+
+    return output.join('\n');
+  }
+
+  /**
+   * 统计相邻正文行的行距中位数
+   * @param {Array} lines - 行数组
+   * @returns {number} 行距
+   */
+  getTypicalLineGap(lines) {
+    const gaps = [];
+    for (let i = 1; i < lines.length; i++) {
+      const gap = lines[i].y - lines[i - 1].y;
+      const fontSize = Math.max(lines[i].fontSize, lines[i - 1].fontSize) || 10;
+      if (gap > 0 && gap < fontSize * 3 && this.isSimilarFontSize(lines[i], lines[i - 1])) {
+        gaps.push(gap);
+      }
+    }
+
+    if (gaps.length === 0) return 0;
+    gaps.sort((a, b) => a - b);
+    return gaps[Math.floor(gaps.length / 2)];
+  }
+
+  /**
+   * 判断一行是否为上一段落（或列表项）的折行：
+   * 字号相近、行距不大于正文行距，且没有首行缩进或上一行以句末标点提前结束等分段迹象
+   * @param {Object} block - 上一个段落或列表项
+   * @param {Object} previousLine - 上一行
+   * @param {Object} line - 当前行
+   * @param {number} lineGap - 正文行距
+   * @returns {boolean} 是否为折行
+   */
+  isLineContinuation(block, previousLine, line, lineGap) {
+    if (block.type !== 'paragraph' && block.type !== 'list') return false;
+    if (!this.isSimilarFontSize(previousLine, line)) return false;
+
+    const fontSize = Math.max(previousLine.fontSize, line.fontSize) || 10;
+    const gap = line.y - previousLine.y;
+    const maxGap = lineGap > 0 ? Math.min(lineGap * 1.3, fontSize * 2) : fontSize * 1.5;
+    if (gap <= 0 || gap > maxGap) return false;
+
+    const previousExtent = this.getHorizontalExtent([previousLine]);
+    const extent = this.getHorizontalExtent([line]);
+
+    // 列表项的折行缩进到项目符号之后；段落首行缩进表示新段落
+    if (block.type === 'list') {
+      return extent.x0 > block.x0 + fontSize * 0.3;
+    }
+    if (extent.x0 > previousExtent.x0 + fontSize * 0.8) return false;
+
+    // 上一行提前结束且以句末标点收尾，视为段落结束
+    const endsShort = previousExtent.x1 < Math.max(block.x1, extent.x1) - fontSize * 2;
+    return !(endsShort && /[.!?。！？:：]["'”’)）]*$/.test(previousLine.text.trim()));
+  }
+
+  /**
+   * 判断两行字号是否相近
+   */
+  isSimilarFontSize(line, other) {
+    return Math.abs(line.fontSize - other.fontSize) <= Math.max(line.fontSize, other.fontSize) * 0.15;
+  }
+
+  /**
+   * 获取行的水平范围（用于确定图片插入位置）
+   * @param {Array} lines - 行数组
+   * @returns {Object} { x0, x1 }
+   */
+  getHorizontalExtent(lines) {
+    const items = lines.flatMap(line => line.items);
+    return {
+      x0: Math.min(...items.map(item => item.x)),
+      x1: Math.max(...items.map(item => item.x + item.width))
+    };
+  }
+
+  /**
+   * 从页面提取图片：遍历操作列表跟踪变换矩阵得到图片位置，通过 page.objs 取得像素并编码为 PNG
+   * @param {Object} page - PDF 页面对象
+   * @param {number} pageNum - 页码
+   * @param {Object} context - 图片提取上下文 { baseName, imageMode, assets, cache, stats }
+   * @returns {Promise<Array>} 图片数组 [{ type, pageNumber, x0, x1, y0, y1, width, height, src, markdown }]
+   */
+  async extractImagesFromPage(page, pageNum, context) {
+    try {
+      const operatorList = await page.getOperatorList();
+      const viewport = page.getViewport({ scale: 1.0 });
+      const OPS = this.pdfjsLib.OPS;
+      const images = [];
+
+      let transform = [1, 0, 0, 1, 0, 0];
+      const transformStack = [];
+
+      for (let i = 0; i < operatorList.fnArray.length; i++) {
+        const fn = operatorList.fnArray[i];
+        const args = operatorList.argsArray[i];
+
+        switch (fn) {
+          case OPS.save:
+          case OPS.paintFormXObjectBegin:
+            transformStack.push(transform);
+            if (fn === OPS.paintFormXObjectBegin && args[0]) {
+              transform = this.pdfjsLib.Util.transform(transform, args[0]);
+            }
+            break;
+
+          case OPS.restore:
+          case OPS.paintFormXObjectEnd:
+            transform = transformStack.pop() || [1, 0, 0, 1, 0, 0];
+            break;
+
+          case OPS.transform:
+            transform = this.pdfjsLib.Util.transform(transform, args);
+            break;
+
+          case OPS.paintImageXObject:
+          case OPS.paintInlineImageXObject: {
+            const isInline = fn === OPS.paintInlineImageXObject;
+            const width = isInline ? args[0].width : args[1];
+            const height = isInline ? args[0].height : args[2];
+            if (width < this.minImageSize || height < this.minImageSize) break;
+
+            const image = await this.extractImage(page, args[0], isInline, context);
+            if (image) {
+              images.push({
+                type: 'image',
+                pageNumber: pageNum,
+                width,
+                height,
+                ...this.getImageBounds(transform, viewport.height),
+                ...image
+              });
+            }
+            break;
+          }
+        }
+      }
+
+      return images;
+
+    } catch (error) {
+      console.error('提取页面图片失败:', error);
+      return [];
+    }
+  }
+
+  /**
+   * 取得图片像素并按图片处理方式生成资源
+   * @param {Object} page - PDF 页面对象
+   * @param {string|Object} source - 图片对象 ID，内联图片时为图片数据
+   * @param {boolean} isInline - 是否为内联图片
+   * @param {Object} context - 图片提取上下文
+   * @returns {Promise<Object|null>} { src, markdown }，图片被忽略或无法解码时为 null
+   */
+  async extractImage(page, source, isInline, context) {
+    context.stats.total++;
+    const alt = `图片 ${context.stats.total}`;
+
+    if (context.imageMode === 'none') {
+      context.stats.dropped++;
+      return null;
+    }
+
+    let src = isInline ? null : context.cache.get(source);
+    if (!src) {
+      try {
+        const imageData = isInline ? source : await this.getImageObject(page, source);
+        const base64 = await this.encodeImageToPng(imageData);
+        if (!base64) throw new Error('无法编码图片');
+
+        src = AssetUtils.addImage(context.assets, context.baseName, 'image/png', base64, context.imageMode);
+        if (!isInline) context.cache.set(source, src);
+      } catch (error) {
+        console.warn('提取 PDF 图片失败:', error);
+        context.stats.dropped++;
+        return null;
+      }
+    }
+
+    return { src, markdown: `![${alt}](${src})` };
+  }
 
-      // 加载 PDF 文档
-      const pdf = await this.pdfjsLib.getDocument({
-        data: arrayBuffer,
-        cMapUrl: 'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/cmaps/',
-        cMapPacked: true
-      }).promise;
+  /**
+   * 从页面对象池获取已解码的图片（g_ 开头的为文档级共享对象）
+   * @param {Object} page - PDF 页面对象
+   * @param {string} objId - 图片对象 ID
+   * @returns {Promise<Object>} 图片数据 { width, height, kind, data } 或 { bitmap }
+   */
+  getImageObject(page, objId) {
+    const objs = objId.startsWith('g_') ? page.commonObjs : page.objs;
+    return new Promise((resolve) => objs.get(objId, resolve));
+  }
 
-      if (onProgress) onProgress(20);
+  /**
+   * 通过 canvas 将图片数据编码为 PNG（Worker 中使用 OffscreenCanvas）
+   * @param {Object} imageData - pdf.js 图片数据
+   * @returns {Promise<string|null>} PNG 的 Base64 数据
+   */
+  async encodeImageToPng(imageData) {
+    if (!imageData || !imageData.width || !imageData.height) return null;
 
-      const totalPages = pdf.numPages;
-      const pages = [];
-      const images = [];
-      let markdownContent = '';
+    const canvas = typeof document !== 'undefined'
+      ? document.createElement('canvas')
+      : new OffscreenCanvas(imageData.width, imageData.height);
+    canvas.width = imageData.width;
+    canvas.height = imageData.height;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return null;
 
-      // 处理每一页
-      for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
-        const page = await pdf.getPage(pageNum);
-        
-        // 提取文本内容
-        const textContent = await this.extractTextFromPage(page);
-        
-        // 提取图片
-        const pageImages = await this.extractImagesFromPage(page);
-        images.push(...pageImages);
+    if (imageData.bitmap) {
+      ctx.drawImage(imageData.bitmap, 0, 0);
+    } else {
+      const pixels = ctx.createImageData(imageData.width, imageData.height);
+      this.fillRgbaPixels(pixels.data, imageData);
+      ctx.putImageData(pixels, 0, 0);
+    }
 
-        // 转换为 Markdown
-        const pageMarkdown = this.convertPageToMarkdown(textContent, pageImages, pageNum);
-        
-        pages.push({
-          pageNumber: pageNum,
-          text: textContent,
-          images: pageImages,
-          markdown: pageMarkdown
-        });
+    if (!canvas.toDataURL) {
+      const blob = await canvas.convertToBlob({ type: 'image/png' });
+      return this.arrayBufferToBase64(await blob.arrayBuffer());
+    }
 
-        markdownContent += pageMarkdown + '\n\n';
+    const dataUrl = canvas.toDataURL('image/png');
+    return dataUrl.split(',')[1] || null;
+  }
 
-        // 更新进度
-        if (onProgress) {
-          const progress = 20 + (pageNum / totalPages) * 70;
-          onProgress(progress);
-        }
-      }
+  /**
+   * 将二进制数据编码为 Base64
+   * @param {ArrayBuffer} buffer - 二进制数据
+   * @returns {string} Base64 字符串
+   */
+  arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
 
-      // 清理和优化 Markdown
-      markdownContent = this.cleanupMarkdown(markdownContent);
+  /**
+   * 将 pdf.js 的灰度（1 位）、RGB、RGBA 像素转换为 RGBA
+   * @param {Uint8ClampedArray} dest - 目标 RGBA 像素
+   * @param {Object} imageData - pdf.js 图片数据 { width, height, kind, data }
+   */
+  fillRgbaPixels(dest, imageData) {
+    const { width, height, kind, data } = imageData;
+    const ImageKind = this.pdfjsLib.ImageKind || { GRAYSCALE_1BPP: 1, RGB_24BPP: 2, RGBA_32BPP: 3 };
 
-      if (onProgress) onProgress(100);
+    if (kind === ImageKind.RGBA_32BPP) {
+      dest.set(data.subarray(0, dest.length));
+      return;
+    }
 
-      return {
-        markdown: markdownContent,
-        pages: pages,
-        images: images,
-        totalPages: totalPages,
-        metadata: await this.extractMetadata(pdf)
-      };
+    const rowBytes = (width + 7) >> 3;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const pixel = y * width + x;
+        const offset = pixel * 4;
 
-    } catch (error) {
-      console.error('PDF 转换失败:', error);
-      throw new Error(`PDF 转换失败: ${error.message}`);
+        if (kind === ImageKind.GRAYSCALE_1BPP) {
+          const value = data[y * rowBytes + (x >> 3)] & (0x80 >> (x & 7)) ? 255 : 0;
+          dest[offset] = dest[offset + 1] = dest[offset + 2] = value;
+        } else {
+          dest[offset] = data[pixel * 3];
+          dest[offset + 1] = data[pixel * 3 + 1];
+          dest[offset + 2] = data[pixel * 3 + 2];
+        }
+        dest[offset + 3] = 255;
+      }
     }
   }
 
   /**
-   * 从页面提取文本内容
+   * 计算图片在页面上的范围（图片绘制在单位正方形内，经变换矩阵映射到页面坐标）
+   * @param {Array} transform - 当前变换矩阵
+   * @param {number} pageHeight - 页面高度
+   * @returns {Object} { x0, x1, y0, y1 }（y 坐标自上而下，与文本项一致）
+   */
+  getImageBounds(transform, pageHeight) {
+    const [a, b, c, d, e, f] = transform;
+    const corners = [[0, 0], [1, 0], [0, 1], [1, 1]].map(([u, v]) => [a * u + c * v + e, b * u + d * v + f]);
+    const xs = corners.map(point => point[0]);
+    const ys = corners.map(point => point[1]);
+
+    return {
+      x0: Math.min(...xs),
+      x1: Math.max(...xs),
+      y0: pageHeight - Math.max(...ys),
+      y1: pageHeight - Math.min(...ys)
+    };
+  }
+
+  /**
+   * 读取页面注释：外部链接用于标记文本项，批注和高亮等标记注释按选项导出
    * @param {Object} page - PDF 页面对象
-   * @returns {Promise<Object>} 文本内容
+   * @returns {Promise<Object>} { links: [{ url, boxes }], notes: [{ type, subtype, label, author, contents, quote, boxes, x0, x1, y0, y1 }] }
+   *   boxes 为注释覆盖的区域（y 坐标自上而下，与文本项一致）
    */
-  async extractTextFromPage(page) {
+  async extractAnnotationsFromPage(page) {
+    const noteLabels = {
+      Text: '批注',
+      FreeText: '批注',
+      Highlight: '高亮',
+      Underline: '下划线',
+      StrikeOut: '删除线',
+      Squiggly: '波浪线'
+    };
+
     try {
-      const textContent = await page.getTextContent();
+      const annotations = await page.getAnnotations();
       const viewport = page.getViewport({ scale: 1.0 });
+      const links = [];
+      const notes = [];
 
-      // 按位置组织文本项
-      const textItems = textContent.items.map(item => ({
-        text: item.str,
-        x: item.transform[4],
-        y: viewport.height - item.transform[5], // 转换坐标系
-        width: item.width,
-        height: item.height,
-        fontSize: item.height,
-        fontName: item.fontName
-      }));
+      for (const annotation of annotations) {
+        const boxes = this.getAnnotationBoxes(annotation, viewport.height);
+        if (boxes.length === 0) continue;
 
-      // 按行分组文本
-      const lines = this.groupTextIntoLines(textItems);
-      
-      // 检测标题和段落
-      const structuredContent = this.detectStructure(lines);
+        if (annotation.subtype === 'Link') {
+          // 只保留外部链接，文档内跳转和脚本链接忽略；优先使用文档中的原始地址（pdf.js 规范化后可能多出末尾斜杠）
+          const unsafeUrl = annotation.unsafeUrl || '';
+          const url = /^(https?|ftp|mailto):/i.test(unsafeUrl) ? unsafeUrl : annotation.url || null;
+          if (url) links.push({ url, boxes });
+          continue;
+        }
 
-      return {
-        raw: textContent.items.map(item => item.str).join(' '),
-        items: textItems,
-        lines: lines,
-        structured: structuredContent
-      };
+        const label = noteLabels[annotation.subtype];
+        if (!label) continue;
+
+        const contents = ((annotation.contentsObj && annotation.contentsObj.str) || annotation.contents || '').trim();
+        const isMarkup = annotation.subtype !== 'Text' && annotation.subtype !== 'FreeText';
+        if (!contents && !isMarkup) continue;
+
+        notes.push({
+          type: 'annotation',
+          subtype: annotation.subtype,
+          label,
+          author: ((annotation.titleObj && annotation.titleObj.str) || annotation.title || '').trim(),
+          contents,
+          quote: '',
+          isMarkup,
+          boxes,
+          x0: Math.min(...boxes.map(box => box.x0)),
+          x1: Math.max(...boxes.map(box => box.x1)),
+          y0: Math.min(...boxes.map(box => box.y0)),
+          y1: Math.max(...boxes.map(box => box.y1))
+        });
+      }
 
+      return { links, notes };
     } catch (error) {
-      console.error('提取页面文本失败:', error);
-      return {
-        raw: '',
-        items: [],
-        lines: [],
-        structured: []
-      };
+      console.warn('读取页面注释失败:', error);
+      return { links: [], notes: [] };
     }
   }
 
   /**
-   * 将文本项按行分组
-   * @param {Array} textItems - 文本项数组
-   * @returns {Array} 行数组
+   * 获取注释覆盖的区域：有 QuadPoints（跨行的链接、高亮）时逐行取区域，否则取注释矩形
+   * @param {Object} annotation - pdf.js 注释数据
+   * @param {number} pageHeight - 页面高度
+   * @returns {Array} 区域 [{ x0, x1, y0, y1 }]
    */
-  groupTextIntoLines(textItems) {
-    if (textItems.length === 0) return [];
-
-    // 按 Y 坐标排序
-    const sortedItems = textItems.sort((a, b) => a.y - b.y);
-    
-    const lines = [];
-    let currentLine = [sortedItems[0]];
-    let currentY = sortedItems[0].y;
-
-    for (let i = 1; i < sortedItems.length; i++) {
-      const item = sortedItems[i];
-      
-      // 如果 Y 坐标差异小于字体大小的一半，认为在同一行
-      if (Math.abs(item.y - currentY) < item.fontSize / 2) {
-        currentLine.push(item);
-      } else {
-        // 新行开始
-        if (currentLine.length > 0) {
-          // 按 X 坐标排序当前行的文本
-          currentLine.sort((a, b) => a.x - b.x);
-          lines.push({
-            y: currentY,
-            items: currentLine,
-            text: currentLine.map(item => item.text).join(' ').trim(),
-            fontSize: Math.max(...currentLine.map(item => item.fontSize))
-          });
-        }
-        currentLine = [item];
-        currentY = item.y;
-      }
-    }
+  getAnnotationBoxes(annotation, pageHeight) {
+    const toBox = (x0, y0, x1, y1) => ({
+      x0: Math.min(x0, x1),
+      x1: Math.max(x0, x1),
+      y0: pageHeight - Math.max(y0, y1),
+      y1: pageHeight - Math.min(y0, y1)
+    });
 
-    // 添加最后一行
-    if (currentLine.length > 0) {
-      currentLine.sort((a, b) => a.x - b.x);
-      lines.push({
-        y: currentY,
-        items: currentLine,
-        text: currentLine.map(item => item.text).join(' ').trim(),
-        fontSize: Math.max(...currentLine.map(item => item.fontSize))
+    if (Array.isArray(annotation.quadPoints) && annotation.quadPoints.length > 0) {
+      return annotation.quadPoints.map(points => {
+        const xs = points.map(point => point.x);
+        const ys = points.map(point => point.y);
+        return toBox(Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys));
       });
     }
 
-    return lines;
+    const rect = annotation.rect;
+    return rect && rect.length === 4 ? [toBox(rect[0], rect[1], rect[2], rect[3])] : [];
   }
 
   /**
-   * 检测文本结构（标题、段落等）
-   * @param {Array} lines - 行数组
-   * @returns {Array} 结构化内容
+   * 判断文本项是否位于区域内（文本项垂直居中位置落在区域内且水平方向有重叠）
    */
-  detectStructure(lines) {
-    if (lines.length === 0) return [];
+  isItemInBox(item, box) {
+    const middle = item.y - (item.fontSize || 0) / 2;
+    return middle >= box.y0 - 1 && middle <= box.y1 + 1 && item.x < box.x1 && item.x + item.width > box.x0;
+  }
 
-    const structured = [];
-    const avgFontSize = lines.reduce((sum, line) => sum + line.fontSize, 0) / lines.length;
+  /**
+   * 估算区域在文本项中覆盖的字符范围（按平均字宽估算，有空格时对齐到词边界）
+   * @param {Object} item - 文本项
+   * @param {Object} box - 区域 { x0, x1 }
+   * @returns {Object|null} { start, end }
+   */
+  getCharRange(item, box) {
+    const length = item.text.length;
+    const charWidth = item.width / length;
+    if (!(charWidth > 0)) return { start: 0, end: length };
 
-    for (const line of lines) {
-      const text = line.text.trim();
-      if (!text) continue;
+    const toIndex = (x) => Math.min(length, Math.max(0, Math.round((x - item.x) / charWidth)));
+    const snap = (index) => {
+      if (!/\s/.test(item.text) || this.isWordBoundary(item.text, index)) return index;
 
-      let type = 'paragraph';
-      let level = 0;
+      let best = 0;
+      for (let i = 0; i <= length; i++) {
+        if (this.isWordBoundary(item.text, i) && Math.abs(i - index) < Math.abs(best - index)) best = i;
+      }
+      return best;
+    };
 
-      // 检测标题（基于字体大小）
-      if (line.fontSize > avgFontSize * 1.2) {
-        type = 'heading';
-        if (line.fontSize > avgFontSize * 1.5) {
-          level = 1; // 大标题
-        } else {
-          level = 2; // 小标题
+    const start = snap(toIndex(box.x0));
+    const end = snap(toIndex(box.x1));
+    return end > start ? { start, end } : null;
+  }
+
+  /**
+   * 判断字符位置是否位于词边界
+   */
+  isWordBoundary(text, index) {
+    return index === 0 || index === text.length || /\s/.test(text[index - 1]) || /\s/.test(text[index]);
+  }
+
+  /**
+   * 截取文本项的部分字符，按平均字宽换算位置
+   */
+  sliceItem(item, start, end) {
+    const charWidth = item.width / item.text.length;
+    return {
+      ...item,
+      text: item.text.slice(start, end),
+      x: item.x + start * charWidth,
+      width: (end - start) * charWidth
+    };
+  }
+
+  /**
+   * 把链接标记到所覆盖的文本项上，文本项只有部分被覆盖时拆分为多项
+   * @param {Array} items - 文本项
+   * @param {Array} links - 链接 [{ url, boxes }]
+   * @returns {Array} 文本项（被链接覆盖的带 link 属性）
+   */
+  applyLinks(items, links) {
+    if (links.length === 0) return items;
+
+    return items.flatMap(item => {
+      const ranges = [];
+      for (const link of links) {
+        for (const box of link.boxes) {
+          if (!this.isItemInBox(item, box)) continue;
+          const range = this.getCharRange(item, box);
+          if (range && !ranges.some(other => range.start < other.end && range.end > other.start)) {
+            ranges.push({ ...range, url: link.url });
+          }
         }
       }
+      if (ranges.length === 0) return [item];
 
-      // 检测列表项
-      if (/^[\s]*[•\-\*\d+\.]\s/.test(text)) {
-        type = 'list';
+      ranges.sort((a, b) => a.start - b.start);
+      const pieces = [];
+      let position = 0;
+      for (const range of ranges) {
+        if (range.start > position) pieces.push(this.sliceItem(item, position, range.start));
+        pieces.push({ ...this.sliceItem(item, range.start, range.end), link: range.url });
+        position = range.end;
       }
+      if (position < item.text.length) pieces.push(this.sliceItem(item, position, item.text.length));
+      return pieces;
+    });
+  }
 
-      // 检测表格（简单检测）
-      if (text.includes('\t') || /\s{3,}/.test(text)) {
-        type = 'table';
+  /**
+   * 为高亮、下划线等标记注释取出被标记的文本
+   * @param {Array} notes - 批注
+   * @param {Array} items - 页面文本项
+   * @returns {Array} 批注（quote 为被标记的文本）
+   */
+  resolveNoteText(notes, items) {
+    return notes.map(note => {
+      if (!note.isMarkup) return note;
+
+      const pieces = [];
+      for (const box of note.boxes) {
+        for (const item of items) {
+          if (!item.text.trim() || !this.isItemInBox(item, box)) continue;
+          const range = this.getCharRange(item, box);
+          if (range) pieces.push(this.sliceItem(item, range.start, range.end));
+        }
       }
 
-      structured.push({
-        type,
-        level,
-        text,
-        fontSize: line.fontSize,
-        y: line.y
+      const quote = this.groupTextIntoLines(pieces)
+        .map(line => line.text)
+        .filter(Boolean)
+        .reduce((text, line) => text ? this.joinText(text, line) : line, '');
+      return { ...note, quote };
+    });
+  }
+
+  /**
+   * 生成批注文本：**标签**（作者）：“被标记的文本” 批注内容
+   * @param {Object} note - 批注
+   * @param {string} separator - 标记文本与批注内容之间的分隔符
+   * @returns {string} Markdown 文本
+   */
+  formatNote(note, separator) {
+    const title = note.author ? `**${note.label}**（${note.author}）` : `**${note.label}**`;
+    const body = [note.quote && `“${note.quote}”`, note.contents].filter(Boolean).join(separator);
+    return body ? `${title}：${body}` : title;
+  }
+
+  /**
+   * 把图片、批注等带位置的内容插入结构化内容中的原位置：放在同一栏内其下方的第一项之前，
+   * 没有下方内容时放在同一栏上方的最后一项之后
+   * （图片以垂直中点定位；批注以底边定位，使其跟在所标注的段落之后）
+   * @param {Array} structured - 结构化内容（阅读顺序）
+   * @param {Array} positioned - 带位置的内容 [{ type, x0, x1, y0, y1 }]
+   * @returns {Array} 合并后的结构化内容
+   */
+  insertPositionedItems(structured, positioned) {
+    const result = structured.slice();
+    const isPositioned = (item) => item.type === 'image' || item.type === 'annotation';
+
+    // 自上而下插入，插入点相同的多项内容保持自上而下的顺序
+    const sorted = positioned.slice().sort((a, b) => a.y0 - b.y0 || a.x0 - b.x0);
+    for (const entry of sorted) {
+      const anchor = entry.type === 'annotation' ? entry.y1 : (entry.y0 + entry.y1) / 2;
+      const overlaps = (item) => !isPositioned(item) && item.x0 < entry.x1 && item.x1 > entry.x0;
+
+      const below = result.findIndex(item => overlaps(item) && item.y > anchor);
+      if (below !== -1) {
+        result.splice(below, 0, entry);
+        continue;
+      }
+
+      let above = -1;
+      result.forEach((item, index) => {
+        if (overlaps(item) && item.y <= anchor) above = index;
       });
+      if (above !== -1) {
+        // 跳过已插入在该项之后的内容
+        let index = above + 1;
+        while (index < result.length && isPositioned(result[index])) index++;
+        result.splice(index, 0, entry);
+      } else {
+        const next = result.findIndex(item => !isPositioned(item) && item.y > anchor);
+        result.splice(next === -1 ? result.length : next, 0, entry);
+      }
     }
 
-    return structured;
+    return result;
   }
 
   /**
-   * 从页面提取图片
-   * @param {Object} page - PDF 页面对象
-   * @returns {Promise<Array>} 图片数组
+   * 脚注模式下把批注替换为脚注标记：标记附在前一个文本段落、列表项或标题之后（没有时附在后一个之后），
+   * 批注按出现顺序登记到 footnotes
+   * @param {Array} items - 结构化内容（含批注）
+   * @param {Array} footnotes - 全文的脚注列表
+   * @returns {Array} 结构化内容
    */
-  async extractImagesFromPage(page) {
-    try {
-      const operatorList = await page.getOperatorList();
-      const images = [];
+  attachFootnotes(items, footnotes) {
+    const result = items.slice();
+    const hasText = (item) => item && ['paragraph', 'list', 'heading'].includes(item.type);
 
-      // 查找图片操作
-      for (let i = 0; i < operatorList.fnArray.length; i++) {
-        const fn = operatorList.fnArray[i];
-        const args = operatorList.argsArray[i];
+    for (let i = 0; i < result.length; i++) {
+      if (result[i].type !== 'annotation') continue;
 
-        // 检查是否是图片绘制操作
-        if (fn === this.pdfjsLib.OPS.paintImageXObject || fn === this.pdfjsLib.OPS.paintInlineImageXObject) {
-          try {
-            // 这里可以进一步提取图片数据
-            // 由于 PDF.js 的限制，实际图片提取比较复杂
-            images.push({
-              type: 'image',
-              placeholder: `![图片 ${images.length + 1}]()`
-            });
-          } catch (error) {
-            console.warn('提取图片失败:', error);
-          }
-        }
+      footnotes.push(result[i]);
+      const marker = `[^a${footnotes.length}]`;
+      let target = -1;
+      for (let j = i - 1; j >= 0 && target === -1; j--) {
+        if (hasText(result[j])) target = j;
+      }
+      for (let j = i + 1; j < result.length && target === -1; j++) {
+        if (hasText(result[j])) target = j;
       }
 
-      return images;
-
-    } catch (error) {
-      console.error('提取页面图片失败:', error);
-      return [];
+      if (target === -1) {
+        result[i] = { type: 'paragraph', level: 0, text: marker };
+      } else {
+        // 复制一份，避免修改页面的结构化内容
+        result[target] = { ...result[target], text: result[target].text + marker };
+        result.splice(i, 1);
+        i--;
+      }
     }
+
+    return result;
   }
 
   /**
    * 将页面内容转换为 Markdown
    * @param {Object} textContent - 文本内容
-   * @param {Array} images - 图片数组
+   * @param {Array} images - 图片和批注等带位置的内容
    * @param {number} pageNum - 页码
+   * @param {Object} options - 输出选项 { isFirstPage, pageBreakMode, annotationMode, footnotes }
    * @returns {string} Markdown 内容
    */
-  convertPageToMarkdown(textContent, images, pageNum) {
+  convertPageToMarkdown(textContent, images, pageNum, options = {}) {
     let markdown = '';
 
-    // 添加页面标题
-    if (pageNum > 1) {
+    // 添加页面标题（首个转换的页面不加）
+    if (!options.isFirstPage && options.pageBreakMode !== 'none') {
       markdown += `\n---\n\n# 第 ${pageNum} 页\n\n`;
     }
 
-    // 转换结构化内容
-    for (const item of textContent.structured) {
+    // 标记 OCR 识别的页面
+    if (textContent.source === 'ocr') {
+      markdown += `<!-- source: OCR, confidence: ${Math.round(textContent.confidence)}% -->\n\n`;
+    }
+
+    // 转换结构化内容（图片和批注按位置插入正文）
+    let items = this.insertPositionedItems(textContent.structured, images);
+    if (options.annotationMode === 'footnote') {
+      items = this.attachFootnotes(items, options.footnotes || []);
+    }
+
+    for (const item of items) {
       switch (item.type) {
         case 'heading':
-          const headingLevel = '#'.repeat(item.level + 1);
+          const headingLevel = '#'.repeat(Math.min(Math.max(item.level, 1), 6));
           markdown += `${headingLevel} ${item.text}\n\n`;
           break;
           
@@ -329,17 +1880,19 @@ class PdfConverter {
           break;
           
         case 'table':
-          // 简单表格处理
-          const cells = item.text.split(/\s{2,}|\t/);
-          if (cells.length > 1) {
-            markdown += `| ${cells.join(' | ')} |\n`;
-            if (markdown.indexOf('|') === markdown.lastIndexOf('|') - cells.length * 3) {
-              // 添加表格头分隔符
-              markdown += `| ${cells.map(() => '---').join(' | ')} |\n`;
-            }
-          } else {
-            markdown += `${item.text}\n\n`;
-          }
+          markdown += `${this.tableDetector.toMarkdown(item)}\n\n`;
+          break;
+
+        case 'image':
+          markdown += `${item.markdown}\n\n`;
+          break;
+
+        case 'annotation':
+          markdown += `${this.formatNote(item, '\n').split('\n').map(line => `> ${line}`.trimEnd()).join('\n')}\n\n`;
+          break;
+
+        case 'code':
+          markdown += `\`\`\`\n${item.text}\n\`\`\`\n\n`;
           break;
           
         default:
@@ -351,14 +1904,6 @@ class PdfConverter {
       }
     }
 
-    // 添加图片
-    if (images.length > 0) {
-      markdown += '\n## 页面图片\n\n';
-      images.forEach((img, index) => {
-        markdown += `${img.placeholder}\n\n`;
-      });
-    }
-
     return markdown;
   }
 
@@ -368,19 +1913,108 @@ class PdfConverter {
    * @returns {string} 清理后的 Markdown
    */
   cleanupMarkdown(markdown) {
+    // 代码块内容保持原样，只整理代码块之外的部分
     return markdown
-      // 移除多余的空行
-      .replace(/\n{3,}/g, '\n\n')
-      // 清理行首行尾空格
-      .replace(/[ \t]+$/gm, '')
-      // 修复标题格式
-      .replace(/^(#{1,6})\s*(.+)$/gm, '$1 $2')
-      // 修复列表格式
-      .replace(/^[\s]*[-*+]\s*(.+)$/gm, '- $1')
+      .split(/(```[\s\S]*?```)/)
+      .map((part, index) => index % 2 === 1 ? part : part
+        // 移除多余的空行
+        .replace(/\n{3,}/g, '\n\n')
+        // 清理行首行尾空格
+        .replace(/[ \t]+$/gm, '')
+        // 修复标题格式
+        .replace(/^(#{1,6})\s*(.+)$/gm, '$1 $2')
+        // 修复列表格式（跳过 --- 分隔线）
+        .replace(/^[ \t]*[-*+](?![-*+])[ \t]*(.+)$/gm, '- $1'))
+      .join('')
       // 移除首尾空白
       .trim();
   }
 
+  /**
+   * 生成转换报告（结构与 Word 转换报告一致）
+   * @param {Object} imageStats - 图片统计 { total, dropped }
+   * @param {Array} ocrPages - OCR 识别的页面 [{ pageNumber, confidence, error }]
+   * @param {Object} stoppedAt - 提前停止时的页数 { converted, requested }
+   * @returns {Object} 转换报告
+   */
+  buildConversionReport(imageStats, ocrPages = [], stoppedAt = null) {
+    const warnings = [];
+    if (stoppedAt) {
+      warnings.push({ type: 'warning', message: `转换已停止，仅转换了 ${stoppedAt.converted} / ${stoppedAt.requested} 页` });
+    }
+    if (imageStats.dropped > 0) {
+      warnings.push({ type: 'warning', message: `${imageStats.dropped} 张图片未导出` });
+    }
+
+    ocrPages.forEach(entry => {
+      warnings.push(entry.error
+        ? { type: 'error', message: `第 ${entry.pageNumber} 页为扫描页，OCR 识别失败：${entry.error}` }
+        : { type: 'warning', message: `第 ${entry.pageNumber} 页为扫描页，文字由 OCR 识别（置信度 ${Math.round(entry.confidence)}%），请核对` });
+    });
+
+    return {
+      warnings,
+      totalImages: imageStats.total,
+      droppedImages: imageStats.dropped,
+      unmappedStyles: [],
+      needsReview: warnings.length > 0
+    };
+  }
+
+  /**
+   * 读取书签（大纲）并解析各条目指向的页码和位置
+   * @param {Object} pdf - PDF 文档对象
+   * @returns {Promise<Array>} 书签 [{ title, level, index, pageNumber, top }]，按大纲顺序；top 为 PDF 坐标（自下而上），可能为 null
+   */
+  async extractOutline(pdf) {
+    try {
+      const outline = await pdf.getOutline();
+      if (!outline) return [];
+
+      const entries = [];
+      const visit = async (items, level) => {
+        for (const item of items) {
+          const target = await this.resolveDestination(pdf, item.dest);
+          if (target && item.title && item.title.trim()) {
+            entries.push({ title: item.title.trim(), level: Math.min(level, 6), index: entries.length, ...target });
+          }
+          if (item.items && item.items.length > 0) {
+            await visit(item.items, level + 1);
+          }
+        }
+      };
+
+      await visit(outline, 1);
+      return entries;
+    } catch (error) {
+      console.warn('读取 PDF 书签失败:', error);
+      return [];
+    }
+  }
+
+  /**
+   * 解析书签目标
+   * @param {Object} pdf - PDF 文档对象
+   * @param {string|Array} dest - 命名目标或显式目标 [pageRef, { name }, ...args]
+   * @returns {Promise<Object|null>} { pageNumber, top }
+   */
+  async resolveDestination(pdf, dest) {
+    try {
+      const explicit = typeof dest === 'string' ? await pdf.getDestination(dest) : dest;
+      if (!Array.isArray(explicit) || explicit[0] === null || explicit[0] === undefined) return null;
+
+      const pageIndex = typeof explicit[0] === 'object' ? await pdf.getPageIndex(explicit[0]) : explicit[0];
+
+      // XYZ 目标的 top 在第 4 项，FitH / FitBH 在第 3 项
+      const mode = explicit[1] && explicit[1].name;
+      const top = mode === 'XYZ' ? explicit[3] : (mode === 'FitH' || mode === 'FitBH') ? explicit[2] : null;
+
+      return { pageNumber: pageIndex + 1, top: typeof top === 'number' ? top : null };
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * 提取 PDF 元数据
    * @param {Object} pdf - PDF 文档对象
@@ -407,20 +2041,6 @@ class PdfConverter {
     }
   }
 
-  /**
-   * 读取文件为 ArrayBuffer
-   * @param {File} file - 文件对象
-   * @returns {Promise<ArrayBuffer>} ArrayBuffer
-   */
-  readFileAsArrayBuffer(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = () => resolve(reader.result);
-      reader.onerror = () => reject(reader.error);
-      reader.readAsArrayBuffer(file);
-    });
-  }
-
   /**
    * 检查 PDF.js 是否可用
    * @returns {boolean} 是否可用
@@ -444,7 +2064,7 @@ class PdfConverter {
    */
   async validatePdfFile(file) {
     try {
-      const arrayBuffer = await this.readFileAsArrayBuffer(file);
+      const arrayBuffer = await FileUtils.readAsArrayBuffer(file);
       
       // 检查 PDF 文件头
       const uint8Array = new Uint8Array(arrayBuffer.slice(0, 5));
@@ -465,7 +2085,7 @@ class PdfConverter {
     try {
       await this.init();
       
-      const arrayBuffer = await this.readFileAsArrayBuffer(file);
+      const arrayBuffer = await FileUtils.readAsArrayBuffer(file);
       const pdf = await this.pdfjsLib.getDocument({ data: arrayBuffer }).promise;
       const metadata = await this.extractMetadata(pdf);
       
@@ -485,4 +2105,40 @@ class PdfConverter {
 }
 
 // 导出模块
-window.PdfConverter = PdfConverter;
\ No newline at end of file
+window.PdfConverter = PdfConverter;
+
+// 注册到转换器注册表
+if (window.converterRegistry) {
+  window.converterRegistry.register({
+    name: 'pdf',
+    description: 'PDF 文档',
+    type: 'document',
+    mimeTypes: ['application/pdf'],
+    extensions: ['.pdf'],
+    magic: [
+      { offset: 0, bytes: [0x25, 0x50, 0x44, 0x46, 0x2D] } // %PDF-
+    ],
+    maxSize: 100 * 1024 * 1024, // 100MB
+    settingsGroup: 'pdf',
+    timeMultiplier: 1.0,
+    cost: 2,
+    isAvailable: () => new PdfConverter().isAvailable(),
+    convert: async (file, options = {}, onProgress = null) => {
+      const result = await new PdfConverter().convertPdfToMarkdown(file, onProgress, options);
+
+      return {
+        markdown: result.markdown,
+        assets: result.assets,
+        report: result.report,
+        metadata: {
+          pages: result.totalPages,
+          convertedPages: result.pageNumbers.length,
+          partial: result.partial,
+          images: result.imageCount,
+          ocrPages: result.ocrPages.length,
+          pdfMetadata: result.metadata
+        }
+      };
+    }
+  });
+}
@@ -0,0 +1,257 @@
+/**
+ * 队列存储模块
+ * 使用 IndexedDB 持久化文件队列（文件内容、状态、转换结果）和转换历史，
+ * 页面刷新或崩溃后可恢复队列
+ */
+
+class QueueStorage {
+  constructor() {
+    this.dbName = 'doc-converter-queue';
+    this.version = 1;
+    this.db = null;
+    this.opening = null;
+    this.sizes = null; // { files, history }：记录ID -> 估算大小，首次读取后随写入更新，避免统计占用时重新读取全部记录
+  }
+
+  /**
+   * 检查浏览器是否支持 IndexedDB
+   * @returns {boolean} 是否支持
+   */
+  isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * 打开数据库（首次打开时创建存储区）
+   * files：队列文件（keyPath 为文件ID）；history：转换历史；meta：队列顺序等
+   * @returns {Promise<IDBDatabase>} 数据库
+   */
+  open() {
+    if (this.db) return Promise.resolve(this.db);
+    if (this.opening) return this.opening;
+
+    this.opening = new Promise((resolve, reject) => {
+      if (!this.isAvailable()) {
+        reject(new Error('当前浏览器不支持 IndexedDB'));
+        return;
+      }
+
+      const request = indexedDB.open(this.dbName, this.version);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('files')) db.createObjectStore('files', { keyPath: 'id' });
+        if (!db.objectStoreNames.contains('history')) db.createObjectStore('history', { keyPath: 'id' });
+        if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta');
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        // 其他页面升级数据库时关闭连接，下次访问重新打开
+        this.db.onversionchange = () => {
+          this.db.close();
+          this.db = null;
+        };
+        resolve(this.db);
+      };
+
+      request.onerror = () => reject(request.error);
+    });
+
+    this.opening = this.opening.finally(() => {
+      this.opening = null;
+    });
+
+    return this.opening;
+  }
+
+  /**
+   * 在事务中操作存储区，事务完成后返回请求结果
+   * @param {string} storeName - 存储区名称
+   * @param {string} mode - 'readonly' | 'readwrite'
+   * @param {Function} callback - (store) => IDBRequest，可不返回请求
+   * @returns {Promise<*>} 请求结果
+   */
+  async run(storeName, mode, callback) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = callback(transaction.objectStore(storeName));
+
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('存储事务已中止'));
+    });
+  }
+
+  /**
+   * 保存队列文件（同ID覆盖）
+   * @param {Object} record - 文件记录（见 FileProcessor.createStoredFile）
+   */
+  async saveFile(record) {
+    await this.run('files', 'readwrite', store => store.put(record));
+    this.setSize('files', record);
+    this.dispatchEvent('changed', { store: 'files' });
+  }
+
+  /**
+   * 删除队列文件
+   * @param {Array} ids - 文件ID列表
+   */
+  async deleteFiles(ids) {
+    await this.run('files', 'readwrite', (store) => {
+      ids.forEach(id => store.delete(id));
+    });
+    if (this.sizes) ids.forEach(id => this.sizes.files.delete(id));
+    this.dispatchEvent('changed', { store: 'files' });
+  }
+
+  /**
+   * 保存队列顺序
+   * @param {Array} ids - 按处理顺序排列的文件ID
+   */
+  saveOrder(ids) {
+    return this.run('meta', 'readwrite', store => store.put(ids, 'queueOrder'));
+  }
+
+  /**
+   * 读取全部队列文件（按保存的队列顺序，顺序中没有的文件排在最后）
+   * @returns {Promise<Array>} 文件记录
+   */
+  async getFiles() {
+    const [records, order] = await Promise.all([
+      this.run('files', 'readonly', store => store.getAll()),
+      this.run('meta', 'readonly', store => store.get('queueOrder'))
+    ]);
+
+    this.resetSizes('files', records);
+
+    const positions = new Map((order || []).map((id, index) => [id, index]));
+    const position = (record) => positions.has(record.id) ? positions.get(record.id) : Infinity;
+    return records.sort((a, b) => position(a) - position(b) || (a.addedAt || 0) - (b.addedAt || 0));
+  }
+
+  /**
+   * 保存转换历史记录
+   * @param {Object} entry - 历史记录（见 ConversionManager.createHistoryEntry）
+   */
+  async saveHistory(entry) {
+    await this.run('history', 'readwrite', store => store.put(entry));
+    this.setSize('history', entry);
+    this.dispatchEvent('changed', { store: 'history' });
+  }
+
+  /**
+   * 读取转换历史（按开始时间排序）
+   * @returns {Promise<Array>} 历史记录
+   */
+  async getHistory() {
+    const entries = await this.run('history', 'readonly', store => store.getAll());
+    this.resetSizes('history', entries);
+    return entries.sort((a, b) => (a.startTime || 0) - (b.startTime || 0));
+  }
+
+  /**
+   * 清除转换历史
+   */
+  async clearHistory() {
+    await this.run('history', 'readwrite', store => store.clear());
+    this.resetSizes('history', []);
+    this.dispatchEvent('historyCleared', {});
+    this.dispatchEvent('changed', { store: 'history' });
+  }
+
+  /**
+   * 清除全部数据（队列文件、队列顺序和转换历史）
+   */
+  async clearAll() {
+    await Promise.all(['files', 'meta'].map(storeName => this.run(storeName, 'readwrite', store => store.clear())));
+    this.resetSizes('files', []);
+    await this.clearHistory();
+  }
+
+  /**
+   * 获取存储占用
+   * bytes 为本应用保存的文件和转换结果的估算大小（按保存时记录的大小累计，只在首次统计时读取一次全部记录）；
+   * usage、quota 为浏览器报告的本站点用量和配额（不支持时为 null）
+   * @returns {Promise<Object>} { files, history, bytes, usage, quota }
+   */
+  async getUsage() {
+    if (!this.sizes || !this.sizes.files) await this.getFiles();
+    if (!this.sizes.history) await this.getHistory();
+
+    const sum = sizes => Array.from(sizes.values()).reduce((total, size) => total + size, 0);
+
+    let estimate = {};
+    if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+      try {
+        estimate = await navigator.storage.estimate();
+      } catch (error) {
+        console.warn('读取存储配额失败:', error);
+      }
+    }
+
+    return {
+      files: this.sizes.files.size,
+      history: this.sizes.history.size,
+      bytes: sum(this.sizes.files) + sum(this.sizes.history),
+      usage: typeof estimate.usage === 'number' ? estimate.usage : null,
+      quota: typeof estimate.quota === 'number' ? estimate.quota : null
+    };
+  }
+
+  /**
+   * 按读取到的全部记录重建存储区的大小统计
+   * @param {string} storeName - 'files' | 'history'
+   * @param {Array} records - 存储区中的全部记录
+   */
+  resetSizes(storeName, records) {
+    this.sizes = this.sizes || { files: null, history: null };
+    this.sizes[storeName] = new Map();
+    records.forEach(record => this.setSize(storeName, record));
+  }
+
+  /**
+   * 记录单条记录的估算大小（尚未统计过该存储区时跳过，首次统计时整体读取）
+   * @param {string} storeName - 'files' | 'history'
+   * @param {Object} record - 文件记录或历史记录
+   */
+  setSize(storeName, record) {
+    if (!this.sizes || !this.sizes[storeName]) return;
+
+    const size = storeName === 'files'
+      ? (record.file ? record.file.size : 0) + this.estimateSize(record.result)
+      : this.estimateSize(record);
+    this.sizes[storeName].set(record.id, size);
+  }
+
+  /**
+   * 估算可序列化数据的大小（按 JSON 字符数）
+   */
+  estimateSize(value) {
+    if (!value) return 0;
+
+    try {
+      return JSON.stringify(value).length;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * 触发自定义事件
+   * @param {string} eventName - 事件名称
+   * @param {Object} detail - 事件详情
+   */
+  dispatchEvent(eventName, detail) {
+    const event = new CustomEvent(`queueStorage:${eventName}`, { detail });
+    document.dispatchEvent(event);
+  }
+}
+
+// 创建全局实例
+window.queueStorage = new QueueStorage();
+
+// 导出模块
+window.QueueStorage = QueueStorage;
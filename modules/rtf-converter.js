@@ -0,0 +1,764 @@
+/**
+ * RTF 转换器模块
+ * 通过词法分析器解析 RTF 控制字与分组，生成 HTML 后经 HtmlConverter 转换为 Markdown
+ * 支持段落、标题、粗体/斜体、列表、表格、超链接、脚注和 PNG/JPEG 图片
+ */
+
+class RtfConverter {
+  constructor() {
+    this.imageMode = 'assets'; // 'assets' | 'inline' | 'none'
+    this.htmlConverter = new window.HtmlConverter();
+
+    // 整组跳过的目标（destination）
+    this.skippedDestinations = new Set([
+      'colortbl', 'info', 'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr', 'footerf',
+      'object', 'objdata', 'nonshppict', 'listtable', 'listoverridetable', 'revtbl', 'rsidtbl', 'xmlnstbl',
+      'generator', 'themedata', 'colorschememapping', 'latentstyles', 'datastore', 'pntxta', 'pntxtb',
+      'ftnsep', 'ftnsepc', 'aftnsep', 'aftnsepc', 'annotation', 'atnid', 'atnauthor', 'filetbl', 'pgdsctbl'
+    ]);
+
+    // 输出为特殊字符的控制字
+    this.specialChars = {
+      emdash: '\u2014',
+      endash: '\u2013',
+      bullet: '\u2022',
+      lquote: '\u2018',
+      rquote: '\u2019',
+      ldblquote: '\u201C',
+      rdblquote: '\u201D',
+      tab: ' ',
+      emspace: ' ',
+      enspace: ' '
+    };
+
+    // \fcharset 到代码页的映射
+    this.charsetCodepages = {
+      128: 932, 129: 949, 134: 936, 136: 950, 161: 1253, 162: 1254,
+      163: 1258, 177: 1255, 178: 1256, 186: 1257, 204: 1251, 222: 874, 238: 1250
+    };
+  }
+
+  /**
+   * 将 RTF 文件转换为 Markdown
+   * @param {File} file - RTF 文件
+   * @param {Object} options - 转换选项
+   * @param {string} options.imageMode - 图片处理方式：'assets' | 'inline' | 'none'
+   * @returns {Promise<Object>} 转换结果 { markdown, assets, report }
+   */
+  async convertRtfToMarkdown(file, options = {}) {
+    const arrayBuffer = await FileUtils.readAsArrayBuffer(file);
+    const source = this.bytesToString(new Uint8Array(arrayBuffer));
+
+    if (!/^\s*\{\\rtf/.test(source.slice(0, 64))) {
+      throw new Error(`${file.name} 不是有效的 RTF 文档`);
+    }
+
+    const result = this.parse(source, {
+      imageMode: options.imageMode || this.imageMode,
+      baseName: FileUtils.getBaseName(file.name)
+    });
+
+    const warnings = [];
+    if (result.unsupportedImages > 0) {
+      warnings.push({ type: 'warning', message: `${result.unsupportedImages} 张 WMF/EMF 等格式的图片暂不支持转换，已忽略` });
+    }
+
+    return {
+      markdown: this.htmlConverter.htmlToMarkdown(result.html),
+      assets: result.assets,
+      report: this.htmlConverter.buildConversionReport(warnings, result.imageStats)
+    };
+  }
+
+  /**
+   * 通用转换入口（供 ConversionManager 调用）
+   */
+  async convertToMarkdown(file, options = {}) {
+    return await this.convertRtfToMarkdown(file, options);
+  }
+
+  /**
+   * 将字节按 Latin-1 转为字符串（RTF 中的非 ASCII 字节按代码页另行解码）
+   */
+  bytesToString(bytes) {
+    let result = '';
+    for (let i = 0; i < bytes.length; i += 8192) {
+      result += String.fromCharCode(...bytes.subarray(i, i + 8192));
+    }
+    return result;
+  }
+
+  /**
+   * 词法分析：将 RTF 源文本拆分为分组、控制字、控制符号、十六进制字节和文本
+   * @param {string} source - RTF 源文本
+   * @returns {Array} 记号 [{ type, ... }]
+   */
+  tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+      const char = source[i];
+
+      if (char === '{' || char === '}') {
+        tokens.push({ type: char });
+        i++;
+      } else if (char === '\\') {
+        const next = source[i + 1];
+        if (/[a-zA-Z]/.test(next || '')) {
+          const match = /^([a-zA-Z]{1,32})(-?\d{1,10})? ?/.exec(source.slice(i + 1, i + 46));
+          const param = match[2] !== undefined ? parseInt(match[2], 10) : null;
+          i += 1 + match[0].length;
+
+          // \binN 后紧跟 N 个原始字节
+          if (match[1] === 'bin' && param > 0) {
+            i += param;
+            continue;
+          }
+          tokens.push({ type: 'control', word: match[1], param });
+        } else if (next === "'") {
+          tokens.push({ type: 'byte', value: parseInt(source.substr(i + 2, 2), 16) || 0 });
+          i += 4;
+        } else if (next === '\r' || next === '\n') {
+          tokens.push({ type: 'control', word: 'par', param: null });
+          i += 2;
+        } else {
+          tokens.push({ type: 'symbol', char: next });
+          i += 2;
+        }
+      } else if (char === '\r' || char === '\n') {
+        i++;
+      } else {
+        let end = i;
+        while (end < source.length && !'\\{}\r\n'.includes(source[end])) end++;
+        tokens.push({ type: 'text', text: source.slice(i, end) });
+        i = end;
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * 解析 RTF 并生成 HTML
+   * @param {string} source - RTF 源文本
+   * @param {Object} options - { imageMode, baseName }
+   * @returns {Object} { html, assets, imageStats, unsupportedImages }
+   */
+  parse(source, options) {
+    const ctx = {
+      options,
+      codepage: 1252,
+      fonts: {},
+      styles: {},
+      entry: null,
+      notes: [],
+      assets: [],
+      imageStats: { total: 0, dropped: 0 },
+      unsupportedImages: 0,
+      bytes: [],
+      skipChars: 0,
+      writer: this.createWriter()
+    };
+
+    let state = this.createGroupState();
+    const stack = [];
+    let ignorable = false;
+
+    for (const token of this.tokenize(source)) {
+      if (token.type !== 'byte' && token.type !== 'text') {
+        this.flushBytes(ctx, state);
+      }
+
+      switch (token.type) {
+        case '{':
+          stack.push(state);
+          state = { ...state, owner: null };
+          ignorable = false;
+          break;
+
+        case '}':
+          this.closeGroup(ctx, state, stack[stack.length - 1]);
+          state = stack.pop() || this.createGroupState();
+          break;
+
+        case 'symbol':
+          if (token.char === '*') {
+            ignorable = true;
+          } else {
+            this.handleSymbol(ctx, state, token.char);
+          }
+          break;
+
+        case 'control':
+          this.handleControl(ctx, state, token.word, token.param, ignorable);
+          ignorable = false;
+          break;
+
+        case 'byte':
+          this.appendBytes(ctx, state, [token.value]);
+          break;
+
+        case 'text':
+          this.appendBytes(ctx, state, Array.from(token.text, c => c.charCodeAt(0)));
+          break;
+      }
+    }
+
+    this.flushBytes(ctx, state);
+    this.endParagraph(ctx);
+    let html = this.finishWriter(ctx.writer);
+
+    if (ctx.notes.length > 0) {
+      html += `<ol>${ctx.notes.map((note, index) => `<li id="footnote-${index + 1}">${note}</li>`).join('')}</ol>`;
+    }
+
+    return {
+      html,
+      assets: ctx.assets,
+      imageStats: ctx.imageStats,
+      unsupportedImages: ctx.unsupportedImages
+    };
+  }
+
+  /**
+   * 创建分组状态（字符格式与当前目标随分组继承）
+   */
+  createGroupState() {
+    return {
+      bold: false,
+      italic: false,
+      strike: false,
+      font: null,
+      uc: 1,
+      destination: null,
+      link: null,
+      owner: null
+    };
+  }
+
+  /**
+   * 创建输出器（正文与每个脚注各使用一个）
+   */
+  createWriter() {
+    return {
+      blocks: [],
+      spans: [],
+      para: this.createParagraphState(),
+      table: null,
+      row: null,
+      cell: [],
+      listItems: [],
+      listText: ''
+    };
+  }
+
+  /**
+   * 创建段落属性（\pard 时重置）
+   */
+  createParagraphState() {
+    return { inTable: false, outlineLevel: null, style: 0, list: false, listLevel: 0 };
+  }
+
+  /**
+   * 处理控制字
+   */
+  handleControl(ctx, state, word, param, ignorable) {
+    const writer = ctx.writer;
+
+    // 目标控制字
+    if (word === 'fonttbl' || word === 'stylesheet') {
+      state.destination = word;
+      ctx.entry = { num: 0, charset: 0 };
+      return;
+    }
+    if (word === 'pict') {
+      state.destination = 'pict';
+      state.owner = { type: 'pict', contentType: null, hex: [] };
+      return;
+    }
+    if (word === 'fldinst') {
+      state.destination = 'fldinst';
+      state.owner = { type: 'fldinst', text: '' };
+      return;
+    }
+    if (word === 'fldrslt') {
+      state.destination = null;
+      state.link = state.fieldLink || null;
+      return;
+    }
+    if (word === 'listtext' || word === 'pntext') {
+      state.destination = 'listtext';
+      return;
+    }
+    if (word === 'footnote') {
+      state.destination = null;
+      state.owner = { type: 'footnote', parentWriter: ctx.writer };
+      ctx.writer = this.createWriter();
+      return;
+    }
+    if (word === 'shppict' || word === 'field') {
+      return;
+    }
+    if (this.skippedDestinations.has(word) || ignorable) {
+      state.destination = 'skip';
+      return;
+    }
+
+    if (state.destination === 'skip') return;
+
+    // 字体表与样式表条目
+    if (state.destination === 'fonttbl') {
+      if (word === 'f') ctx.entry.num = param;
+      if (word === 'fcharset') ctx.entry.charset = param;
+      return;
+    }
+    if (state.destination === 'stylesheet') {
+      if (word === 's') ctx.entry.num = param;
+      if (word === 'cs' || word === 'ds' || word === 'ts') ctx.entry.num = null;
+      return;
+    }
+    if (state.destination === 'pict') {
+      const types = { pngblip: 'image/png', jpegblip: 'image/jpeg', emfblip: 'image/x-emf', wmetafile: 'image/x-wmf' };
+      if (types[word]) state.owner.contentType = types[word];
+      return;
+    }
+    // 列表编号文本中的段落控制字不影响正文段落
+    if (state.destination === 'listtext') return;
+
+    switch (word) {
+      case 'ansicpg':
+        ctx.codepage = param;
+        break;
+      case 'uc':
+        state.uc = param || 0;
+        break;
+      case 'u':
+        this.appendText(ctx, state, String.fromCharCode(param < 0 ? param + 65536 : param));
+        ctx.skipChars = state.uc;
+        break;
+      case 'f':
+        state.font = param;
+        break;
+      case 'plain':
+        Object.assign(state, { bold: false, italic: false, strike: false });
+        break;
+      case 'b':
+        state.bold = param !== 0;
+        break;
+      case 'i':
+        state.italic = param !== 0;
+        break;
+      case 'strike':
+        state.strike = param !== 0;
+        break;
+      case 'pard':
+        writer.para = this.createParagraphState();
+        break;
+      case 'intbl':
+        writer.para.inTable = true;
+        break;
+      case 'outlinelevel':
+        writer.para.outlineLevel = param;
+        break;
+      case 's':
+        writer.para.style = param;
+        break;
+      case 'ls':
+        writer.para.list = true;
+        break;
+      case 'ilvl':
+        writer.para.listLevel = param || 0;
+        break;
+      case 'par':
+      case 'page':
+      case 'sect':
+        this.endParagraph(ctx);
+        break;
+      case 'line':
+        writer.spans.push({ html: '<br>' });
+        break;
+      case 'cell':
+        this.endParagraph(ctx, true);
+        writer.row = writer.row || [];
+        writer.row.push(writer.cell);
+        writer.cell = [];
+        break;
+      case 'row':
+        writer.table = writer.table || [];
+        if (writer.row) writer.table.push(writer.row);
+        writer.row = null;
+        break;
+      case 'chftn':
+        break;
+      default:
+        if (this.specialChars[word]) {
+          this.appendText(ctx, state, this.specialChars[word]);
+        }
+    }
+  }
+
+  /**
+   * 处理控制符号（\~ \- \_ \{ \} \\）
+   */
+  handleSymbol(ctx, state, char) {
+    const symbols = { '~': '\u00A0', '_': '-', '{': '{', '}': '}', '\\': '\\' };
+    if (symbols[char] !== undefined) {
+      this.appendText(ctx, state, symbols[char]);
+    }
+  }
+
+  /**
+   * 分组结束时完成目标内容（图片、域指令、脚注）
+   */
+  closeGroup(ctx, state, parentState) {
+    const owner = state.owner;
+    if (!owner) return;
+
+    if (owner.type === 'fldinst' && parentState) {
+      const match = /HYPERLINK\s+"([^"]+)"/i.exec(owner.text);
+      parentState.fieldLink = match ? match[1] : null;
+    } else if (owner.type === 'pict') {
+      this.appendImage(ctx, owner);
+    } else if (owner.type === 'footnote') {
+      this.endParagraph(ctx);
+      ctx.notes.push(this.finishWriter(ctx.writer));
+      ctx.writer = owner.parentWriter;
+
+      const number = ctx.notes.length;
+      ctx.writer.spans.push({ html: `<sup><a href="#footnote-${number}" id="footnote-ref-${number}">[${number}]</a></sup>` });
+    }
+  }
+
+  /**
+   * 追加待解码字节（\'hh 与原始文本），\uN 之后的替代字符按 \uc 跳过
+   */
+  appendBytes(ctx, state, bytes) {
+    if (ctx.skipChars > 0) {
+      const skipped = Math.min(ctx.skipChars, bytes.length);
+      ctx.skipChars -= skipped;
+      bytes = bytes.slice(skipped);
+    }
+    if (bytes.length === 0) return;
+
+    if (state.destination === 'pict') {
+      state.owner.hex.push(String.fromCharCode(...bytes));
+      return;
+    }
+    ctx.bytes.push(...bytes);
+  }
+
+  /**
+   * 按当前字体字符集或文档代码页解码待处理字节
+   */
+  flushBytes(ctx, state) {
+    if (ctx.bytes.length === 0) return;
+
+    const bytes = new Uint8Array(ctx.bytes);
+    ctx.bytes = [];
+
+    const font = ctx.fonts[state.font];
+    const codepage = (font && this.charsetCodepages[font.charset]) || ctx.codepage;
+    let text;
+    try {
+      text = new TextDecoder(this.getEncodingLabel(codepage)).decode(bytes);
+    } catch (error) {
+      text = String.fromCharCode(...bytes);
+    }
+
+    this.appendText(ctx, state, text, true);
+  }
+
+  /**
+   * 获取代码页对应的 TextDecoder 编码名
+   */
+  getEncodingLabel(codepage) {
+    const labels = { 936: 'gbk', 950: 'big5', 932: 'shift_jis', 949: 'euc-kr', 874: 'windows-874', 65001: 'utf-8', 10000: 'macintosh' };
+    return labels[codepage] || `windows-${codepage}`;
+  }
+
+  /**
+   * 追加文本到当前目标
+   * @param {boolean} decoded - 是否为已解码的字节文本（已处理过 \uc 跳过）
+   */
+  appendText(ctx, state, text, decoded = false) {
+    if (!decoded && ctx.bytes.length > 0) this.flushBytes(ctx, state);
+
+    switch (state.destination) {
+      case 'skip':
+      case 'pict':
+        return;
+      case 'fldinst':
+        state.owner.text += text;
+        return;
+      case 'listtext':
+        ctx.writer.listText += text;
+        return;
+      case 'fonttbl':
+      case 'stylesheet':
+        this.appendTableEntry(ctx, state.destination, text);
+        return;
+    }
+
+    const spans = ctx.writer.spans;
+    const last = spans[spans.length - 1];
+    const format = {
+      bold: state.bold,
+      italic: state.italic,
+      strike: state.strike,
+      link: state.link
+    };
+
+    if (last && last.text !== undefined && Object.keys(format).every(key => last[key] === format[key])) {
+      last.text += text;
+    } else {
+      spans.push({ text, ...format });
+    }
+  }
+
+  /**
+   * 字体表与样式表条目以分号结束
+   */
+  appendTableEntry(ctx, destination, text) {
+    const parts = text.split(';');
+    parts.forEach((part, index) => {
+      ctx.entry.name = (ctx.entry.name || '') + part;
+      if (index === parts.length - 1) return;
+
+      if (destination === 'fonttbl') {
+        ctx.fonts[ctx.entry.num] = { charset: ctx.entry.charset, name: ctx.entry.name.trim() };
+      } else if (ctx.entry.num !== null) {
+        ctx.styles[ctx.entry.num] = ctx.entry.name.trim();
+      }
+      ctx.entry = { num: 0, charset: 0 };
+    });
+  }
+
+  /**
+   * 输出 \pict 中的图片
+   */
+  appendImage(ctx, pict) {
+    ctx.imageStats.total++;
+
+    const supported = pict.contentType === 'image/png' || pict.contentType === 'image/jpeg';
+    if (!supported) {
+      ctx.imageStats.dropped++;
+      if (ctx.options.imageMode !== 'none') ctx.unsupportedImages++;
+      return;
+    }
+
+    const hex = pict.hex.join('').replace(/[^0-9a-fA-F]/g, '');
+    const bytes = new Uint8Array(hex.length >> 1);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    const base64 = btoa(this.bytesToString(bytes));
+
+    const src = AssetUtils.addImage(ctx.assets, ctx.options.baseName, pict.contentType, base64, ctx.options.imageMode);
+    if (!src) {
+      ctx.imageStats.dropped++;
+      return;
+    }
+    ctx.writer.spans.push({ html: `<img src="${src}" alt="">` });
+  }
+
+  /**
+   * 结束当前段落
+   * @param {Object} ctx - 解析上下文
+   * @param {boolean} isCellEnd - 是否由 \cell 结束（单元格内的段落）
+   */
+  endParagraph(ctx, isCellEnd = false) {
+    const writer = ctx.writer;
+    const spans = writer.spans;
+    const html = this.renderSpans(spans);
+    const para = writer.para;
+    const listText = writer.listText;
+    writer.spans = [];
+    writer.listText = '';
+
+    if (isCellEnd || para.inTable) {
+      if (html) writer.cell.push(html);
+      return;
+    }
+
+    this.flushTable(writer);
+
+    if (para.list || listText) {
+      if (html) {
+        writer.listItems.push({
+          level: para.listLevel,
+          ordered: /^\s*\w{1,3}[.)、]/.test(listText),
+          html
+        });
+      }
+      return;
+    }
+
+    this.flushList(writer);
+    if (html) {
+      const tag = this.getParagraphTag(para, ctx.styles);
+      // 标题样式通常自带加粗，不再重复输出粗体
+      const content = tag === 'p' ? html : this.renderSpans(spans.map(span => ({ ...span, bold: false })));
+      writer.blocks.push(`<${tag}>${content}</${tag}>`);
+    }
+  }
+
+  /**
+   * 根据大纲级别或样式名确定段落标签
+   * @param {Object} para - 段落属性
+   * @param {Object} styles - 样式表 { 编号: 名称 }
+   */
+  getParagraphTag(para, styles) {
+    if (para.outlineLevel !== null && para.outlineLevel >= 0 && para.outlineLevel < 9) {
+      return `h${Math.min(para.outlineLevel + 1, 6)}`;
+    }
+
+    const styleName = styles[para.style] || '';
+    const heading = /^heading\s*(\d)$/i.exec(styleName);
+    if (heading) return `h${Math.min(parseInt(heading[1], 10), 6)}`;
+    if (/^title$/i.test(styleName)) return 'h1';
+    if (/^subtitle$/i.test(styleName)) return 'h2';
+    return 'p';
+  }
+
+  /**
+   * 输出未结束的表格
+   */
+  flushTable(writer) {
+    if (!writer.table && !writer.row) return;
+
+    const rows = (writer.table || []).concat(writer.row ? [writer.row] : []);
+    writer.blocks.push(`<table>${rows.map(row =>
+      `<tr>${row.map(cell => `<td>${cell.map(p => `<p>${p}</p>`).join('')}</td>`).join('')}</tr>`
+    ).join('')}</table>`);
+
+    writer.table = null;
+    writer.row = null;
+    writer.cell = [];
+  }
+
+  /**
+   * 输出未结束的列表，按 \ilvl 生成嵌套列表
+   */
+  flushList(writer) {
+    if (writer.listItems.length === 0) return;
+
+    // 同级项目在编号/项目符号之间切换时拆分为不同列表
+    const render = (items, level) => {
+      let html = '';
+      let tag = null;
+      let i = 0;
+      while (i < items.length) {
+        const item = items[i];
+        const itemTag = item.ordered ? 'ol' : 'ul';
+        if (itemTag !== tag) {
+          html += `${tag ? `</${tag}>` : ''}<${itemTag}>`;
+          tag = itemTag;
+        }
+
+        let j = i + 1;
+        while (j < items.length && items[j].level > level) j++;
+        const children = items.slice(i + 1, j);
+        html += `<li>${item.html}${children.length > 0 ? render(children, level + 1) : ''}</li>`;
+        i = j;
+      }
+      return `${html}</${tag}>`;
+    };
+
+    writer.blocks.push(render(writer.listItems, writer.listItems[0].level));
+    writer.listItems = [];
+  }
+
+  /**
+   * 完成输出器，返回全部 HTML
+   */
+  finishWriter(writer) {
+    this.flushTable(writer);
+    this.flushList(writer);
+    return writer.blocks.join('\n');
+  }
+
+  /**
+   * 渲染文本片段，相邻的同一链接合并为一个 a 元素
+   * @param {Array} spans - 片段 [{ text, bold, italic, strike, link }] 或 [{ html }]
+   * @returns {string} HTML（内容为空时返回空字符串）
+   */
+  renderSpans(spans) {
+    if (!spans.some(span => span.html || (span.text && span.text.trim()))) return '';
+
+    let html = '';
+    let i = 0;
+    while (i < spans.length) {
+      const link = spans[i].link;
+      let j = i;
+      let inner = '';
+      while (j < spans.length && spans[j].link === link) {
+        inner += this.renderSpan(spans[j]);
+        j++;
+      }
+      html += link ? `<a href="${DOMUtils.escapeHtml(link)}">${inner}</a>` : inner;
+      i = j;
+    }
+    return html;
+  }
+
+  /**
+   * 渲染单个文本片段
+   */
+  renderSpan(span) {
+    if (span.html) return span.html;
+
+    let html = DOMUtils.escapeHtml(span.text);
+    if (span.bold) html = `<strong>${html}</strong>`;
+    if (span.italic) html = `<em>${html}</em>`;
+    if (span.strike) html = `<del>${html}</del>`;
+    return html;
+  }
+
+  /**
+   * 检查依赖是否可用
+   * @returns {boolean} 是否可用
+   */
+  isAvailable() {
+    return this.htmlConverter.isAvailable();
+  }
+
+  /**
+   * 获取支持的文件类型
+   * @returns {Array} 支持的 MIME 类型
+   */
+  getSupportedTypes() {
+    return ['application/rtf', 'text/rtf'];
+  }
+}
+
+// 导出模块
+window.RtfConverter = RtfConverter;
+
+// 注册到转换器注册表
+if (window.converterRegistry) {
+  window.converterRegistry.register({
+    name: 'rtf',
+    description: 'RTF 文档',
+    type: 'document',
+    mimeTypes: ['application/rtf', 'text/rtf'],
+    extensions: ['.rtf'],
+    magic: [
+      { offset: 0, bytes: [0x7B, 0x5C, 0x72, 0x74, 0x66] } // {\rtf
+    ],
+    maxSize: 50 * 1024 * 1024, // 50MB
+    settingsGroup: 'document',
+    timeMultiplier: 0.5,
+    isAvailable: () => new RtfConverter().isAvailable(),
+    convert: async (file, options = {}, onProgress = null) => {
+      if (onProgress) onProgress(10);
+      const result = await new RtfConverter().convertToMarkdown(file, options);
+      if (onProgress) onProgress(100);
+
+      return {
+        ...result,
+        metadata: { images: result.assets.length }
+      };
+    }
+  });
+}
@@ -9,6 +9,9 @@ class WordConverter {
     this.currentBaseName = 'converted';
     this.isConverting = false;
     this.supportedFormats = ['doc', 'docx'];
+    this.imageMode = 'assets'; // 'assets' | 'inline' | 'none'
+    this.revisionMode = 'accept'; // 'accept' | 'reject' | 'criticmarkup'
+    this.commentMode = 'ignore'; // 'ignore' | 'footnote' | 'html'
   }
 
   /**
@@ -51,7 +54,7 @@ class WordConverter {
     }
 
     this.currentFile = file;
-    this.currentBaseName = this.getBaseName(file.name);
+    this.currentBaseName = FileUtils.getBaseName(file.name);
     this.updateFileStatus(`${file.name}（${(file.size / (1024 * 1024)).toFixed(2)} MB）`);
     this.toggleConvertButton(true);
     this.updateStatus('');
@@ -95,10 +98,10 @@ class WordConverter {
     this.updateStatus('正在读取与转换，请稍候…（大文件会更久）');
 
     try {
-      const markdown = await this.convertWordToMarkdown(this.currentFile);
+      const { markdown, assets } = await this.convertWordToMarkdown(this.currentFile);
       
       // 触发转换完成事件
-      this.dispatchConvertComplete(markdown, this.currentBaseName);
+      this.dispatchConvertComplete(markdown, this.currentBaseName, assets);
       
       this.updateStatus('转换完成 ✔');
       
@@ -113,95 +116,254 @@ class WordConverter {
 
   /**
    * 执行 DOC/DOCX -> HTML -> Markdown 转换
+   * @param {File} file - Word 文件
+   * @param {Object} options - 转换选项
+   * @param {string} options.imageMode - 图片处理方式：'assets' 输出为资源文件，'inline' 内嵌 data URI，'none' 丢弃
+   * @param {string} options.revisionMode - 修订处理方式：'accept' 接受全部，'reject' 拒绝全部，'criticmarkup' 标记为 CriticMarkup
+   * @param {string} options.commentMode - 批注处理方式：'ignore' 忽略，'footnote' 导出为脚注，'html' 导出为 HTML 注释
+   * @param {AbortSignal} options.signal - 取消信号，取消后 Mammoth 在处理下一张图片时中止，并以 AbortError 结束
+   * @returns {Promise<Object>} 转换结果 { markdown, assets, unmappedStyles, report }
    */
-  async convertWordToMarkdown(file) {
-    const arrayBuffer = await this.readFileAsArrayBuffer(file);
+  async convertWordToMarkdown(file, options = {}) {
     const fileName = file.name.toLowerCase();
+    const imageMode = options.imageMode || this.imageMode;
+    const revisionMode = options.revisionMode || this.revisionMode;
+    const commentMode = options.commentMode || this.commentMode;
+    const signal = options.signal || null;
+
+    CancelUtils.throwIfAborted(signal);
+    const arrayBuffer = await this.applyRevisionMode(await FileUtils.readAsArrayBuffer(file), revisionMode);
+    CancelUtils.throwIfAborted(signal);
+    const styleMap = (options.styleMap || this.getStyleMap())
+      .concat(commentMode !== 'ignore' ? ['comment-reference => sup'] : []);
+    const assets = [];
+    const imageStats = { total: 0, dropped: 0 };
+
+    // 按文件内容检测实际格式：.doc 可能是改名后的 DOCX、RTF 或 HTML
+    const format = window.DocBinaryParser ? window.DocBinaryParser.detectFormat(arrayBuffer) : 'zip';
+    if (format === 'rtf' || format === 'html') {
+      const ConverterClass = format === 'rtf' ? window.RtfConverter : window.HtmlConverter;
+      if (!ConverterClass) {
+        throw new Error(`${file.name} 实际为 ${format.toUpperCase()} 格式而非 Word 文档，请在 Word 中另存为 .docx 后重新转换`);
+      }
+
+      console.log(`处理 DOC 格式文件（实际为 ${format.toUpperCase()}）`);
+      const result = await CancelUtils.race(new ConverterClass().convertToMarkdown(file, { imageMode }), signal);
+      return { ...result, unmappedStyles: [] };
+    }
+    if (format === 'unknown') {
+      throw new Error(`${file.name} 不是有效的 Word 文档`);
+    }
 
-    // 检查文件格式并选择处理方式
-    if (fileName.endsWith('.doc')) {
-      // DOC 格式处理 - Mammoth.js 也支持 DOC 格式
+    // 1) DOC/DOCX -> HTML
+    let html;
+    let messages;
+    if (format === 'cfb') {
+      // Word 97-2003 二进制格式，Mammoth.js 仅支持 OOXML
       console.log('处理 DOC 格式文件');
-    } else if (fileName.endsWith('.docx')) {
-      // DOCX 格式处理
-      console.log('处理 DOCX 格式文件');
+      const result = window.DocBinaryParser.convertToHtml(arrayBuffer, { revisionMode });
+      html = result.value;
+      messages = result.messages;
+      imageStats.total += result.imageCount;
+      imageStats.dropped += result.imageCount;
+    } else {
+      console.log(fileName.endsWith('.doc') ? '处理 DOC 格式文件（实际为 DOCX）' : '处理 DOCX 格式文件');
+      const mammothOptions = {
+        styleMap: styleMap,
+        includeDefaultStyleMap: true,
+        convertImage: this.createImageConverter(FileUtils.getBaseName(file.name), imageMode, assets, imageStats, signal),
+      };
+
+      ({ value: html, messages = [] } = await CancelUtils.race(window.mammoth.convertToHtml(
+        { arrayBuffer },
+        mammothOptions
+      ), signal));
     }
+    CancelUtils.throwIfAborted(signal);
+
+    // 2) HTML -> Markdown
+    const markdown = TurndownRules.createTurndownService({ commentMode }).turndown(html);
+    const unmappedStyles = window.WordStyleMap
+      ? window.WordStyleMap.parseUnmappedStyles(messages)
+      : [];
+
+    const report = this.buildConversionReport(messages, unmappedStyles, imageStats);
+
+    return { markdown, assets, unmappedStyles, report };
+  }
 
-    // 1) DOC/DOCX -> HTML (Mammoth.js 支持两种格式)
-    const mammothOptions = {
-      styleMap: [
-        "p[style-name='Title'] => h1:fresh",
-        "p[style-name='Subtitle'] => h2:fresh",
-      ],
-      includeDefaultStyleMap: true,
-      convertImage: window.mammoth.images.inline(async () => null),
+  /**
+   * 生成转换报告
+   * @param {Array} messages - Mammoth 返回的消息
+   * @param {Array} unmappedStyles - 未映射样式
+   * @param {Object} imageStats - 图片统计 { total, dropped }
+   * @returns {Object} 转换报告
+   */
+  buildConversionReport(messages, unmappedStyles, imageStats) {
+    // 未映射样式的消息已计入 unmappedStyles，不重复作为警告
+    const isUnmappedStyle = (msg) => !!window.WordStyleMap && window.WordStyleMap.parseUnmappedStyles([msg]).length > 0;
+    const warnings = messages.filter(msg => !isUnmappedStyle(msg)).map(msg => ({
+      type: msg.type || 'warning',
+      message: msg.message
+    }));
+
+    return {
+      warnings,
+      totalImages: imageStats.total,
+      droppedImages: imageStats.dropped,
+      unmappedStyles,
+      needsReview: warnings.length > 0 || imageStats.dropped > 0 || unmappedStyles.length > 0
     };
+  }
 
-    const { value: html } = await window.mammoth.convertToHtml(
-      { arrayBuffer },
-      mammothOptions
-    );
+  /**
+   * 按修订处理方式预处理 DOCX 中的修订标记（w:ins / w:del）
+   * Mammoth 默认保留插入、丢弃删除，即等同于接受全部修订
+   * @param {ArrayBuffer} arrayBuffer - DOCX 文件内容
+   * @param {string} revisionMode - 修订处理方式
+   * @returns {Promise<ArrayBuffer>} 处理后的 DOCX 内容
+   */
+  async applyRevisionMode(arrayBuffer, revisionMode) {
+    if (revisionMode === 'accept') {
+      return arrayBuffer;
+    }
 
-    // 2) HTML -> Markdown
-    const TurndownCtor = this.getTurndownConstructor();
-    if (!TurndownCtor) {
-      throw new Error('未检测到 TurndownService，请检查库加载状态');
+    if (typeof JSZip === 'undefined') {
+      console.warn('JSZip 库未加载，修订将按接受全部处理');
+      return arrayBuffer;
     }
 
-    const turndownService = new TurndownCtor({
-      headingStyle: 'atx',
-      hr: '* * *',
-      codeBlockStyle: 'fenced',
-      emDelimiter: '_',
-      bulletListMarker: '-',
-      strongDelimiter: '**',
-    });
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(arrayBuffer);
+    } catch (error) {
+      // 非 ZIP 格式交由 Mammoth 报告错误
+      return arrayBuffer;
+    }
 
-    // 保留表格、换行等常见格式
-    turndownService.keep(['table', 'thead', 'tbody', 'tr', 'th', 'td']);
-    turndownService.addRule('nbsp', {
-      filter: function (node) {
-        return node.nodeType === 3 && /\u00A0/.test(node.nodeValue);
-      },
-      replacement: function (content) {
-        return content.replace(/\u00A0/g, ' ');
-      },
+    const parts = ['word/document.xml', 'word/footnotes.xml', 'word/endnotes.xml'];
+    for (const part of parts) {
+      const entry = zip.file(part);
+      if (!entry) continue;
+
+      const xmlDoc = new DOMParser().parseFromString(await entry.async('string'), 'application/xml');
+      this.transformRevisions(xmlDoc, revisionMode);
+      zip.file(part, new XMLSerializer().serializeToString(xmlDoc));
+    }
+
+    return await zip.generateAsync({ type: 'arraybuffer' });
+  }
+
+  /**
+   * 转换 XML 中的修订元素
+   * @param {Document} xmlDoc - WordprocessingML 文档
+   * @param {string} revisionMode - 'reject' | 'criticmarkup'
+   */
+  transformRevisions(xmlDoc, revisionMode) {
+    const ns = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+    const collect = (...names) => names.flatMap(name => Array.from(xmlDoc.getElementsByTagNameNS(ns, name)))
+      // 段落标记、表格行上的修订是空元素，不包含可转换的内容
+      .filter(el => el.childNodes.length > 0);
+
+    const insertions = collect('ins', 'moveTo');
+    const deletions = collect('del', 'moveFrom');
+
+    deletions.forEach(el => {
+      Array.from(el.getElementsByTagNameNS(ns, 'delText')).forEach(delText => {
+        const text = xmlDoc.createElementNS(ns, 'w:t');
+        text.setAttribute('xml:space', 'preserve');
+        text.textContent = delText.textContent;
+        delText.parentNode.replaceChild(text, delText);
+      });
     });
 
-    const markdown = turndownService.turndown(html);
-    return markdown;
+    if (revisionMode === 'reject') {
+      insertions.forEach(el => el.parentNode.removeChild(el));
+      deletions.forEach(el => this.unwrapElement(el));
+      return;
+    }
+
+    insertions.forEach(el => this.unwrapElement(el, '{++', '++}'));
+    deletions.forEach(el => this.unwrapElement(el, '{--', '--}'));
   }
 
   /**
-   * 获取 Turndown 构造函数
+   * 移除元素本身并保留其子节点，可选地在前后插入文本标记
+   * @param {Element} el - 要展开的元素
+   * @param {string} before - 前置标记
+   * @param {string} after - 后置标记
    */
-  getTurndownConstructor() {
-    return (
-      window.TurndownService ||
-      (window.Turndown && window.Turndown.TurndownService) ||
-      (window.turndown && window.turndown.TurndownService)
-    );
+  unwrapElement(el, before = '', after = '') {
+    const parent = el.parentNode;
+    const createMarker = (text) => {
+      const ns = el.namespaceURI;
+      const run = el.ownerDocument.createElementNS(ns, 'w:r');
+      const t = el.ownerDocument.createElementNS(ns, 'w:t');
+      t.setAttribute('xml:space', 'preserve');
+      t.textContent = text;
+      run.appendChild(t);
+      return run;
+    };
+
+    if (before) parent.insertBefore(createMarker(before), el);
+    while (el.firstChild) {
+      parent.insertBefore(el.firstChild, el);
+    }
+    if (after) parent.insertBefore(createMarker(after), el);
+    parent.removeChild(el);
   }
 
   /**
-   * 读取文件为 ArrayBuffer
+   * 获取 Mammoth 样式映射（优先使用用户保存的配置）
    */
-  readFileAsArrayBuffer(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onerror = () => reject(reader.error);
-      reader.onabort = () => reject(new Error('读取被取消'));
-      reader.onload = () => resolve(reader.result);
-      reader.readAsArrayBuffer(file);
-    });
+  getStyleMap() {
+    if (window.WordStyleMap) {
+      return new window.WordStyleMap().toMammothStyleMap();
+    }
+
+    return [
+      "p[style-name='Title'] => h1:fresh",
+      "p[style-name='Subtitle'] => h2:fresh",
+    ];
   }
 
   /**
-   * 获取文件基础名（不含扩展名）
+   * 创建 Mammoth 图片转换器
+   * @param {string} baseName - 文档基础名，用于生成资源文件名
+   * @param {string} imageMode - 图片处理方式
+   * @param {Array} assets - 收集提取出的图片资源
+   * @param {Object} imageStats - 图片统计 { total, dropped }
+   * @param {AbortSignal} signal - 取消信号（取消后抛出错误使 Mammoth 中止转换）
    */
-  getBaseName(filename) {
-    const idx = filename.lastIndexOf('.');
-    return idx > 0 ? filename.slice(0, idx) : filename;
+  createImageConverter(baseName, imageMode, assets, imageStats, signal = null) {
+    const images = window.mammoth.images;
+    const imgElement = images.imgElement || images.inline;
+
+    // 空 src 的图片会被 Turndown 忽略
+    if (imageMode === 'none') {
+      return imgElement(async () => {
+        CancelUtils.throwIfAborted(signal);
+        imageStats.total++;
+        imageStats.dropped++;
+        return { src: '' };
+      });
+    }
+
+    return imgElement(async (image) => {
+      CancelUtils.throwIfAborted(signal);
+      imageStats.total++;
+
+      let base64;
+      try {
+        base64 = await image.read('base64');
+      } catch (error) {
+        console.warn('读取 Word 图片失败:', error);
+        imageStats.dropped++;
+        return { src: '' };
+      }
+
+      return { src: AssetUtils.addImage(assets, baseName, image.contentType || 'image/png', base64, imageMode) };
+    });
   }
 
   /**
@@ -237,9 +399,9 @@ class WordConverter {
   /**
    * 触发转换完成事件
    */
-  dispatchConvertComplete(markdown, baseName) {
+  dispatchConvertComplete(markdown, baseName, assets = []) {
     const event = new CustomEvent('wordConvertComplete', {
-      detail: { markdown, baseName }
+      detail: { markdown, baseName, assets }
     });
     document.dispatchEvent(event);
   }
@@ -265,16 +427,28 @@ class WordConverter {
   /**
    * DOCX转换方法别名 (兼容性)
    */
-  async convertDocxToMarkdown(file) {
-    return await this.convertWordToMarkdown(file);
+  async convertDocxToMarkdown(file, options = {}) {
+    return await this.convertWordToMarkdown(file, options);
   }
 
   /**
    * 静态转换方法 (兼容性)
    */
-  static async convertDocxToMarkdown(file) {
+  static async convertDocxToMarkdown(file, options = {}) {
     const instance = new WordConverter();
-    return await instance.convertWordToMarkdown(file);
+    return await instance.convertWordToMarkdown(file, options);
+  }
+
+  /**
+   * 将资源路径替换为 data URI，便于在页面中预览
+   * @param {string} markdown - 引用资源路径的 Markdown
+   * @param {Array} assets - 图片资源列表
+   * @returns {string} 内嵌图片的 Markdown
+   */
+  static inlineAssets(markdown, assets = []) {
+    return assets.reduce((content, asset) => {
+      return content.split(`](${asset.path})`).join(`](data:${asset.contentType};base64,${asset.base64})`);
+    }, markdown);
   }
 }
 
@@ -304,4 +478,37 @@ if (typeof window !== 'undefined') {
   setTimeout(() => {
     WordConverter.checkDependencies();
   }, 100);
-}
\ No newline at end of file
+}
+
+// 注册到转换器注册表
+if (typeof window !== 'undefined' && window.converterRegistry) {
+  window.converterRegistry.register({
+    name: 'word',
+    description: 'Word 文档',
+    type: 'document',
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'application/msword'],
+    extensions: ['.docx', '.doc'],
+    extensionMimeTypes: { '.doc': 'application/msword' },
+    magic: [
+      { offset: 0, bytes: [0x50, 0x4B, 0x03, 0x04] }, // ZIP (DOCX)
+      { offset: 0, bytes: [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1] } // CFB (DOC)
+    ],
+    maxSize: 50 * 1024 * 1024, // 50MB
+    settingsGroup: 'word',
+    timeMultiplier: 0.5,
+    isAvailable: () => {
+      const deps = WordConverter.checkDependencies();
+      return deps.mammoth && deps.turndown;
+    },
+    convert: async (file, options = {}, onProgress = null) => {
+      if (onProgress) onProgress(10);
+      const result = await WordConverter.convertDocxToMarkdown(file, options);
+      if (onProgress) onProgress(100);
+
+      return {
+        ...result,
+        metadata: { images: result.assets.length }
+      };
+    }
+  });
+}
@@ -0,0 +1,303 @@
+/**
+ * Word 样式映射模块
+ * 负责管理用户自定义的段落/字符样式映射规则，并生成 Mammoth styleMap
+ */
+
+class WordStyleMap {
+  constructor() {
+    this.storageKey = 'word-style-map';
+    this.rules = [];
+    this.unmappedStyles = [];
+    this.isInitialized = false;
+
+    // 段落样式可映射的目标
+    this.paragraphTargets = {
+      h1: { label: '一级标题', mapping: 'h1:fresh' },
+      h2: { label: '二级标题', mapping: 'h2:fresh' },
+      h3: { label: '三级标题', mapping: 'h3:fresh' },
+      h4: { label: '四级标题', mapping: 'h4:fresh' },
+      h5: { label: '五级标题', mapping: 'h5:fresh' },
+      h6: { label: '六级标题', mapping: 'h6:fresh' },
+      code: { label: '代码块', mapping: "pre > code:separator('\\n')" },
+      quote: { label: '引用', mapping: 'blockquote > p:fresh' },
+      note: { label: '提示 (NOTE)', mapping: 'blockquote.admonition-note > p:fresh' },
+      tip: { label: '技巧 (TIP)', mapping: 'blockquote.admonition-tip > p:fresh' },
+      warning: { label: '警告 (WARNING)', mapping: 'blockquote.admonition-warning > p:fresh' },
+      ignore: { label: '忽略', mapping: '!' }
+    };
+
+    // 字符样式可映射的目标
+    this.characterTargets = {
+      strong: { label: '粗体', mapping: 'strong' },
+      em: { label: '斜体', mapping: 'em' },
+      code: { label: '行内代码', mapping: 'code' },
+      ignore: { label: '忽略', mapping: '!' }
+    };
+
+    this.defaultRules = [
+      { styleName: 'Title', kind: 'paragraph', target: 'h1' },
+      { styleName: 'Subtitle', kind: 'paragraph', target: 'h2' }
+    ];
+
+    this.load();
+  }
+
+  /**
+   * 初始化样式映射设置面板
+   */
+  init() {
+    if (this.isInitialized) return;
+
+    this.bindEvents();
+    this.render();
+    this.isInitialized = true;
+  }
+
+  /**
+   * 绑定事件监听器
+   */
+  bindEvents() {
+    const panel = document.getElementById('styleMapPanel');
+    if (!panel) return;
+
+    panel.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+
+      const index = parseInt(button.getAttribute('data-index'), 10);
+      switch (button.getAttribute('data-action')) {
+        case 'add-rule':
+          this.addRule({ styleName: '', kind: 'paragraph', target: 'h1' });
+          break;
+        case 'remove-rule':
+          this.removeRule(index);
+          break;
+        case 'map-unmapped':
+          this.mapUnmappedStyle(index);
+          break;
+        case 'reset-rules':
+          this.resetRules();
+          break;
+      }
+    });
+
+    panel.addEventListener('change', (e) => {
+      const field = e.target.getAttribute('data-field');
+      if (!field) return;
+
+      const index = parseInt(e.target.getAttribute('data-index'), 10);
+      this.updateRule(index, { [field]: e.target.value });
+    });
+  }
+
+  /**
+   * 从本地存储加载规则
+   */
+  load() {
+    try {
+      const saved = localStorage.getItem(this.storageKey);
+      const rules = saved ? JSON.parse(saved) : null;
+      this.rules = Array.isArray(rules) ? rules : this.defaultRules.map(rule => ({ ...rule }));
+    } catch (error) {
+      console.warn('加载样式映射失败:', error);
+      this.rules = this.defaultRules.map(rule => ({ ...rule }));
+    }
+  }
+
+  /**
+   * 保存规则到本地存储
+   */
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.rules));
+    } catch (error) {
+      console.warn('保存样式映射失败:', error);
+    }
+  }
+
+  /**
+   * 获取所有规则
+   * @returns {Array} 规则列表
+   */
+  getRules() {
+    return this.rules.map(rule => ({ ...rule }));
+  }
+
+  /**
+   * 添加规则
+   * @param {Object} rule - { styleName, kind: 'paragraph'|'character', target }
+   */
+  addRule(rule) {
+    this.rules.push({ ...rule });
+    this.save();
+    this.render();
+  }
+
+  /**
+   * 更新规则
+   * @param {number} index - 规则索引
+   * @param {Object} changes - 要更新的字段
+   */
+  updateRule(index, changes) {
+    const rule = this.rules[index];
+    if (!rule) return;
+
+    Object.assign(rule, changes);
+
+    // 切换样式类型后，目标不可用时回退为该类型的第一个目标
+    const targets = this.getTargets(rule.kind);
+    if (!targets[rule.target]) {
+      rule.target = Object.keys(targets)[0];
+    }
+
+    this.save();
+    this.render();
+  }
+
+  /**
+   * 删除规则
+   * @param {number} index - 规则索引
+   */
+  removeRule(index) {
+    this.rules.splice(index, 1);
+    this.save();
+    this.render();
+  }
+
+  /**
+   * 恢复默认规则
+   */
+  resetRules() {
+    this.rules = this.defaultRules.map(rule => ({ ...rule }));
+    this.save();
+    this.render();
+  }
+
+  /**
+   * 获取指定样式类型的可选目标
+   * @param {string} kind - 'paragraph' | 'character'
+   */
+  getTargets(kind) {
+    return kind === 'character' ? this.characterTargets : this.paragraphTargets;
+  }
+
+  /**
+   * 生成 Mammoth styleMap
+   * @returns {Array} Mammoth 样式映射字符串数组
+   */
+  toMammothStyleMap() {
+    return this.rules
+      .filter(rule => rule.styleName && rule.styleName.trim())
+      .map(rule => {
+        const selector = rule.kind === 'character' ? 'r' : 'p';
+        const target = this.getTargets(rule.kind)[rule.target];
+        const styleName = rule.styleName.trim().replace(/'/g, "\\'");
+        return target ? `${selector}[style-name='${styleName}'] => ${target.mapping}` : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * 从 Mammoth 警告中解析未映射的样式
+   * @param {Array} messages - Mammoth 返回的消息
+   * @returns {Array} 未映射样式 [{ styleName, kind }]
+   */
+  static parseUnmappedStyles(messages = []) {
+    const styles = [];
+    messages.forEach(msg => {
+      const match = /^Unrecognised (paragraph|run) style: '(.*)' \(Style ID: .*\)$/.exec(msg.message || '');
+      if (match) {
+        styles.push({
+          styleName: match[2],
+          kind: match[1] === 'run' ? 'character' : 'paragraph'
+        });
+      }
+    });
+    return styles;
+  }
+
+  /**
+   * 记录转换中出现的未映射样式
+   * @param {Array} styles - 未映射样式 [{ styleName, kind }]
+   */
+  recordUnmappedStyles(styles = []) {
+    styles.forEach(style => {
+      const exists = this.unmappedStyles.some(s => s.styleName === style.styleName && s.kind === style.kind);
+      const mapped = this.rules.some(r => r.styleName === style.styleName && r.kind === style.kind);
+      if (!exists && !mapped) {
+        this.unmappedStyles.push({ ...style });
+      }
+    });
+    this.render();
+  }
+
+  /**
+   * 为未映射样式创建规则
+   * @param {number} index - 未映射样式索引
+   */
+  mapUnmappedStyle(index) {
+    const style = this.unmappedStyles[index];
+    if (!style) return;
+
+    this.unmappedStyles.splice(index, 1);
+    this.addRule({
+      styleName: style.styleName,
+      kind: style.kind,
+      target: style.kind === 'character' ? 'strong' : 'h1'
+    });
+  }
+
+  /**
+   * 渲染设置面板
+   */
+  render() {
+    const rulesContainer = document.getElementById('styleMapRules');
+    const unmappedContainer = document.getElementById('styleMapUnmapped');
+
+    if (rulesContainer) {
+      rulesContainer.innerHTML = this.rules.length > 0
+        ? this.rules.map((rule, index) => this.renderRule(rule, index)).join('')
+        : '<div class="style-map-empty">暂无映射规则</div>';
+    }
+
+    if (unmappedContainer) {
+      unmappedContainer.innerHTML = this.unmappedStyles.length > 0
+        ? this.unmappedStyles.map((style, index) => `
+          <div class="style-map-unmapped-item">
+            <span>${DOMUtils.escapeHtml(style.styleName)}</span>
+            <span class="style-map-kind">${style.kind === 'character' ? '字符样式' : '段落样式'}</span>
+            <button class="btn btn-sm" data-action="map-unmapped" data-index="${index}">添加映射</button>
+          </div>
+        `).join('')
+        : '<div class="style-map-empty">转换 Word 文档后，未识别的样式会显示在这里</div>';
+    }
+  }
+
+  /**
+   * 渲染单条规则
+   * @param {Object} rule - 规则
+   * @param {number} index - 规则索引
+   */
+  renderRule(rule, index) {
+    const targets = this.getTargets(rule.kind);
+
+    return `
+      <div class="style-map-rule">
+        <input type="text" data-field="styleName" data-index="${index}" value="${DOMUtils.escapeHtml(rule.styleName)}" placeholder="样式名称，如 Heading Chinese 1">
+        <select data-field="kind" data-index="${index}">
+          <option value="paragraph" ${rule.kind !== 'character' ? 'selected' : ''}>段落样式</option>
+          <option value="character" ${rule.kind === 'character' ? 'selected' : ''}>字符样式</option>
+        </select>
+        <select data-field="target" data-index="${index}">
+          ${Object.entries(targets).map(([value, target]) => `
+            <option value="${value}" ${rule.target === value ? 'selected' : ''}>${target.label}</option>
+          `).join('')}
+        </select>
+        <button class="btn btn-sm" data-action="remove-rule" data-index="${index}">删除</button>
+      </div>
+    `;
+  }
+}
+
+// 导出模块
+window.WordStyleMap = WordStyleMap;
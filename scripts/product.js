@@ -3,13 +3,17 @@ class ProductPage {
     constructor() {
         this.fileProcessor = null;
         this.conversionManager = null;
+        this.styleMap = null;
+        this.conversionSettings = null;
         this.currentFiles = [];
         this.currentResults = {};
+        this.stopRequested = false; // 停止当前文件并保留已转换的页面
         
         this.init();
     }
 
     init() {
+        this.setupMarked();
         this.setupEventListeners();
         this.initializeModules();
         this.setupFileUpload();
@@ -29,6 +33,18 @@ class ProductPage {
                 console.log('FileProcessor 初始化成功');
             }
             
+            // 初始化 Word 样式映射设置
+            if (window.WordStyleMap) {
+                this.styleMap = new window.WordStyleMap();
+                this.styleMap.init();
+            }
+
+            // 初始化转换选项设置
+            if (window.ConversionSettings) {
+                this.conversionSettings = new window.ConversionSettings();
+                this.conversionSettings.init();
+            }
+
             // 初始化转换管理器
             if (window.ConversionManager) {
                 this.conversionManager = new window.ConversionManager();
@@ -41,6 +57,13 @@ class ProductPage {
         }
     }
 
+    // 配置 Marked.js，启用脚注语法（与编辑器共用同一注册入口）
+    setupMarked() {
+        if (window.MarkdownEditor) {
+            window.MarkdownEditor.registerMarkedExtensions();
+        }
+    }
+
     // 等待依赖库加载
     waitForDependencies() {
         return new Promise((resolve, reject) => {
@@ -96,6 +119,11 @@ class ProductPage {
 
         if (!uploadArea || !fileInput) return;
 
+        // 按已注册的转换器设置可选文件类型
+        if (window.converterRegistry) {
+            fileInput.accept = window.converterRegistry.getAcceptString();
+        }
+
         // 点击上传区域
         uploadArea.addEventListener('click', () => {
             fileInput.click();
@@ -155,9 +183,10 @@ class ProductPage {
         this.currentFiles = Array.from(files);
         
         // 验证文件
-        const validFiles = this.validateFiles(this.currentFiles);
+        const validFiles = await this.validateFiles(this.currentFiles);
         if (validFiles.length === 0) {
-            this.showError('请选择支持的文件格式：Word (.doc, .docx)、PDF (.pdf)、图片 (.png, .jpg, .jpeg)');
+            const formats = window.converterRegistry ? window.converterRegistry.getFormatSummary() : '';
+            this.showError(`请选择支持的文件格式：${formats}`);
             return;
         }
 
@@ -169,26 +198,19 @@ class ProductPage {
         await this.startConversion(validFiles);
     }
 
-    // 验证文件
-    validateFiles(files) {
-        const supportedTypes = [
-            'application/vnd.openxmlformats-officedocument.wordprocessingml.document', // .docx
-            'application/msword', // .doc
-            'application/pdf', // .pdf
-            'image/png',
-            'image/jpeg',
-            'image/jpg'
-        ];
-
-        const supportedExtensions = ['.doc', '.docx', '.pdf', '.png', '.jpg', '.jpeg'];
-
-        return files.filter(file => {
-            const hasValidType = supportedTypes.includes(file.type);
-            const hasValidExtension = supportedExtensions.some(ext => 
-                file.name.toLowerCase().endsWith(ext)
-            );
-            return hasValidType || hasValidExtension;
-        });
+    // 验证文件（按转换器注册表中的 MIME 类型和扩展名，无法匹配时按文件内容识别）
+    async validateFiles(files) {
+        if (!window.converterRegistry) return [];
+
+        const detector = window.FormatDetector ? new window.FormatDetector() : null;
+        const checks = await Promise.all(files.map(async (file) => {
+            if (window.converterRegistry.match(file)) return true;
+
+            const sniffed = detector ? await detector.sniffFormat(file) : null;
+            return !!sniffed && detector.isFormatSupported(sniffed.mimeType);
+        }));
+
+        return files.filter((file, index) => checks[index]);
     }
 
     // 显示转换状态
@@ -209,7 +231,7 @@ class ProductPage {
             <div class="file-item" id="file-${index}">
                 <div class="file-info">
                     <i class="fas fa-file"></i>
-                    <span>${file.name}</span>
+                    <span>${DOMUtils.escapeHtml(file.name)}</span>
                     <span class="file-size">(${this.formatFileSize(file.size)})</span>
                 </div>
                 <div class="file-status status-processing">处理中...</div>
@@ -217,6 +239,16 @@ class ProductPage {
         `).join('');
     }
 
+    // 显示单个文件的转换报告
+    displayConversionReport(fileItem, report) {
+        if (!fileItem || !report || !this.fileProcessor) return;
+
+        const reportHtml = this.fileProcessor.renderConversionReport(report);
+        if (reportHtml) {
+            fileItem.querySelector('.file-info')?.insertAdjacentHTML('beforeend', reportHtml);
+        }
+    }
+
     // 开始转换
     async startConversion(files) {
         const progressFill = document.getElementById('progressFill');
@@ -238,16 +270,32 @@ class ProductPage {
                     statusElement.className = 'file-status status-processing';
                 }
 
-                // 执行转换
-                const result = await this.convertFile(file);
+                // 执行转换（PDF 逐页推送已转换的内容到结果区域）
+                this.stopRequested = false;
+                let partialMarkdown = '';
+                const result = await this.convertFile(file, (pageInfo) => {
+                    if (statusElement) {
+                        statusElement.textContent = `转换中（第 ${pageInfo.index + 1} / ${pageInfo.count} 页）...`;
+                    }
+                    this.showStopButton(fileItem);
+
+                    if (pageInfo.markdown) {
+                        partialMarkdown += (partialMarkdown ? '\n\n' : '') + pageInfo.markdown;
+                        this.showPartialResult(allResults, file.name, partialMarkdown);
+                    }
+                });
                 allResults.push(result);
 
                 // 更新成功状态
                 if (statusElement) {
-                    statusElement.textContent = '完成';
+                    statusElement.textContent = result.partial ? '已停止（保留已转换页面）'
+                        : result.report && result.report.needsReview ? '完成（需复核）' : '完成';
                     statusElement.className = 'file-status status-completed';
                 }
 
+                // 显示转换报告
+                this.displayConversionReport(fileItem, result.report);
+
             } catch (error) {
                 console.error(`文件 ${file.name} 转换失败:`, error);
                 
@@ -258,6 +306,8 @@ class ProductPage {
                 }
             }
 
+            fileItem?.querySelector('.stop-btn')?.remove();
+
             // 更新进度
             completedFiles++;
             const progress = (completedFiles / totalFiles) * 100;
@@ -270,180 +320,116 @@ class ProductPage {
         this.showResults(allResults);
     }
 
-    // 转换单个文件
-    async convertFile(file) {
-        const fileExtension = file.name.toLowerCase().split('.').pop();
-        
-        switch (fileExtension) {
-            case 'docx':
-            case 'doc':
-                return await this.convertWordFile(file);
-            case 'pdf':
-                return await this.convertPdfFile(file);
-            case 'png':
-            case 'jpg':
-            case 'jpeg':
-                return await this.convertImageFile(file);
-            default:
-                throw new Error(`不支持的文件格式: ${fileExtension}`);
+    // 转换单个文件（由转换器注册表匹配转换器），onPageProcessed 接收 PDF 逐页转换结果
+    async convertFile(file, onPageProcessed = null) {
+        const registry = window.converterRegistry;
+        const detection = await this.detectFileFormat(file);
+        const converter = registry && detection.isSupported ? registry.get(detection.converter) : null;
+        if (!converter) {
+            throw new Error(detection.error || `不支持的文件格式: ${file.name}`);
         }
-    }
 
-    // 转换 Word 文件
-    async convertWordFile(file) {
-        if (!window.WordConverter) {
-            throw new Error('WordConverter 模块未加载，请刷新页面重试');
+        if (!registry.isAvailable(converter)) {
+            throw new Error(`${converter.description}转换依赖库未加载，请刷新页面重试`);
+        }
+
+        // 声明类型与文件内容不一致时提示
+        if (detection.typeMismatch) {
+            this.showNotification(`${file.name}：${detection.warnings.join('；')}`, 'info');
         }
 
         try {
-            // 验证文件格式
-            const validExtensions = ['.doc', '.docx'];
-            const fileExtension = '.' + file.name.toLowerCase().split('.').pop();
-            if (!validExtensions.includes(fileExtension)) {
-                throw new Error('请选择有效的Word文档文件(.doc或.docx)');
-            }
+            console.log(`开始转换${converter.description}: ${file.name} (${(file.size / 1024 / 1024).toFixed(2)}MB)`);
 
-            // 检查文件大小 (限制50MB)
-            if (file.size > 50 * 1024 * 1024) {
-                throw new Error('Word文件过大，请选择小于50MB的文件');
-            }
+            const options = {
+                ...this.getConverterOptions(converter),
+                onPassword: (request) => this.requestPassword(request),
+                onPageProcessed: onPageProcessed,
+                shouldStop: () => this.stopRequested
+            };
+            const { markdown, assets = [], report, metadata } = await converter.convert(file, options);
 
-            console.log(`开始转换Word文件: ${file.name} (${(file.size / 1024 / 1024).toFixed(2)}MB)`);
+            console.log(`${converter.description}转换完成: ${file.name}，提取图片 ${assets.length} 张`);
 
-            // 检查WordConverter依赖
-            const deps = window.WordConverter.checkDependencies();
-            if (!deps.mammoth || !deps.turndown) {
-                throw new Error('Word转换依赖库未完全加载，请刷新页面重试');
+            // 记录未映射的 Word 样式，便于在设置面板中添加映射
+            if (this.styleMap && report && report.unmappedStyles.length > 0) {
+                this.styleMap.recordUnmappedStyles(report.unmappedStyles);
             }
 
-            // 执行转换 - 直接传递file对象，让WordConverter内部处理
-            const markdown = await window.WordConverter.convertDocxToMarkdown(file);
-            
-            console.log(`Word转换完成: ${file.name}`);
-            
             // 检查转换结果
-            if (!markdown || typeof markdown !== 'string') {
-                throw new Error('Word转换返回了空的结果');
+            if (typeof markdown !== 'string') {
+                throw new Error('转换返回了空的结果');
             }
-            
+
             return {
                 fileName: file.name,
-                type: 'word',
+                type: converter.name,
                 markdown: markdown,
-                html: this.markdownToHtml(markdown),
+                html: this.markdownToHtml(window.WordConverter ? window.WordConverter.inlineAssets(markdown, assets) : markdown),
+                assets: assets,
+                report: report,
+                partial: !!(metadata && metadata.partial),
                 success: true
             };
         } catch (error) {
-            console.error('Word转换失败:', error);
-            
-            // 提供更友好的错误信息
-            let errorMessage = 'Word文件转换失败';
-            if (error.message.includes('not supported')) {
-                errorMessage = '不支持的Word文档格式，请使用.docx格式';
-            } else if (error.message.includes('corrupted') || error.message.includes('Invalid')) {
-                errorMessage = 'Word文档文件损坏或格式不正确';
-            } else if (error.message.includes('依赖库')) {
-                errorMessage = 'Word转换库未加载，请刷新页面重试';
-            } else {
-                errorMessage = `Word文件转换失败: ${error.message}`;
-            }
-            
-            throw new Error(errorMessage);
+            console.error(`${converter.description}转换失败:`, error);
+            throw new Error(`${converter.description}转换失败: ${this.getFriendlyErrorMessage(error)}`);
         }
     }
 
-    // 读取文件为ArrayBuffer的辅助方法
-    readFileAsArrayBuffer(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = () => resolve(reader.result);
-            reader.onerror = () => reject(new Error('文件读取失败'));
-            reader.readAsArrayBuffer(file);
-        });
-    }
-
-    // 转换 PDF 文件
-    async convertPdfFile(file) {
-        // 检查 PdfConverter 模块
-        if (!window.PdfConverter) {
-            throw new Error('PDF转换模块未加载，请刷新页面重试');
-        }
-
-        // 检查 PDF.js 库
-        if (!window.pdfjsLib) {
-            throw new Error('PDF处理库未加载，请检查网络连接');
+    // 检测文件格式（按文件内容识别，检测器不可用时回退到注册表匹配）
+    async detectFileFormat(file) {
+        if (window.FormatDetector) {
+            return await new window.FormatDetector().detectFormatWithContent(file);
         }
 
-        try {
-            // 验证文件格式
-            if (!file.type.includes('pdf') && !file.name.toLowerCase().endsWith('.pdf')) {
-                throw new Error('请选择有效的PDF文件');
-            }
+        const converter = window.converterRegistry ? await window.converterRegistry.detect(file) : null;
+        return {
+            isSupported: !!converter,
+            converter: converter ? converter.name : null,
+            typeMismatch: false,
+            warnings: [],
+            error: converter ? null : `不支持的文件格式: ${file.name}`
+        };
+    }
 
-            // 检查文件大小 (限制50MB)
-            if (file.size > 50 * 1024 * 1024) {
-                throw new Error('PDF文件过大，请选择小于50MB的文件');
-            }
+    // 获取转换器对应的转换选项
+    getConverterOptions(converter) {
+        if (!this.conversionSettings || !converter.settingsGroup) return {};
+        return this.conversionSettings.get(converter.settingsGroup);
+    }
 
-            console.log(`开始转换PDF文件: ${file.name} (${(file.size / 1024 / 1024).toFixed(2)}MB)`);
+    // 询问加密文件的密码（取消时返回 null）
+    requestPassword({ fileName, incorrect }) {
+        const message = incorrect
+            ? `密码错误，请重新输入“${fileName}”的密码`
+            : `“${fileName}”已加密，请输入打开密码`;
 
-            // 创建转换器实例
-            const converter = new window.PdfConverter();
-            
-            // 执行转换，传入进度回调
-            const result = await converter.convertPdfToMarkdown(file, (progress) => {
-                console.log(`PDF转换进度: ${progress}%`);
-            });
-            
-            console.log(`PDF转换完成: ${result.totalPages || 0} 页`);
-            
-            return {
-                fileName: file.name,
-                type: 'pdf',
-                markdown: result.markdown,
-                html: result.html || this.markdownToHtml(result.markdown),
-                success: true,
-                pages: result.totalPages || 0,
-                metadata: result.metadata || {}
-            };
-        } catch (error) {
-            console.error('PDF转换失败:', error);
-            
-            // 提供更友好的错误信息
-            let errorMessage = 'PDF转换失败';
-            if (error.message.includes('Invalid PDF')) {
-                errorMessage = 'PDF文件损坏或格式不正确';
-            } else if (error.message.includes('password')) {
-                errorMessage = '不支持加密的PDF文件';
-            } else if (error.message.includes('network') || error.message.includes('加载')) {
-                errorMessage = 'PDF处理库加载失败，请检查网络连接并刷新页面';
-            } else {
-                errorMessage = `PDF转换失败: ${error.message}`;
-            }
-            
-            throw new Error(errorMessage);
+        if (window.DOMUtils) {
+            return window.DOMUtils.promptPassword({ title: '需要密码', message });
         }
+        return Promise.resolve(window.prompt(message));
     }
 
-    // 转换图片文件
-    async convertImageFile(file) {
-        if (!window.ImageConverter) {
-            throw new Error('ImageConverter 模块未加载');
+    // 提供更友好的错误信息
+    getFriendlyErrorMessage(error) {
+        const message = error.message || '';
+        if (message.includes('password')) {
+            return '文件已加密，需要密码才能打开';
+        } else if (message.includes('corrupted') || message.includes('Invalid')) {
+            return '文件损坏或格式不正确';
         }
+        return message;
+    }
 
-        try {
-            const result = await window.ImageConverter.convertImageToMarkdown(file);
-            
-            return {
-                fileName: file.name,
-                type: 'image',
-                markdown: result.markdown,
-                html: result.html || this.markdownToHtml(result.markdown),
-                success: true
-            };
-        } catch (error) {
-            throw new Error(`图片文件转换失败: ${error.message}`);
-        }
+    // 读取文件为ArrayBuffer的辅助方法
+    readFileAsArrayBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error('文件读取失败'));
+            reader.readAsArrayBuffer(file);
+        });
     }
 
     // Markdown 转 HTML
@@ -462,18 +448,47 @@ class ProductPage {
             .replace(/\n/gim, '<br>');
     }
 
-    // 显示结果
-    showResults(results) {
+    // 显示正在转换的文件的部分结果（已完成的文件加上已转换的页面）
+    showPartialResult(results, fileName, markdown) {
+        this.showResults([
+            ...results,
+            { fileName, markdown, html: this.markdownToHtml(markdown), assets: [], success: true }
+        ], true);
+    }
+
+    // 在文件项中显示“停止并保留”按钮
+    showStopButton(fileItem) {
+        if (!fileItem || fileItem.querySelector('.stop-btn')) return;
+
+        fileItem.insertAdjacentHTML('beforeend', `
+            <button class="btn btn-sm btn-outline stop-btn" onclick="productPage.stopCurrentFile(this)">停止并保留</button>
+        `);
+    }
+
+    // 停止当前文件的转换，保留已转换的页面
+    stopCurrentFile(button) {
+        this.stopRequested = true;
+        if (button) {
+            button.disabled = true;
+            button.textContent = '正在停止...';
+        }
+    }
+
+    // 显示结果（inProgress 为 true 时保留转换进度区域）
+    showResults(results, inProgress = false) {
         const conversionStatus = document.getElementById('conversionStatus');
         const resultsArea = document.getElementById('resultsArea');
         
-        if (conversionStatus) conversionStatus.style.display = 'none';
+        if (conversionStatus && !inProgress) conversionStatus.style.display = 'none';
         if (resultsArea) resultsArea.style.display = 'block';
 
-        // 合并所有结果
-        const combinedMarkdown = results
+        // 合并所有结果（同名文档的图片资源改名，避免合并后路径重复）
+        const documents = new window.ExportHandler().resolveAssetConflicts(results
             .filter(r => r.success)
-            .map(r => `# ${r.fileName}\n\n${r.markdown}`)
+            .map(r => ({ title: r.fileName, content: r.markdown, assets: r.assets || [] })));
+
+        const combinedMarkdown = documents
+            .map(doc => `# ${doc.title}\n\n${doc.content}`)
             .join('\n\n---\n\n');
 
         const combinedHtml = results
@@ -481,10 +496,13 @@ class ProductPage {
             .map(r => r.html)
             .join('<hr>');
 
+        const combinedAssets = documents.flatMap(doc => doc.assets);
+
         // 更新显示内容
         this.currentResults = {
             markdown: combinedMarkdown,
-            html: combinedHtml
+            html: combinedHtml,
+            assets: combinedAssets
         };
 
         this.updateResultsDisplay();
@@ -552,7 +570,7 @@ class ProductPage {
         notification.innerHTML = `
             <div class="notification-content">
                 <i class="fas fa-${type === 'success' ? 'check-circle' : type === 'error' ? 'exclamation-circle' : 'info-circle'}"></i>
-                <span>${message}</span>
+                <span>${DOMUtils.escapeHtml(message)}</span>
             </div>
             <button class="notification-close">&times;</button>
         `;
@@ -605,9 +623,23 @@ window.scrollToConverter = function() {
 
 
 
-window.downloadMarkdown = function() {
+window.downloadMarkdown = async function() {
     if (window.productPage && window.productPage.currentResults) {
-        const markdown = window.productPage.currentResults.markdown;
+        const { markdown, assets = [] } = window.productPage.currentResults;
+
+        // 含有图片资源时打包为 ZIP 下载
+        if (assets.length > 0 && window.ExportHandler) {
+            try {
+                await new window.ExportHandler().exportMarkdownBundle([
+                    { filename: 'converted-document.md', content: markdown, assets }
+                ], 'converted-document.zip');
+                window.productPage.showSuccess('Markdown 及图片资源已打包下载！');
+            } catch (error) {
+                window.productPage.showError(error.message);
+            }
+            return;
+        }
+
         const blob = new Blob([markdown], { type: 'text/markdown' });
         const url = URL.createObjectURL(blob);
         
@@ -0,0 +1,58 @@
+/**
+ * 图片资源工具函数
+ * 各转换器（Word、HTML、RTF、ODT、PDF）统一按图片处理方式登记提取出的图片
+ */
+
+const AssetUtils = {
+  assetDir: 'assets',
+
+  /**
+   * 按图片处理方式登记图片资源
+   * @param {Array} assets - 资源列表，'assets' 模式下追加 { path, contentType, base64 }
+   * @param {string} baseName - 文档基础名，用于生成资源文件名
+   * @param {string} contentType - 图片 MIME 类型
+   * @param {string} base64 - 图片 Base64 数据
+   * @param {string} imageMode - 图片处理方式：'assets' | 'inline' | 'none'
+   * @returns {string} 图片地址（丢弃时为空字符串）
+   */
+  addImage(assets, baseName, contentType, base64, imageMode = 'assets') {
+    if (imageMode === 'none') return '';
+    if (imageMode === 'inline') return `data:${contentType};base64,${base64}`;
+
+    const path = `${this.assetDir}/${this.sanitizeName(baseName)}-image${assets.length + 1}.${this.getImageExtension(contentType)}`;
+    assets.push({ path, contentType, base64 });
+    return path;
+  },
+
+  /**
+   * 根据 MIME 类型获取图片扩展名
+   * @param {string} contentType - 图片 MIME 类型
+   * @returns {string} 扩展名（不含点号）
+   */
+  getImageExtension(contentType) {
+    const extensions = {
+      'image/png': 'png',
+      'image/jpeg': 'jpg',
+      'image/gif': 'gif',
+      'image/bmp': 'bmp',
+      'image/webp': 'webp',
+      'image/tiff': 'tiff',
+      'image/svg+xml': 'svg',
+      'image/x-emf': 'emf',
+      'image/x-wmf': 'wmf'
+    };
+    return extensions[contentType] || 'png';
+  },
+
+  /**
+   * 清理资源文件名中的非法字符
+   * @param {string} name - 名称
+   * @returns {string} 可用作文件名的名称
+   */
+  sanitizeName(name) {
+    return (name || 'document').replace(/[\\/:*?"<>|\s]+/g, '-') || 'document';
+  }
+};
+
+// 导出工具
+window.AssetUtils = AssetUtils;
@@ -0,0 +1,53 @@
+/**
+ * 取消转换工具函数
+ * 转换取消时统一以 name 为 'AbortError' 的错误结束（见 ConverterRegistry.register 的 options.signal）
+ */
+
+const CancelUtils = {
+  /**
+   * 创建取消转换的错误
+   * @returns {Error} 取消错误
+   */
+  createError() {
+    const error = new Error('转换已取消');
+    error.name = 'AbortError';
+    return error;
+  },
+
+  /**
+   * 判断是否为取消错误
+   * @param {Error} error - 错误
+   * @returns {boolean} 是否为取消错误
+   */
+  isCancelError(error) {
+    return !!error && error.name === 'AbortError';
+  },
+
+  /**
+   * 已取消时抛出取消错误
+   * @param {AbortSignal} signal - 取消信号
+   */
+  throwIfAborted(signal) {
+    if (signal && signal.aborted) throw CancelUtils.createError();
+  },
+
+  /**
+   * 等待异步任务，取消时立即以取消错误结束（无法中断的任务结果被丢弃）
+   * @param {Promise} promise - 异步任务
+   * @param {AbortSignal} signal - 取消信号
+   * @returns {Promise} 任务结果
+   */
+  race(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(CancelUtils.createError());
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(CancelUtils.createError());
+      signal.addEventListener('abort', onAbort, { once: true });
+      promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+};
+
+// 导出工具
+window.CancelUtils = CancelUtils;
@@ -0,0 +1,335 @@
+/**
+ * CFB 复合文档读取器
+ * 解析 OLE2 复合文件二进制格式（Word 97-2003 .doc 等旧版 Office 文件的容器），按名称读取其中的流
+ */
+
+class CfbReader {
+  /**
+   * @param {ArrayBuffer} arrayBuffer - 文件内容
+   */
+  constructor(arrayBuffer) {
+    this.buffer = arrayBuffer;
+    this.view = new DataView(arrayBuffer);
+
+    if (!CfbReader.isCfb(arrayBuffer)) {
+      throw new Error('不是有效的 OLE2 复合文档');
+    }
+
+    this.sectorSize = 1 << this.view.getUint16(0x1E, true);
+    this.miniSectorSize = 1 << this.view.getUint16(0x20, true);
+    this.miniStreamCutoff = this.view.getUint32(0x38, true);
+
+    this.fat = this.readFat();
+    this.entries = this.readDirectory();
+    this.miniFat = this.readMiniFat();
+    this.miniStream = this.entries.length > 0
+      ? this.readChain(this.entries[0].startSector, this.entries[0].size)
+      : new Uint8Array(0);
+  }
+
+  /**
+   * 检查文件头是否为 CFB 签名（D0 CF 11 E0 A1 B1 1A E1）
+   * @param {ArrayBuffer} arrayBuffer - 文件内容
+   * @returns {boolean} 是否为 CFB 文件
+   */
+  static isCfb(arrayBuffer) {
+    const signature = [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1];
+    if (!arrayBuffer || arrayBuffer.byteLength < 512) return false;
+
+    const bytes = new Uint8Array(arrayBuffer, 0, signature.length);
+    return signature.every((byte, i) => bytes[i] === byte);
+  }
+
+  /**
+   * 获取扇区在文件中的偏移（扇区 0 紧跟 512 字节文件头之后）
+   * @param {number} sector - 扇区号
+   */
+  getSectorOffset(sector) {
+    return (sector + 1) * this.sectorSize;
+  }
+
+  /**
+   * 读取 FAT 表（扇区链表）
+   * @returns {Uint32Array} FAT
+   */
+  readFat() {
+    const fatSectors = [];
+    const entriesPerSector = this.sectorSize / 4;
+
+    // 文件头中的前 109 个 DIFAT 项
+    for (let i = 0; i < 109; i++) {
+      const sector = this.view.getUint32(0x4C + i * 4, true);
+      if (sector >= CfbReader.MAX_SECTOR) break;
+      fatSectors.push(sector);
+    }
+
+    // 后续 DIFAT 扇区，每个扇区最后一项指向下一个 DIFAT 扇区
+    let difatSector = this.view.getUint32(0x44, true);
+    let difatCount = this.view.getUint32(0x48, true);
+    while (difatSector < CfbReader.MAX_SECTOR && difatCount-- > 0) {
+      const offset = this.getSectorOffset(difatSector);
+      for (let i = 0; i < entriesPerSector - 1; i++) {
+        const sector = this.view.getUint32(offset + i * 4, true);
+        if (sector < CfbReader.MAX_SECTOR) fatSectors.push(sector);
+      }
+      difatSector = this.view.getUint32(offset + (entriesPerSector - 1) * 4, true);
+    }
+
+    const fat = new Uint32Array(fatSectors.length * entriesPerSector);
+    fatSectors.forEach((sector, index) => {
+      const offset = this.getSectorOffset(sector);
+      for (let i = 0; i < entriesPerSector; i++) {
+        fat[index * entriesPerSector + i] = offset + i * 4 + 4 <= this.buffer.byteLength
+          ? this.view.getUint32(offset + i * 4, true)
+          : CfbReader.END_OF_CHAIN;
+      }
+    });
+
+    return fat;
+  }
+
+  /**
+   * 按 FAT 链读取扇区数据
+   * @param {number} startSector - 起始扇区
+   * @param {number} size - 数据长度（省略时读取整条链）
+   * @returns {Uint8Array} 数据
+   */
+  readChain(startSector, size) {
+    const chunks = [];
+    const visited = new Set();
+    let sector = startSector;
+
+    while (sector < CfbReader.MAX_SECTOR) {
+      // 损坏的文件可能出现循环链
+      if (visited.has(sector) || sector >= this.fat.length) break;
+      visited.add(sector);
+
+      const offset = this.getSectorOffset(sector);
+      chunks.push(new Uint8Array(this.buffer, offset, Math.min(this.sectorSize, this.buffer.byteLength - offset)));
+      sector = this.fat[sector];
+    }
+
+    return this.joinChunks(chunks, size);
+  }
+
+  /**
+   * 按 MiniFAT 链读取迷你流中的数据（小于 4096 字节的流存放在迷你流中）
+   * @param {number} startSector - 起始迷你扇区
+   * @param {number} size - 数据长度
+   * @returns {Uint8Array} 数据
+   */
+  readMiniChain(startSector, size) {
+    const chunks = [];
+    const visited = new Set();
+    let sector = startSector;
+
+    while (sector < CfbReader.MAX_SECTOR) {
+      if (visited.has(sector) || sector >= this.miniFat.length) break;
+      visited.add(sector);
+
+      const offset = sector * this.miniSectorSize;
+      chunks.push(this.miniStream.subarray(offset, offset + this.miniSectorSize));
+      sector = this.miniFat[sector];
+    }
+
+    return this.joinChunks(chunks, size);
+  }
+
+  /**
+   * 合并数据块并截断到指定长度
+   */
+  joinChunks(chunks, size) {
+    const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const result = new Uint8Array(size === undefined ? total : Math.min(size, total));
+
+    let offset = 0;
+    for (const chunk of chunks) {
+      if (offset >= result.length) break;
+      const part = chunk.subarray(0, result.length - offset);
+      result.set(part, offset);
+      offset += part.length;
+    }
+
+    return result;
+  }
+
+  /**
+   * 读取 MiniFAT 表
+   * @returns {Uint32Array} MiniFAT
+   */
+  readMiniFat() {
+    const startSector = this.view.getUint32(0x3C, true);
+    if (startSector >= CfbReader.MAX_SECTOR) return new Uint32Array(0);
+
+    const data = this.readChain(startSector);
+    return new Uint32Array(data.buffer, data.byteOffset, Math.floor(data.length / 4));
+  }
+
+  /**
+   * 读取目录项
+   * @returns {Array} 目录项 [{ name, type, left, right, child, startSector, size }]
+   */
+  readDirectory() {
+    return CfbReader.parseDirectory(this.readChain(this.view.getUint32(0x30, true)));
+  }
+
+  /**
+   * 解析目录扇区数据（每个目录项 128 字节）
+   * @param {Uint8Array} data - 目录数据
+   * @returns {Array} 目录项 [{ name, type, left, right, child, startSector, size }]
+   */
+  static parseDirectory(data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const entries = [];
+
+    for (let offset = 0; offset + 128 <= data.length; offset += 128) {
+      const nameLength = Math.max(0, Math.min(64, view.getUint16(offset + 0x40, true)) - 2);
+      let name = '';
+      for (let i = 0; i < nameLength; i += 2) {
+        name += String.fromCharCode(view.getUint16(offset + i, true));
+      }
+
+      entries.push({
+        name,
+        type: view.getUint8(offset + 0x42),
+        left: view.getUint32(offset + 0x44, true),
+        right: view.getUint32(offset + 0x48, true),
+        child: view.getUint32(offset + 0x4C, true),
+        startSector: view.getUint32(offset + 0x74, true),
+        size: view.getUint32(offset + 0x78, true)
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * 列出根存储下的直接子项（不包含 ObjectPool 等子存储中的嵌入对象）
+   * @returns {Array} 目录项
+   */
+  listRootEntries() {
+    return CfbReader.collectRootEntries(this.entries);
+  }
+
+  /**
+   * 遍历根存储的子项红黑树
+   * @param {Array} entries - 全部目录项（第 0 项为根存储）
+   * @returns {Array} 目录项
+   */
+  static collectRootEntries(entries) {
+    const result = [];
+    const visited = new Set();
+    const stack = entries.length > 0 ? [entries[0].child] : [];
+
+    while (stack.length > 0) {
+      const index = stack.pop();
+      if (index >= entries.length || visited.has(index)) continue;
+      visited.add(index);
+
+      const entry = entries[index];
+      result.push(entry);
+      stack.push(entry.left, entry.right);
+    }
+
+    return result;
+  }
+
+  /**
+   * 只读取文件头、所需的 FAT 扇区和目录扇区，列出根存储下的直接子项（格式检测用，无需读取整个文件）
+   * @param {Function} readRange - (start, end) => Promise<ArrayBuffer>，读取文件片段
+   * @returns {Promise<Array|null>} 目录项，不是 CFB 文件时返回 null
+   */
+  static async readRootEntries(readRange) {
+    const header = await readRange(0, 512);
+    if (!CfbReader.isCfb(header)) return null;
+
+    const view = new DataView(header);
+    const sectorSize = 1 << view.getUint16(0x1E, true);
+    const entriesPerSector = sectorSize / 4;
+    const readSector = (sector) => readRange((sector + 1) * sectorSize, (sector + 2) * sectorSize);
+
+    // FAT 扇区号：文件头中的前 109 个 DIFAT 项，以及后续 DIFAT 扇区
+    const fatSectors = [];
+    for (let i = 0; i < 109; i++) {
+      const sector = view.getUint32(0x4C + i * 4, true);
+      if (sector >= CfbReader.MAX_SECTOR) break;
+      fatSectors.push(sector);
+    }
+
+    let difatSector = view.getUint32(0x44, true);
+    let difatCount = view.getUint32(0x48, true);
+    while (difatSector < CfbReader.MAX_SECTOR && difatCount-- > 0) {
+      const difat = new DataView(await readSector(difatSector));
+      if (difat.byteLength < sectorSize) break;
+      for (let i = 0; i < entriesPerSector - 1; i++) {
+        const sector = difat.getUint32(i * 4, true);
+        if (sector < CfbReader.MAX_SECTOR) fatSectors.push(sector);
+      }
+      difatSector = difat.getUint32((entriesPerSector - 1) * 4, true);
+    }
+
+    // 按需读取目录链经过的 FAT 扇区
+    const fatCache = new Map();
+    const nextSector = async (sector) => {
+      const fatSector = fatSectors[Math.floor(sector / entriesPerSector)];
+      if (fatSector === undefined) return CfbReader.END_OF_CHAIN;
+      if (!fatCache.has(fatSector)) fatCache.set(fatSector, new DataView(await readSector(fatSector)));
+
+      const fat = fatCache.get(fatSector);
+      const offset = (sector % entriesPerSector) * 4;
+      return offset + 4 <= fat.byteLength ? fat.getUint32(offset, true) : CfbReader.END_OF_CHAIN;
+    };
+
+    const entries = [];
+    const visited = new Set();
+    let sector = view.getUint32(0x30, true);
+
+    while (sector < CfbReader.MAX_SECTOR && !visited.has(sector)) {
+      visited.add(sector);
+      entries.push(...CfbReader.parseDirectory(new Uint8Array(await readSector(sector))));
+      sector = await nextSector(sector);
+    }
+
+    return CfbReader.collectRootEntries(entries);
+  }
+
+  /**
+   * 检查根存储下是否存在指定名称的流
+   * @param {string} name - 流名称
+   */
+  hasStream(name) {
+    return !!this.findStreamEntry(name);
+  }
+
+  /**
+   * 查找根存储下的流（名称不区分大小写）
+   */
+  findStreamEntry(name) {
+    const lowerName = name.toLowerCase();
+    return this.listRootEntries().find(entry =>
+      entry.type === CfbReader.STREAM_TYPE && entry.name.toLowerCase() === lowerName
+    ) || null;
+  }
+
+  /**
+   * 读取根存储下的流
+   * @param {string} name - 流名称，如 'WordDocument'
+   * @returns {Uint8Array|null} 流数据，不存在时返回 null
+   */
+  getStream(name) {
+    const entry = this.findStreamEntry(name);
+    if (!entry) return null;
+
+    return entry.size < this.miniStreamCutoff
+      ? this.readMiniChain(entry.startSector, entry.size)
+      : this.readChain(entry.startSector, entry.size);
+  }
+}
+
+// 扇区号中大于等于该值的为特殊标记（FREESECT、ENDOFCHAIN、FATSECT、DIFSECT）
+CfbReader.MAX_SECTOR = 0xFFFFFFFA;
+CfbReader.END_OF_CHAIN = 0xFFFFFFFE;
+CfbReader.STREAM_TYPE = 2;
+
+// 导出模块
+window.CfbReader = CfbReader;
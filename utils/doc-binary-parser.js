@@ -0,0 +1,575 @@
+/**
+ * Word 97-2003 (.doc) 二进制文档解析器
+ * 从 WordDocument 流中按片段表（piece table）提取正文，识别段落、标题、粗体/斜体和表格，生成 HTML
+ * 参考 [MS-DOC] 规范，仅覆盖转换 Markdown 所需的子集
+ */
+
+class DocBinaryParser {
+  /**
+   * @param {ArrayBuffer} arrayBuffer - .doc 文件内容
+   */
+  constructor(arrayBuffer) {
+    this.cfb = new window.CfbReader(arrayBuffer);
+    this.wordDocument = null;
+    this.table = null;
+    this.fib = null;
+    this.messages = [];
+    this.imageCount = 0;
+  }
+
+  /**
+   * 检测 Word 文件的实际格式（文件可能被错误地改名为 .doc）
+   * @param {ArrayBuffer} arrayBuffer - 文件内容
+   * @returns {string} 'cfb' | 'zip' | 'rtf' | 'html' | 'unknown'
+   */
+  static detectFormat(arrayBuffer) {
+    if (window.CfbReader && window.CfbReader.isCfb(arrayBuffer)) return 'cfb';
+
+    const bytes = new Uint8Array(arrayBuffer, 0, Math.min(arrayBuffer.byteLength, 1024));
+    if (bytes[0] === 0x50 && bytes[1] === 0x4B) return 'zip';
+
+    const head = String.fromCharCode(...bytes).replace(/^\xEF\xBB\xBF/, '').trimStart();
+    if (head.startsWith('{\\rtf')) return 'rtf';
+    if (/^<!doctype html/i.test(head) || /<html[\s>]/i.test(head)) return 'html';
+
+    return 'unknown';
+  }
+
+  /**
+   * 将 .doc 文件转换为 HTML，返回结构与 mammoth.convertToHtml 保持一致
+   * @param {ArrayBuffer} arrayBuffer - 文件内容
+   * @param {Object} options - 转换选项
+   * @param {string} options.revisionMode - 修订处理方式：'accept' | 'reject' | 'criticmarkup'
+   * @returns {Object} { value: html, messages, imageCount }
+   */
+  static convertToHtml(arrayBuffer, options = {}) {
+    const parser = new DocBinaryParser(arrayBuffer);
+    const value = parser.parse(options);
+    return { value, messages: parser.messages, imageCount: parser.imageCount };
+  }
+
+  /**
+   * 解析文档
+   * @param {Object} options - 转换选项
+   * @returns {string} HTML
+   */
+  parse(options = {}) {
+    if (!this.cfb.hasStream('WordDocument')) {
+      if (this.cfb.hasStream('EncryptionInfo')) {
+        throw new Error('文档已设置打开密码，请在 Word 中取消加密后重新转换');
+      }
+      throw new Error('文件中没有 Word 文档内容（可能是 Excel、PowerPoint 等其他 Office 文件）');
+    }
+
+    this.wordDocument = this.toDataView(this.cfb.getStream('WordDocument'));
+    this.fib = this.readFib();
+
+    const tableStream = this.cfb.getStream(this.fib.tableStreamName);
+    if (!tableStream) {
+      throw new Error(`文档结构损坏：缺少 ${this.fib.tableStreamName} 流`);
+    }
+    this.table = this.toDataView(tableStream);
+
+    const pieces = this.readPieceTable();
+    const { text, fcs } = this.readText(pieces, this.fib.ccpText);
+    const characterRuns = this.readCharacterRuns();
+    const paragraphRuns = this.readParagraphRuns();
+
+    return this.buildHtml(text, fcs, characterRuns, paragraphRuns, options.revisionMode || 'accept');
+  }
+
+  /**
+   * 将 Uint8Array 包装为 DataView
+   */
+  toDataView(bytes) {
+    return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  }
+
+  /**
+   * 读取文件信息块（FIB）
+   * @returns {Object} { tableStreamName, ccpText, plcfBteChpx, plcfBtePapx, clx }
+   */
+  readFib() {
+    const view = this.wordDocument;
+    if (view.byteLength < 32 || view.getUint16(0, true) !== 0xA5EC) {
+      throw new Error('不是有效的 Word 97-2003 文档');
+    }
+
+    const nFib = view.getUint16(2, true);
+    if (nFib < 0x00C1) {
+      throw new Error('暂不支持 Word 95 及更早版本的文档，请在 Word 中另存为 .docx 后重新转换');
+    }
+
+    const flags = view.getUint16(0x0A, true);
+    if (flags & 0x0100) {
+      throw new Error('文档已设置打开密码，请在 Word 中取消加密后重新转换');
+    }
+
+    // FibBase 之后依次为 FibRgW、FibRgLw、FibRgFcLcb，各自以长度前缀开头
+    let offset = 32;
+    const csw = view.getUint16(offset, true);
+    offset += 2 + csw * 2;
+    const cslw = view.getUint16(offset, true);
+    const rgLw = offset + 2;
+    offset = rgLw + cslw * 4;
+    const rgFcLcb = offset + 2;
+
+    const fcLcb = (index) => ({
+      fc: view.getUint32(rgFcLcb + index * 8, true),
+      lcb: view.getUint32(rgFcLcb + index * 8 + 4, true)
+    });
+
+    return {
+      tableStreamName: flags & 0x0200 ? '1Table' : '0Table',
+      ccpText: view.getInt32(rgLw + 3 * 4, true),
+      plcfBteChpx: fcLcb(12),
+      plcfBtePapx: fcLcb(13),
+      clx: fcLcb(33)
+    };
+  }
+
+  /**
+   * 读取片段表（Clx 中的 PlcPcd），文本在 WordDocument 流中可能分段存放
+   * @returns {Array} 片段 [{ cpStart, cpEnd, fc, compressed }]
+   */
+  readPieceTable() {
+    const view = this.table;
+    const { fc, lcb } = this.fib.clx;
+    const end = Math.min(fc + lcb, view.byteLength);
+    let offset = fc;
+
+    while (offset < end) {
+      const type = view.getUint8(offset);
+      if (type === 0x01) {
+        // Prc：跳过属性修改组
+        offset += 3 + view.getInt16(offset + 1, true);
+      } else if (type === 0x02) {
+        const size = view.getUint32(offset + 1, true);
+        const plc = offset + 5;
+        const count = (size - 4) / 12;
+        const pieces = [];
+
+        for (let i = 0; i < count; i++) {
+          const raw = view.getUint32(plc + (count + 1) * 4 + i * 8 + 2, true);
+          const compressed = (raw & 0x40000000) !== 0;
+          const fcValue = raw & 0x3FFFFFFF;
+          pieces.push({
+            cpStart: view.getUint32(plc + i * 4, true),
+            cpEnd: view.getUint32(plc + (i + 1) * 4, true),
+            fc: compressed ? fcValue / 2 : fcValue,
+            compressed
+          });
+        }
+
+        return pieces;
+      } else {
+        break;
+      }
+    }
+
+    throw new Error('文档结构损坏：无法读取片段表');
+  }
+
+  /**
+   * 按片段表读取正文文本，并记录每个字符在 WordDocument 流中的偏移（FC）
+   * @param {Array} pieces - 片段表
+   * @param {number} ccpText - 正文字符数
+   * @returns {Object} { text, fcs }
+   */
+  readText(pieces, ccpText) {
+    const bytes = new Uint8Array(this.wordDocument.buffer, this.wordDocument.byteOffset, this.wordDocument.byteLength);
+    const decoder = this.getCompressedDecoder();
+    const chars = [];
+    const fcs = [];
+
+    for (const piece of pieces) {
+      if (piece.cpStart >= ccpText) break;
+
+      const length = Math.min(piece.cpEnd, ccpText) - piece.cpStart;
+      if (piece.compressed) {
+        const slice = bytes.subarray(piece.fc, piece.fc + length);
+        const text = decoder(slice);
+        for (let i = 0; i < text.length; i++) {
+          chars.push(text[i]);
+          fcs.push(piece.fc + i);
+        }
+      } else {
+        for (let i = 0; i < length; i++) {
+          const fc = piece.fc + i * 2;
+          if (fc + 2 > bytes.length) break;
+          chars.push(String.fromCharCode(this.wordDocument.getUint16(fc, true)));
+          fcs.push(fc);
+        }
+      }
+    }
+
+    return { text: chars.join(''), fcs };
+  }
+
+  /**
+   * 获取压缩片段（8 位 Windows-1252 编码）的解码函数
+   */
+  getCompressedDecoder() {
+    try {
+      const decoder = new TextDecoder('windows-1252');
+      return (slice) => decoder.decode(slice);
+    } catch (error) {
+      return (slice) => String.fromCharCode(...slice);
+    }
+  }
+
+  /**
+   * 读取字符格式（PlcBteChpx -> ChpxFkp）
+   * @returns {Array} 按 FC 排序的格式区间 [{ fcStart, fcEnd, bold, italic, inserted, deleted }]
+   */
+  readCharacterRuns() {
+    return this.readFkpRuns(this.fib.plcfBteChpx, (page, index, crun) => {
+      const offset = page.getUint8(4 * (crun + 1) + index) * 2;
+      const props = { bold: false, italic: false, inserted: false, deleted: false };
+      if (offset === 0) return props;
+
+      const size = page.getUint8(offset);
+      this.readSprms(page, offset + 1, size, (sprm, operand) => {
+        switch (sprm) {
+          case 0x0835: // sprmCFBold
+            props.bold = this.isToggleOn(page.getUint8(operand));
+            break;
+          case 0x0836: // sprmCFItalic
+            props.italic = this.isToggleOn(page.getUint8(operand));
+            break;
+          case 0x0800: // sprmCFRMarkDel
+            props.deleted = page.getUint8(operand) !== 0;
+            break;
+          case 0x0801: // sprmCFRMarkIns
+            props.inserted = page.getUint8(operand) !== 0;
+            break;
+        }
+      });
+
+      return props;
+    });
+  }
+
+  /**
+   * 读取段落属性（PlcBtePapx -> PapxFkp）
+   * @returns {Array} 按 FC 排序的段落区间 [{ fcStart, fcEnd, istd, inTable, rowEnd }]
+   */
+  readParagraphRuns() {
+    return this.readFkpRuns(this.fib.plcfBtePapx, (page, index, crun) => {
+      const offset = page.getUint8(4 * (crun + 1) + index * 13) * 2;
+      const props = { istd: 0, inTable: false, rowEnd: false };
+      if (offset === 0) return props;
+
+      let cb = page.getUint8(offset);
+      let start = offset + 1;
+      let size = cb * 2 - 1;
+      if (cb === 0) {
+        cb = page.getUint8(offset + 1);
+        start = offset + 2;
+        size = cb * 2;
+      }
+
+      props.istd = page.getUint16(start, true);
+      this.readSprms(page, start + 2, size - 2, (sprm, operand) => {
+        switch (sprm) {
+          case 0x2416: // sprmPFInTable
+            props.inTable = page.getUint8(operand) !== 0;
+            break;
+          case 0x6649: // sprmPItap
+            props.inTable = props.inTable || page.getInt32(operand, true) > 0;
+            break;
+          case 0x2417: // sprmPFTtp
+          case 0x244C: // sprmPFInnerTtp
+            props.rowEnd = page.getUint8(operand) !== 0;
+            break;
+        }
+      });
+
+      return props;
+    });
+  }
+
+  /**
+   * 读取格式化磁盘页（FKP）中的区间
+   * @param {Object} plc - PlcBte 在表格流中的位置 { fc, lcb }
+   * @param {Function} readProps - (page, index, crun) => 属性
+   * @returns {Array} 按 FC 排序的区间
+   */
+  readFkpRuns(plc, readProps) {
+    const runs = [];
+    if (!plc.lcb) return runs;
+
+    const count = (plc.lcb - 4) / 8;
+    for (let i = 0; i < count; i++) {
+      const pn = this.table.getUint32(plc.fc + (count + 1) * 4 + i * 4, true) & 0x3FFFFF;
+      const pageOffset = pn * 512;
+      if (pageOffset + 512 > this.wordDocument.byteLength) continue;
+
+      const page = new DataView(this.wordDocument.buffer, this.wordDocument.byteOffset + pageOffset, 512);
+      const crun = page.getUint8(511);
+      for (let j = 0; j < crun; j++) {
+        runs.push({
+          fcStart: page.getUint32(j * 4, true),
+          fcEnd: page.getUint32((j + 1) * 4, true),
+          ...readProps(page, j, crun)
+        });
+      }
+    }
+
+    return runs.sort((a, b) => a.fcStart - b.fcStart);
+  }
+
+  /**
+   * 遍历属性修改列表（grpprl）
+   * @param {DataView} view - 数据
+   * @param {number} start - 起始偏移
+   * @param {number} size - 长度
+   * @param {Function} callback - (sprm, operandOffset) => void
+   */
+  readSprms(view, start, size, callback) {
+    const end = Math.min(start + size, view.byteLength);
+    let offset = start;
+
+    while (offset + 2 <= end) {
+      const sprm = view.getUint16(offset, true);
+      const operand = offset + 2;
+      let operandSize;
+
+      switch (sprm >> 13) {
+        case 0:
+        case 1:
+          operandSize = 1;
+          break;
+        case 2:
+        case 4:
+        case 5:
+          operandSize = 2;
+          break;
+        case 3:
+          operandSize = 4;
+          break;
+        case 7:
+          operandSize = 3;
+          break;
+        default:
+          // 变长操作数，sprmTDefTable 使用 2 字节长度前缀
+          if (operand >= end) return;
+          operandSize = sprm === 0xD608
+            ? view.getUint16(operand, true) + 1
+            : view.getUint8(operand) + 1;
+      }
+
+      if (operand + operandSize > end) return;
+      callback(sprm, operand);
+      offset = operand + operandSize;
+    }
+  }
+
+  /**
+   * 判断开关型字符属性是否开启（0x81 表示与样式相反，按开启处理）
+   */
+  isToggleOn(value) {
+    return value === 0x01 || value === 0x81;
+  }
+
+  /**
+   * 按 FC 查找所在区间（二分查找）
+   * @param {Array} runs - 按 FC 排序的区间
+   * @param {number} fc - 偏移
+   */
+  findRun(runs, fc) {
+    let low = 0;
+    let high = runs.length - 1;
+
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (fc < runs[mid].fcStart) {
+        high = mid - 1;
+      } else if (fc >= runs[mid].fcEnd) {
+        low = mid + 1;
+      } else {
+        return runs[mid];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 根据正文和格式信息生成 HTML
+   * @param {string} text - 正文
+   * @param {Array} fcs - 每个字符的 FC
+   * @param {Array} characterRuns - 字符格式区间
+   * @param {Array} paragraphRuns - 段落属性区间
+   * @param {string} revisionMode - 修订处理方式
+   * @returns {string} HTML
+   */
+  buildHtml(text, fcs, characterRuns, paragraphRuns, revisionMode) {
+    const blocks = [];
+    const fields = [];
+    let spans = [];
+    let table = null;
+    let row = null;
+    let cell = [];
+    let previousCellEnd = false;
+
+    const flushTable = () => {
+      if (table) {
+        if (row && row.length > 0) table.push(row);
+        if (cell.length > 0) table.push([cell]);
+        blocks.push(this.renderTable(table));
+      }
+      table = null;
+      row = null;
+      cell = [];
+    };
+
+    const appendChar = (char, fc) => {
+      const props = this.findRun(characterRuns, fc) || {};
+      const revision = props.deleted ? 'deleted' : (props.inserted ? 'inserted' : '');
+      if ((revision === 'deleted' && revisionMode === 'accept') || (revision === 'inserted' && revisionMode === 'reject')) {
+        return;
+      }
+
+      const last = spans[spans.length - 1];
+      if (last && last.bold === !!props.bold && last.italic === !!props.italic && last.revision === revision) {
+        last.text += char;
+      } else {
+        spans.push({ text: char, bold: !!props.bold, italic: !!props.italic, revision });
+      }
+    };
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      const code = char.charCodeAt(0);
+
+      // 域代码：只保留域结果（0x14 与 0x15 之间的内容）
+      if (code === 0x13) {
+        fields.push(false);
+        continue;
+      }
+      if (code === 0x14) {
+        if (fields.length > 0) fields[fields.length - 1] = true;
+        continue;
+      }
+      if (code === 0x15) {
+        fields.pop();
+        continue;
+      }
+      if (fields.some(showing => !showing)) continue;
+
+      if (code === 0x0D || code === 0x07 || code === 0x0C) {
+        const paragraph = this.findRun(paragraphRuns, fcs[i]);
+        const html = this.renderSpans(spans, revisionMode);
+        spans = [];
+
+        const inTable = paragraph ? paragraph.inTable : code === 0x07;
+        if (code === 0x07 && (paragraph ? paragraph.rowEnd : previousCellEnd && !html)) {
+          // 行结束标记
+          if (table && row) table.push(row);
+          row = null;
+          previousCellEnd = false;
+          continue;
+        }
+
+        previousCellEnd = code === 0x07;
+        if (inTable) {
+          table = table || [];
+          row = row || [];
+          if (html) cell.push(html);
+          if (code === 0x07) {
+            row.push(cell);
+            cell = [];
+          }
+          continue;
+        }
+
+        flushTable();
+        if (html) {
+          const tag = this.getParagraphTag(paragraph);
+          blocks.push(`<${tag}>${html}</${tag}>`);
+        }
+        continue;
+      }
+
+      switch (code) {
+        case 0x0B:
+          spans.push({ text: '\n', bold: false, italic: false, revision: '' });
+          break;
+        case 0x09:
+          appendChar(' ', fcs[i]);
+          break;
+        case 0x1E:
+          appendChar('-', fcs[i]);
+          break;
+        case 0x01:
+        case 0x08:
+          this.imageCount++;
+          break;
+        default:
+          // 其余控制字符（脚注/批注引用标记、可选连字符等）不输出
+          if (code >= 0x20) appendChar(char, fcs[i]);
+      }
+    }
+
+    if (spans.length > 0) {
+      const html = this.renderSpans(spans, revisionMode);
+      if (html) blocks.push(`<p>${html}</p>`);
+    }
+    flushTable();
+
+    if (this.imageCount > 0) {
+      this.messages.push({
+        type: 'warning',
+        message: `旧版 .doc 文档中的 ${this.imageCount} 张图片暂不支持提取，已忽略`
+      });
+    }
+
+    return blocks.join('\n');
+  }
+
+  /**
+   * 根据段落样式获取标签：内置样式 istd 1-9 固定为标题 1-9
+   * @param {Object|null} paragraph - 段落属性
+   */
+  getParagraphTag(paragraph) {
+    const istd = paragraph ? paragraph.istd : 0;
+    return istd >= 1 && istd <= 9 ? `h${Math.min(istd, 6)}` : 'p';
+  }
+
+  /**
+   * 渲染段落内的文本片段
+   * @param {Array} spans - 文本片段 [{ text, bold, italic, revision }]
+   * @param {string} revisionMode - 修订处理方式
+   * @returns {string} HTML（内容为空时返回空字符串）
+   */
+  renderSpans(spans, revisionMode) {
+    if (!spans.some(span => span.text.trim())) return '';
+
+    return spans.map(span => {
+      let html = DOMUtils.escapeHtml(span.text).replace(/\n/g, '<br>');
+      if (span.bold) html = `<strong>${html}</strong>`;
+      if (span.italic) html = `<em>${html}</em>`;
+      if (revisionMode === 'criticmarkup' && span.revision) {
+        html = span.revision === 'inserted' ? `{++${html}++}` : `{--${html}--}`;
+      }
+      return html;
+    }).join('');
+  }
+
+  /**
+   * 渲染表格
+   * @param {Array} rows - 行 -> 单元格 -> 段落 HTML
+   * @returns {string} HTML
+   */
+  renderTable(rows) {
+    const body = rows
+      .filter(row => row.length > 0)
+      .map(row => `<tr>${row.map(cell => `<td>${cell.map(p => `<p>${p}</p>`).join('')}</td>`).join('')}</tr>`)
+      .join('');
+    return `<table>${body}</table>`;
+  }
+}
+
+// 导出模块
+window.DocBinaryParser = DocBinaryParser;
@@ -405,6 +405,67 @@ const DOMUtils = {
         modal.parentNode.removeChild(modal);
       }
     }, 300);
+  },
+
+  /**
+   * 转义 HTML 特殊字符
+   * @param {string} text - 文本
+   * @returns {string} 转义后的文本
+   */
+  escapeHtml(text) {
+    return String(text || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  },
+
+  /**
+   * 显示密码输入框
+   * @param {Object} options - 选项
+   * @param {string} options.title - 标题
+   * @param {string} options.message - 提示文字（按纯文本显示）
+   * @returns {Promise<string|null>} 输入的密码，取消时为 null
+   */
+  promptPassword(options = {}) {
+    const { title = '需要密码', message = '' } = options;
+
+    return new Promise((resolve) => {
+      let settled = false;
+      const finish = (value) => {
+        if (settled) return;
+        settled = true;
+        this.closeModal(modal);
+        resolve(value);
+      };
+
+      const modal = this.createModal({
+        title,
+        className: 'password-modal',
+        content: `
+          <form class="password-form">
+            <p class="password-message"></p>
+            <input type="password" class="password-input" autocomplete="current-password">
+            <div class="password-actions">
+              <button type="button" class="btn-small password-cancel">取消</button>
+              <button type="submit" class="btn-small password-submit">确定</button>
+            </div>
+          </form>
+        `,
+        onClose: () => finish(null)
+      });
+
+      modal.querySelector('.password-message').textContent = message;
+      const input = modal.querySelector('.password-input');
+      this.on(modal.querySelector('.password-form'), 'submit', (e) => {
+        e.preventDefault();
+        finish(input.value);
+      });
+      this.on(modal.querySelector('.password-cancel'), 'click', () => finish(null));
+
+      this.showModal(modal);
+      input.focus();
+    });
   }
 };
 
@@ -5,62 +5,103 @@
 
 class FormatDetector {
   constructor() {
-    // 支持的文件格式配置
-    this.supportedFormats = {
-      // Word 文档
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': {
-        extensions: ['.docx'],
-        type: 'document',
-        converter: 'word',
-        maxSize: 50 * 1024 * 1024, // 50MB
-        description: 'Word 文档 (DOCX)'
-      },
-      'application/msword': {
-        extensions: ['.doc'],
-        type: 'document', 
-        converter: 'word',
-        maxSize: 50 * 1024 * 1024, // 50MB
-        description: 'Word 文档 (DOC)'
-      },
-      
-      // PDF 文档
-      'application/pdf': {
-        extensions: ['.pdf'],
-        type: 'document',
-        converter: 'pdf',
-        maxSize: 100 * 1024 * 1024, // 100MB
-        description: 'PDF 文档'
-      },
-      
-      // 图片文件
-      'image/png': {
-        extensions: ['.png'],
-        type: 'image',
-        converter: 'ocr',
-        maxSize: 20 * 1024 * 1024, // 20MB
-        description: 'PNG 图片'
-      },
-      'image/jpeg': {
-        extensions: ['.jpg', '.jpeg'],
-        type: 'image',
-        converter: 'ocr',
-        maxSize: 20 * 1024 * 1024, // 20MB
-        description: 'JPEG 图片'
-      }
+    // 支持的文件格式由转换器注册表生成：MIME 类型 -> 格式配置
+    this.supportedFormats = {};
+
+    // 文件扩展名到格式的映射 { mimeType, config }
+    this.extensionFormats = {};
+    this.buildSupportedFormats();
+
+    // 文件头签名（魔数），用于按文件内容识别格式
+    this.signatures = [
+      { mimeType: 'application/pdf', parts: [{ offset: 0, bytes: [0x25, 0x50, 0x44, 0x46, 0x2D] }] }, // %PDF-
+      { mimeType: 'image/png', parts: [{ offset: 0, bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] }] },
+      { mimeType: 'image/jpeg', parts: [{ offset: 0, bytes: [0xFF, 0xD8, 0xFF] }] },
+      { mimeType: 'image/gif', parts: [{ offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] }] }, // GIF8
+      { mimeType: 'image/webp', parts: [{ offset: 0, bytes: [0x52, 0x49, 0x46, 0x46] }, { offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] }] }, // RIFF....WEBP
+      { mimeType: 'image/tiff', parts: [{ offset: 0, bytes: [0x49, 0x49, 0x2A, 0x00] }] }, // II*
+      { mimeType: 'image/tiff', parts: [{ offset: 0, bytes: [0x4D, 0x4D, 0x00, 0x2A] }] }, // MM*
+      { mimeType: 'application/rtf', parts: [{ offset: 0, bytes: [0x7B, 0x5C, 0x72, 0x74, 0x66] }] }, // {\rtf
+      { mimeType: 'application/x-cfb', parts: [{ offset: 0, bytes: [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1] }] },
+      { mimeType: 'application/zip', parts: [{ offset: 0, bytes: [0x50, 0x4B, 0x03, 0x04] }] }
+    ];
+
+    // 可按内容识别但不支持转换的格式
+    this.unsupportedContentTypes = {
+      'image/tiff': 'TIFF 图片',
+      'application/zip': 'ZIP 压缩包',
+      'application/x-cfb': 'OLE2 复合文档',
+      'application/x-encrypted-office': '加密的 Office 文档',
+      'application/vnd.ms-excel': 'Excel 97-2003 工作簿',
+      'application/vnd.ms-powerpoint': 'PowerPoint 97-2003 演示文稿',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'Excel 工作簿 (XLSX)',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'PowerPoint 演示文稿 (PPTX)',
+      'application/vnd.oasis.opendocument.spreadsheet': 'OpenDocument 表格 (ODS)',
+      'application/vnd.oasis.opendocument.presentation': 'OpenDocument 演示文稿 (ODP)',
+      'application/epub+zip': 'EPUB 电子书'
+    };
+
+    // 无法进一步识别内部结构时，容器格式可承载的声明类型
+    this.containerTypes = {
+      'application/zip': [
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        'application/vnd.oasis.opendocument.text'
+      ],
+      'application/x-cfb': ['application/msword']
+    };
+
+    // ZIP 容器 mimetype 条目可识别的类型（ODF 及同样约定的 EPUB，其余取值按 ZIP 压缩包处理）
+    this.odfMimeTypes = [
+      'application/vnd.oasis.opendocument.text',
+      'application/vnd.oasis.opendocument.spreadsheet',
+      'application/vnd.oasis.opendocument.presentation',
+      'application/epub+zip'
+    ];
+
+    // 同一格式的 MIME 别名
+    this.mimeAliases = {
+      'image/jpg': 'image/jpeg',
+      'text/rtf': 'application/rtf'
     };
 
-    // 文件扩展名到 MIME 类型的映射
-    this.extensionToMime = {};
-    this.initExtensionMapping();
+    this.headerLength = 4096;
   }
 
   /**
-   * 初始化扩展名映射
+   * 根据转换器注册表生成支持的格式列表和扩展名映射
+   * 多个转换器声明同一 MIME 类型或扩展名时保留先注册的转换器
    */
-  initExtensionMapping() {
-    Object.entries(this.supportedFormats).forEach(([mimeType, config]) => {
-      config.extensions.forEach(ext => {
-        this.extensionToMime[ext.toLowerCase()] = mimeType;
+  buildSupportedFormats() {
+    this.supportedFormats = {};
+    this.extensionFormats = {};
+    if (!window.converterRegistry) return;
+
+    window.converterRegistry.getAll().forEach(converter => {
+      const config = {
+        extensions: converter.extensions,
+        type: converter.type,
+        converter: converter.name,
+        maxSize: converter.maxSize,
+        description: converter.description
+      };
+      const mimeTypeOf = (ext) => converter.extensionMimeTypes[ext] || converter.mimeTypes[0] || null;
+
+      const hasSeveralFormats = new Set(converter.extensions.map(mimeTypeOf)).size > 1;
+
+      // 同一转换器处理多种格式时在说明中附上各自的扩展名，如 "Word 文档 (.doc)"
+      converter.mimeTypes.forEach(mimeType => {
+        if (this.supportedFormats[mimeType]) return;
+
+        const extensions = converter.extensions.filter(ext => mimeTypeOf(ext) === mimeType);
+        this.supportedFormats[mimeType] = hasSeveralFormats && extensions.length > 0
+          ? { ...config, description: `${converter.description} (${extensions.join(', ')})` }
+          : config;
+      });
+
+      converter.extensions.forEach(ext => {
+        if (!this.extensionFormats[ext]) {
+          this.extensionFormats[ext] = { mimeType: mimeTypeOf(ext), config };
+        }
       });
     });
   }
@@ -68,12 +109,16 @@ class FormatDetector {
   /**
    * 检测文件格式
    * @param {File} file - 要检测的文件
+   * @param {Object} sniffed - 按文件内容识别的结果 { mimeType, description }（见 sniffFormat）
    * @returns {Object} 检测结果
    */
-  detectFormat(file) {
+  detectFormat(file, sniffed = null) {
     const result = {
       isSupported: false,
       mimeType: null,
+      declaredMimeType: null,
+      contentMimeType: null,
+      typeMismatch: false,
       detectedType: null,
       converter: null,
       maxSize: 0,
@@ -85,52 +130,73 @@ class FormatDetector {
     try {
       // 1. 基于文件扩展名检测
       const extension = this.getFileExtension(file.name);
-      const mimeFromExt = this.extensionToMime[extension];
+      const extensionFormat = this.extensionFormats[extension];
       
-      // 2. 使用文件的 MIME 类型
-      const fileMimeType = file.type;
+      // 2. 使用文件的 MIME 类型（部分系统给出空值或通用的 application/octet-stream）
+      const fileMimeType = file.type === 'application/octet-stream' ? '' : file.type;
       
-      // 3. 优先使用文件的 MIME 类型，回退到扩展名检测
-      const detectedMime = fileMimeType || mimeFromExt;
+      // 3. 优先使用可识别的文件 MIME 类型，回退到扩展名检测
+      const declaredMime = fileMimeType && this.supportedFormats[fileMimeType]
+        ? fileMimeType
+        : ((extensionFormat && extensionFormat.mimeType) || fileMimeType);
+      result.declaredMimeType = declaredMime || null;
+
+      // 4. 文件内容识别出的类型优先于声明的类型
+      let detectedMime = declaredMime;
+      if (sniffed) {
+        result.contentMimeType = sniffed.mimeType;
+
+        const isGenericContainer = (this.containerTypes[sniffed.mimeType] || []).includes(declaredMime);
+        if (!isGenericContainer) {
+          result.typeMismatch = !!declaredMime &&
+            this.normalizeMimeType(sniffed.mimeType) !== this.normalizeMimeType(declaredMime);
+          detectedMime = sniffed.mimeType;
+        }
+
+      }
       
-      if (!detectedMime) {
+      if (!detectedMime && !extensionFormat) {
         result.error = `不支持的文件格式: ${file.name}`;
         return result;
       }
 
-      // 4. 检查是否在支持列表中
-      const formatConfig = this.supportedFormats[detectedMime];
+      // 5. 检查是否在支持列表中（只登记了扩展名的转换器按扩展名匹配）
+      const formatConfig = detectedMime ? this.supportedFormats[detectedMime] : extensionFormat.config;
       if (!formatConfig) {
-        result.error = `不支持的文件类型: ${detectedMime}`;
+        result.error = sniffed
+          ? `文件内容为 ${this.getTypeDescription(detectedMime)}，暂不支持转换`
+          : `不支持的文件类型: ${detectedMime}`;
         return result;
       }
 
-      // 5. 验证文件扩展名匹配
-      if (!formatConfig.extensions.includes(extension)) {
+      // 6. 提示声明类型与文件内容不一致，否则验证文件扩展名匹配
+      if (result.typeMismatch) {
+        result.warnings.push(`文件内容为 ${sniffed.description}，与声明的类型 ${this.getTypeDescription(declaredMime)} 不一致，将按文件内容转换`);
+      } else if (extension && !formatConfig.extensions.includes(extension)) {
         result.warnings.push(`文件扩展名 ${extension} 与检测到的类型 ${formatConfig.description} 不匹配`);
       }
 
-      // 6. 检查文件大小
+      // 7. 检查文件大小
       if (file.size > formatConfig.maxSize) {
         result.error = `文件大小 ${this.formatFileSize(file.size)} 超过限制 ${this.formatFileSize(formatConfig.maxSize)}`;
         return result;
       }
 
-      // 7. 检查文件是否为空
+      // 8. 检查文件是否为空
       if (file.size === 0) {
         result.error = '文件为空';
         return result;
       }
 
-      // 8. 填充成功结果
+      // 9. 填充成功结果
       result.isSupported = true;
-      result.mimeType = detectedMime;
+      result.mimeType = detectedMime || null;
       result.detectedType = formatConfig.type;
       result.converter = formatConfig.converter;
       result.maxSize = formatConfig.maxSize;
       result.description = formatConfig.description;
 
-      // 9. 添加性能警告
+      // 10. 添加性能警告
       if (file.size > 10 * 1024 * 1024) { // 10MB
         result.warnings.push('大文件可能需要较长转换时间');
       }
@@ -142,6 +208,292 @@ class FormatDetector {
     return result;
   }
 
+  /**
+   * 读取文件头识别内容后检测文件格式
+   * @param {File} file - 要检测的文件
+   * @returns {Promise<Object>} 检测结果（字段同 detectFormat）
+   */
+  async detectFormatWithContent(file) {
+    const sniffed = await this.sniffFormat(file);
+    return this.detectFormat(file, sniffed);
+  }
+
+  /**
+   * 按文件内容批量检测文件格式（逐个读取，避免同时加载多个大文件）
+   * @param {FileList|Array} files - 文件列表
+   * @returns {Promise<Array>} 检测结果数组
+   */
+  async detectMultipleFormatsWithContent(files) {
+    const results = [];
+    const fileArray = Array.from(files);
+
+    for (let index = 0; index < fileArray.length; index++) {
+      const file = fileArray[index];
+      const detection = await this.detectFormatWithContent(file);
+      results.push({
+        index,
+        file,
+        ...detection
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * 按文件内容（文件头魔数）识别格式
+   * @param {File} file - 要检测的文件
+   * @returns {Promise<Object|null>} 识别结果 { mimeType, description }，无法识别时返回 null
+   */
+  async sniffFormat(file) {
+    let header;
+    try {
+      header = new Uint8Array(await this.readFileSlice(file, 0, this.headerLength));
+    } catch (error) {
+      console.warn('读取文件头失败:', error);
+      return null;
+    }
+
+    const signature = this.signatures.find(sig => this.matchesSignature(header, sig.parts));
+    let mimeType = signature ? signature.mimeType : this.sniffTextFormat(header);
+
+    // 容器格式需要检查内部结构才能确定具体类型
+    if (mimeType === 'application/zip') {
+      mimeType = await this.inspectZipContainer(file, header);
+    } else if (mimeType === 'application/x-cfb') {
+      mimeType = await this.inspectCfbContainer(file);
+    }
+
+    // 自定义转换器登记的文件头签名
+    if (!mimeType) {
+      mimeType = this.sniffRegisteredFormat(header);
+    }
+
+    return mimeType ? { mimeType, description: this.getTypeDescription(mimeType) } : null;
+  }
+
+  /**
+   * 检查文件头是否符合签名
+   * @param {Uint8Array} header - 文件头字节
+   * @param {Array} parts - 签名片段 [{ offset, bytes }]
+   * @returns {boolean} 是否匹配
+   */
+  matchesSignature(header, parts) {
+    return parts.every(part => part.bytes.every((byte, i) => header[part.offset + i] === byte));
+  }
+
+  /**
+   * 识别没有固定魔数的文本格式（目前为 HTML）
+   * @param {Uint8Array} header - 文件头字节
+   * @returns {string|null} MIME 类型
+   */
+  sniffTextFormat(header) {
+    const text = String.fromCharCode(...header.subarray(0, 1024)).replace(/^\xEF\xBB\xBF/, '');
+    if (/^\s*(<\?xml[^>]*\?>\s*)?(<!--[\s\S]*?-->\s*)*<(!doctype\s+html|html|head|body)[\s>]/i.test(text)) {
+      return 'text/html';
+    }
+    return null;
+  }
+
+  /**
+   * 检查 ZIP 容器的具体类型（只读取中央目录：OOXML 按主部件目录区分，ODF 读取 mimetype）
+   * @param {File} file - 文件
+   * @param {Uint8Array} header - 文件头字节
+   * @returns {Promise<string>} MIME 类型，无法确定时为 'application/zip'
+   */
+  async inspectZipContainer(file, header) {
+    // ODF 规定 mimetype 为第一个未压缩条目，可直接从文件头读取
+    const odfMimeType = this.readOdfMimetype(header);
+    if (odfMimeType) return odfMimeType;
+
+    try {
+      const entries = await this.readZipEntries(file);
+      if (!entries) return 'application/zip';
+
+      if (entries.some(entry => entry.name === '[Content_Types].xml')) {
+        const hasPart = (dir) => entries.some(entry => entry.name.startsWith(dir));
+        if (hasPart('word/')) return 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+        if (hasPart('xl/')) return 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+        if (hasPart('ppt/')) return 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+      }
+
+      const mimetype = entries.find(entry => entry.name === 'mimetype');
+      const data = mimetype ? await this.readStoredZipEntry(file, mimetype) : null;
+      const value = data ? new TextDecoder().decode(data).trim() : '';
+      if (this.odfMimeTypes.includes(value)) return value;
+    } catch (error) {
+      console.warn('解析 ZIP 容器失败:', error);
+    }
+
+    return 'application/zip';
+  }
+
+  /**
+   * 读取 ZIP 中央目录中的条目（只读取文件末尾的目录结束记录和中央目录）
+   * @param {File} file - 文件
+   * @returns {Promise<Array|null>} 条目 [{ name, method, compressedSize, localHeaderOffset }]，无法解析时为 null
+   */
+  async readZipEntries(file) {
+    // 目录结束记录 22 字节，其后最多 65535 字节注释
+    const tailStart = Math.max(0, file.size - 22 - 0xFFFF);
+    const tail = new Uint8Array(await this.readFileSlice(file, tailStart, file.size));
+    const tailView = new DataView(tail.buffer);
+
+    let end = -1;
+    for (let i = tail.length - 22; i >= 0; i--) {
+      if (tailView.getUint32(i, true) === 0x06054B50) {
+        end = i;
+        break;
+      }
+    }
+    if (end < 0) return null;
+
+    const directorySize = tailView.getUint32(end + 12, true);
+    const directoryOffset = tailView.getUint32(end + 16, true);
+    // ZIP64 的目录位置记录在扩展结构中，这里不解析
+    if (directoryOffset + directorySize > file.size) return null;
+
+    const directory = new Uint8Array(await this.readFileSlice(file, directoryOffset, directoryOffset + directorySize));
+    const view = new DataView(directory.buffer);
+    const decoder = new TextDecoder();
+    const entries = [];
+
+    let offset = 0;
+    while (offset + 46 <= directory.length && view.getUint32(offset, true) === 0x02014B50) {
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+
+      entries.push({
+        name: decoder.decode(directory.subarray(offset + 46, offset + 46 + nameLength)),
+        method: view.getUint16(offset + 10, true),
+        compressedSize: view.getUint32(offset + 20, true),
+        localHeaderOffset: view.getUint32(offset + 42, true)
+      });
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+  }
+
+  /**
+   * 读取未压缩的 ZIP 条目内容
+   * @param {File} file - 文件
+   * @param {Object} entry - 中央目录条目（见 readZipEntries）
+   * @returns {Promise<Uint8Array|null>} 条目内容，压缩条目返回 null
+   */
+  async readStoredZipEntry(file, entry) {
+    if (entry.method !== 0) return null;
+
+    const local = new DataView(await this.readFileSlice(file, entry.localHeaderOffset, entry.localHeaderOffset + 30));
+    if (local.byteLength < 30 || local.getUint32(0, true) !== 0x04034B50) return null;
+
+    const start = entry.localHeaderOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+    return new Uint8Array(await this.readFileSlice(file, start, start + entry.compressedSize));
+  }
+
+  /**
+   * 从 ZIP 第一个本地文件头读取未压缩的 mimetype 条目
+   * @param {Uint8Array} header - 文件头字节
+   * @returns {string|null} 已知的 ODF MIME 类型
+   */
+  readOdfMimetype(header) {
+    if (header.length < 30) return null;
+
+    const view = new DataView(header.buffer, header.byteOffset, header.byteLength);
+    const method = view.getUint16(8, true);
+    const size = view.getUint32(18, true);
+    const nameLength = view.getUint16(26, true);
+    const extraLength = view.getUint16(28, true);
+
+    const name = String.fromCharCode(...header.subarray(30, 30 + nameLength));
+    if (name !== 'mimetype' || method !== 0) return null;
+
+    const start = 30 + nameLength + extraLength;
+    if (start + size > header.length) return null;
+
+    // mimetype 内容来自文件本身，只接受已知的 ODF 类型
+    const value = String.fromCharCode(...header.subarray(start, start + size)).trim();
+    return this.odfMimeTypes.includes(value) ? value : null;
+  }
+
+  /**
+   * 检查 OLE2 复合文档的具体类型
+   * @param {File} file - 文件
+   * @returns {Promise<string>} MIME 类型，无法确定时为 'application/x-cfb'
+   */
+  async inspectCfbContainer(file) {
+    if (typeof CfbReader === 'undefined') return 'application/x-cfb';
+
+    try {
+      // 只读取文件头和目录扇区
+      const entries = await CfbReader.readRootEntries((start, end) => this.readFileSlice(file, start, end));
+      const hasStream = (name) => !!entries && entries.some(entry =>
+        entry.type === CfbReader.STREAM_TYPE && entry.name.toLowerCase() === name.toLowerCase()
+      );
+
+      if (hasStream('WordDocument')) return 'application/msword';
+      if (hasStream('Workbook') || hasStream('Book')) return 'application/vnd.ms-excel';
+      if (hasStream('PowerPoint Document')) return 'application/vnd.ms-powerpoint';
+      if (hasStream('EncryptedPackage')) return 'application/x-encrypted-office';
+    } catch (error) {
+      console.warn('解析复合文档失败:', error);
+    }
+
+    return 'application/x-cfb';
+  }
+
+  /**
+   * 按转换器注册表中登记的文件头签名识别格式
+   * @param {Uint8Array} header - 文件头字节
+   * @returns {string|null} MIME 类型
+   */
+  sniffRegisteredFormat(header) {
+    if (!window.converterRegistry) return null;
+
+    const converter = window.converterRegistry.getAll()
+      .find(entry => window.converterRegistry.matchesMagic(entry, header));
+    if (!converter) return null;
+
+    // 只登记了扩展名的转换器没有 MIME 类型，交由扩展名检测
+    return converter.mimeTypes[0] || null;
+  }
+
+  /**
+   * 获取 MIME 类型的说明文字
+   * @param {string} mimeType - MIME 类型
+   * @returns {string} 说明
+   */
+  getTypeDescription(mimeType) {
+    const config = this.supportedFormats[mimeType];
+    return config ? config.description : (this.unsupportedContentTypes[mimeType] || mimeType);
+  }
+
+  /**
+   * 将 MIME 别名归一化
+   * @param {string} mimeType - MIME 类型
+   * @returns {string} 归一化后的 MIME 类型
+   */
+  normalizeMimeType(mimeType) {
+    return this.mimeAliases[mimeType] || mimeType;
+  }
+
+  /**
+   * 读取文件片段为 ArrayBuffer
+   * @param {File} file - 文件
+   * @param {number} start - 起始位置
+   * @param {number} end - 结束位置
+   * @returns {Promise<ArrayBuffer>} 数据
+   */
+  readFileSlice(file, start, end) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsArrayBuffer(file.slice(start, end));
+    });
+  }
+
   /**
    * 批量检测文件格式
    * @param {FileList|Array} files - 文件列表
@@ -210,7 +562,7 @@ class FormatDetector {
 
   /**
    * 根据转换器类型获取格式
-   * @param {string} converterType - 转换器类型 ('word', 'pdf', 'ocr')
+   * @param {string} converterType - 转换器类型 ('word', 'rtf', 'odt', 'html', 'pdf', 'ocr')
    * @returns {Array} 该转换器支持的格式
    */
   getFormatsByConverter(converterType) {
@@ -227,13 +579,8 @@ class FormatDetector {
    * @returns {string} accept 属性值
    */
   getAcceptString() {
-    const extensions = [];
-    const mimeTypes = [];
-
-    Object.entries(this.supportedFormats).forEach(([mimeType, config]) => {
-      mimeTypes.push(mimeType);
-      extensions.push(...config.extensions);
-    });
+    const mimeTypes = Object.keys(this.supportedFormats);
+    const extensions = Object.keys(this.extensionFormats);
 
     return [...new Set([...mimeTypes, ...extensions])].join(',');
   }
@@ -304,14 +651,10 @@ class FormatDetector {
         }
         strategy.converters[result.converter].push(result);
 
-        // 估算处理时间（基于文件大小和类型）
-        const timeMultiplier = {
-          'word': 0.5,  // 秒/MB
-          'pdf': 1.0,   // 秒/MB
-          'ocr': 2.0    // 秒/MB
-        };
+        // 估算处理时间（文件大小 × 转换器登记的秒/MB）
         const fileSizeMB = result.file.size / (1024 * 1024);
-        strategy.estimatedTime += fileSizeMB * (timeMultiplier[result.converter] || 1.0);
+        const registered = window.converterRegistry && window.converterRegistry.get(result.converter);
+        strategy.estimatedTime += fileSizeMB * (registered ? registered.timeMultiplier : 1.0);
 
         // 估算内存需求
         strategy.memoryRequirement += result.file.size * 2; // 假设需要2倍文件大小的内存
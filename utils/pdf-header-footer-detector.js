@@ -0,0 +1,112 @@
+/**
+ * PDF 页眉页脚检测器
+ * 找出在多页相同位置重复出现的行（页眉、页脚）以及页面边缘的页码行
+ */
+
+class PdfHeaderFooterDetector {
+  /**
+   * @param {Object} options - 检测参数
+   * @param {number} options.edgeLines - 每页顶部、底部参与重复检测的行数
+   * @param {number} options.pageNumberLines - 每页顶部、底部参与页码检测的行数
+   * @param {number} options.minRepeatRatio - 重复出现的最少页数占比
+   * @param {number} options.yTolerance - 判定为相同位置的 y 坐标误差（pt）
+   */
+  constructor(options = {}) {
+    this.edgeLines = options.edgeLines || 3;
+    this.pageNumberLines = options.pageNumberLines || 2;
+    this.minRepeatRatio = options.minRepeatRatio || 0.4;
+    this.yTolerance = options.yTolerance || 3;
+
+    this.pageNumberPatterns = [
+      /^(page|p\.?)?\s*[-–—]?\s*\d{1,4}\s*[-–—]?$/i, // 3、- 3 -、Page 3
+      /^(page\s*)?\d{1,4}\s*(\/|of)\s*\d{1,4}$/i, // 3 / 10、Page 3 of 10
+      /^第\s*\d{1,4}\s*页(\s*[,，/]?\s*共\s*\d{1,4}\s*页)?$/, // 第 3 页、第 3 页 共 10 页
+      /^[ivxlcdm]{1,6}$/i // 罗马数字页码
+    ];
+  }
+
+  /**
+   * 检测各页需要移除的页眉、页脚和页码行
+   * @param {Array} pages - 页面 [{ lines, pageHeight }]（lines 见 PdfConverter.groupTextIntoLines）
+   * @returns {Array} 每页需要移除的行（Set）
+   */
+  detect(pages) {
+    const candidates = pages.map((page, pageIndex) => this.getEdgeCandidates(page, pageIndex));
+    const removed = pages.map(() => new Set());
+
+    // 页面最外侧的独立页码
+    candidates.flat().forEach(candidate => {
+      if (candidate.depth < this.pageNumberLines && this.isPageNumber(candidate.line.text)) {
+        removed[candidate.pageIndex].add(candidate.line);
+      }
+    });
+
+    // 多页相同位置重复出现的行（数字视为通配，以匹配含页码的页眉页脚）
+    if (pages.length >= 2) {
+      const minPages = Math.max(2, Math.ceil(pages.length * this.minRepeatRatio));
+      const groups = new Map();
+
+      candidates.flat().forEach(candidate => {
+        if (!groups.has(candidate.key)) groups.set(candidate.key, []);
+        groups.get(candidate.key).push(candidate);
+      });
+
+      groups.forEach(group => {
+        for (const candidate of group) {
+          const matchedPages = new Set(group
+            .filter(other => Math.abs(other.position - candidate.position) <= this.yTolerance)
+            .map(other => other.pageIndex));
+
+          if (matchedPages.size >= minPages) {
+            removed[candidate.pageIndex].add(candidate.line);
+          }
+        }
+      });
+    }
+
+    return removed;
+  }
+
+  /**
+   * 获取页面顶部和底部的候选行
+   * @param {Object} page - 页面 { lines, pageHeight }
+   * @param {number} pageIndex - 页面索引
+   * @returns {Array} 候选 [{ line, pageIndex, edge, depth, position, key }]
+   *   depth 为距页面边缘的行序号，底部行的 position 为距页面底边的距离
+   */
+  getEdgeCandidates(page, pageIndex) {
+    const lines = page.lines.filter(line => line.text.trim()).sort((a, b) => a.y - b.y);
+    const top = lines.slice(0, this.edgeLines);
+    const bottom = lines.slice(Math.max(top.length, lines.length - this.edgeLines));
+
+    const toCandidate = (line, edge, depth) => {
+      const position = edge === 'top' ? line.y : (page.pageHeight || 0) - line.y;
+      return { line, pageIndex, edge, depth, position, key: `${edge}|${this.normalizeText(line.text)}` };
+    };
+
+    return [
+      ...top.map((line, index) => toCandidate(line, 'top', index)),
+      ...bottom.map((line, index) => toCandidate(line, 'bottom', bottom.length - 1 - index))
+    ];
+  }
+
+  /**
+   * 判断文本是否为独立页码
+   * @param {string} text - 行文本
+   * @returns {boolean} 是否为页码
+   */
+  isPageNumber(text) {
+    const value = text.replace(/\s+/g, ' ').trim();
+    return this.pageNumberPatterns.some(pattern => pattern.test(value));
+  }
+
+  /**
+   * 规范化行文本（忽略大小写、空白差异和数字）
+   */
+  normalizeText(text) {
+    return text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+  }
+}
+
+// 导出模块
+window.PdfHeaderFooterDetector = PdfHeaderFooterDetector;
@@ -0,0 +1,183 @@
+/**
+ * PDF 标题检测器
+ * 有书签（大纲）时按书签确定标题及层级；没有书签时对全文字号聚类，推导最多六级标题
+ */
+
+class PdfHeadingDetector {
+  /**
+   * @param {Object} options - 检测参数
+   * @param {number} options.minHeadingRatio - 标题字号至少为正文字号的倍数
+   * @param {number} options.maxLevels - 最大标题层级
+   * @param {number} options.maxHeadingLength - 标题行的最大平均字符数（超过则视为大字号正文）
+   */
+  constructor(options = {}) {
+    this.minHeadingRatio = options.minHeadingRatio || 1.1;
+    this.maxLevels = options.maxLevels || 6;
+    this.maxHeadingLength = options.maxHeadingLength || 100;
+  }
+
+  /**
+   * 对全文字号聚类，得到各字号对应的标题层级
+   * 正文字号为字符数最多的字号；更大的字号按从大到小依次为 1、2、3… 级，
+   * 与正文同字号的整行粗体短句作为最低一级
+   * @param {Array} lines - 全文的行 [{ text, fontSize, items }]
+   * @returns {Object} { bodySize, levels: [{ size, level }], boldLevel }
+   */
+  buildFontSizeLevels(lines) {
+    const stats = new Map();
+    for (const line of lines) {
+      const text = line.text.trim();
+      if (!text) continue;
+
+      const size = this.roundSize(line.fontSize);
+      const stat = stats.get(size) || { chars: 0, lines: 0 };
+      stat.chars += text.length;
+      stat.lines++;
+      stats.set(size, stat);
+    }
+
+    if (stats.size === 0) return { bodySize: 0, levels: [], boldLevel: 0 };
+
+    const bodySize = Array.from(stats.entries()).sort((a, b) => b[1].chars - a[1].chars)[0][0];
+
+    // 大于正文字号、且平均行长像标题的字号，相近字号合为一级
+    const sizes = Array.from(stats.entries())
+      .filter(([size, stat]) => size >= bodySize * this.minHeadingRatio && stat.chars / stat.lines <= this.maxHeadingLength)
+      .map(([size]) => size)
+      .sort((a, b) => b - a);
+
+    const levels = [];
+    let level = 0;
+    let previousSize = null;
+    for (const size of sizes) {
+      if (previousSize === null || previousSize - size > Math.max(0.5, previousSize * 0.05)) {
+        level = Math.min(level + 1, this.maxLevels);
+      }
+      levels.push({ size, level });
+      previousSize = size;
+    }
+
+    return {
+      bodySize,
+      levels,
+      boldLevel: Math.min(level + 1, this.maxLevels)
+    };
+  }
+
+  /**
+   * 获取行的标题层级
+   * @param {Object} line - 行
+   * @param {Object} fontSizeLevels - buildFontSizeLevels 的结果
+   * @returns {number} 标题层级，非标题为 0
+   */
+  getFontSizeLevel(line, fontSizeLevels) {
+    const text = line.text.trim();
+    if (!text || !fontSizeLevels || text.length > this.maxHeadingLength) return 0;
+
+    const size = this.roundSize(line.fontSize);
+    const match = fontSizeLevels.levels.find(entry => entry.size === size);
+    if (match) return match.level;
+
+    // 正文字号的整行粗体短句（不以句末标点结尾）
+    const textItems = line.items.filter(item => item.text.trim());
+    const isBoldLine = textItems.length > 0 && textItems.every(item => item.bold && !item.monospace);
+    if (size === fontSizeLevels.bodySize && isBoldLine && text.length <= 80 && !/[.。:：,，;；]$/.test(text)) {
+      return fontSizeLevels.boldLevel;
+    }
+
+    return 0;
+  }
+
+  /**
+   * 将书签条目匹配到页面的行（折行的标题匹配连续多行）
+   * @param {Array} lines - 页面的行
+   * @param {Array} entries - 该页的书签 [{ title, level, y }]，y 为书签目标位置（自上而下，可能为 null）
+   * @returns {Object} { matches: Map(行 -> 书签), unmatched: 未匹配的书签 }
+   */
+  matchOutline(lines, entries) {
+    const matches = new Map();
+    const unmatched = [];
+
+    for (const entry of entries) {
+      const title = this.normalizeTitle(entry.title);
+      if (!title) continue;
+
+      let best = null;
+      lines.forEach((line, index) => {
+        if (matches.has(line)) return;
+
+        const matchedLines = this.matchTitleLines(lines, index, entry.title, matches);
+        if (!matchedLines) return;
+
+        const distance = entry.y === null || entry.y === undefined ? index : Math.abs(line.y - entry.y);
+        if (!best || distance < best.distance) best = { lines: matchedLines, distance };
+      });
+
+      if (best) {
+        best.lines.forEach(line => matches.set(line, entry));
+      } else {
+        unmatched.push(entry);
+      }
+    }
+
+    return { matches, unmatched };
+  }
+
+  /**
+   * 从 start 行开始匹配标题，返回组成标题的连续行
+   * @param {Array} lines - 页面的行
+   * @param {number} start - 起始行索引
+   * @param {string} entryTitle - 书签标题
+   * @param {Map} matches - 已匹配的行
+   * @returns {Array|null} 匹配的行
+   */
+  matchTitleLines(lines, start, entryTitle, matches) {
+    const title = this.normalizeTitle(entryTitle);
+    const first = this.normalizeTitle(lines[start].text);
+    if (!first) return null;
+
+    // 整行等于标题（忽略任一方的章节编号）
+    const bareTitle = this.normalizeTitle(this.stripNumbering(entryTitle));
+    const bareLine = this.normalizeTitle(this.stripNumbering(lines[start].text));
+    if (first === title || bareLine === title || first === bareTitle || (bareLine && bareLine === bareTitle)) {
+      return [lines[start]];
+    }
+    if (!title.startsWith(first)) return null;
+
+    // 标题折行：后续行拼接后仍是标题前缀
+    const matched = [lines[start]];
+    let text = first;
+    for (let i = start + 1; i < lines.length && text.length < title.length; i++) {
+      const next = this.normalizeTitle(lines[i].text);
+      if (!next || matches.has(lines[i]) || !title.startsWith(text + next)) break;
+      text += next;
+      matched.push(lines[i]);
+    }
+
+    return text === title ? matched : null;
+  }
+
+  /**
+   * 去掉标题开头的章节编号，如 "1.2 "、"IV. "、"A. "、"第三章 "
+   */
+  stripNumbering(text) {
+    return String(text || '').replace(/^\s*(\d+(\.\d+)*\.?|[IVXLC]+\.|[A-Z]\.|第[一二三四五六七八九十百\d]+[章节部分篇])\s+/, '');
+  }
+
+  /**
+   * 规范化标题文本（忽略大小写、空白和标点）
+   */
+  normalizeTitle(text) {
+    return String(text || '').toLowerCase().replace(/[\s\p{P}]/gu, '');
+  }
+
+  /**
+   * 字号取 0.5pt 精度
+   */
+  roundSize(fontSize) {
+    return Math.round((fontSize || 0) * 2) / 2;
+  }
+}
+
+// 导出模块
+window.PdfHeadingDetector = PdfHeadingDetector;
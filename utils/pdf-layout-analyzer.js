@@ -0,0 +1,228 @@
+/**
+ * PDF 版面分析器
+ * 通过 x 方向的空白间隙（栏间距）识别多栏版面，把按 y 坐标排列的行重排为逐栏阅读顺序
+ */
+
+class PdfLayoutAnalyzer {
+  /**
+   * @param {Object} options - 分析参数
+   * @param {number} options.minGutterRatio - 最小栏间距（相对字号）
+   * @param {number} options.edgeRatio - 栏间距距文本左右边界的最小距离（相对文本宽度）
+   * @param {number} options.maxCrossingRatio - 跨越栏间距的行（如通栏标题）最多占比
+   * @param {number} options.minColumnLines - 每栏最少行数
+   * @param {number} options.minColumnChars - 每栏平均每行最少字符数（用于排除表格列）
+   */
+  constructor(options = {}) {
+    this.minGutterRatio = options.minGutterRatio || 1.0;
+    this.edgeRatio = options.edgeRatio || 0.2;
+    this.maxCrossingRatio = options.maxCrossingRatio || 0.5;
+    this.minColumnLines = options.minColumnLines || 3;
+    this.minColumnChars = options.minColumnChars || 15;
+  }
+
+  /**
+   * 将行重排为阅读顺序：通栏行保持原位，其间的多栏区域先左栏后右栏（各栏递归处理，支持三栏及以上）
+   * @param {Array} lines - 按 y 坐标排序的行 [{ y, items, text, fontSize }]
+   * @param {Function} groupLines - 把文本项重新分组为行的函数（见 PdfConverter.groupTextIntoLines）
+   * @returns {Array} 阅读顺序的行
+   */
+  orderLines(lines, groupLines) {
+    const gutter = this.findGutter(lines);
+    if (!gutter) return lines;
+
+    const ordered = [];
+    let run = [];
+
+    const flush = () => {
+      if (run.length === 0) return;
+
+      const columns = this.splitRun(run, gutter);
+      if (columns) {
+        ordered.push(...this.orderLines(groupLines(columns.left), groupLines));
+        ordered.push(...this.orderLines(groupLines(columns.right), groupLines));
+      } else {
+        ordered.push(...run);
+      }
+      run = [];
+    };
+
+    for (const line of lines) {
+      if (this.crossesGutter(line, gutter)) {
+        flush();
+        ordered.push(line);
+      } else {
+        run.push(line);
+      }
+    }
+    flush();
+
+    return ordered;
+  }
+
+  /**
+   * 查找栏间距：文本中部区域内，跨越的行数不超过 maxCrossingRatio 的空白带中跨越行数最少的部分
+   * （通栏标题、表格等会跨越栏间距，只要此类行占少数即可）
+   * @param {Array} lines - 行数组
+   * @returns {Object|null} 栏间距 { x0, x1 }
+   */
+  findGutter(lines) {
+    const items = lines.flatMap(line => this.getTextItems(line));
+    if (lines.length < this.minColumnLines * 2 || items.length === 0) return null;
+
+    const minX = Math.min(...items.map(item => item.x));
+    const maxX = Math.max(...items.map(item => item.x + item.width));
+    const zoneStart = minX + (maxX - minX) * this.edgeRatio;
+    const zoneEnd = maxX - (maxX - minX) * this.edgeRatio;
+
+    // 统计每个 x 区间被多少行覆盖
+    const events = [];
+    for (const line of lines) {
+      for (const interval of this.getLineIntervals(line)) {
+        events.push({ x: interval.x0, delta: 1 }, { x: interval.x1, delta: -1 });
+      }
+    }
+    events.push({ x: zoneStart, delta: 0 }, { x: zoneEnd, delta: 0 });
+    events.sort((a, b) => a.x - b.x || a.delta - b.delta);
+
+    // 合并相邻的低覆盖区间
+    const maxCoverage = lines.length * this.maxCrossingRatio;
+    const regions = [];
+    let coverage = 0;
+    let current = null;
+    for (let i = 0; i < events.length - 1; i++) {
+      coverage += events[i].delta;
+      const x0 = Math.max(events[i].x, zoneStart);
+      const x1 = Math.min(events[i + 1].x, zoneEnd);
+      if (x1 <= x0) continue;
+
+      if (coverage <= maxCoverage) {
+        if (current && current.x1 >= x0) {
+          current.x1 = x1;
+          current.minCoverage = Math.min(current.minCoverage, coverage);
+          current.spans.push({ x0, x1, coverage });
+        } else {
+          current = { x0, x1, minCoverage: coverage, spans: [{ x0, x1, coverage }] };
+          regions.push(current);
+        }
+      } else {
+        current = null;
+      }
+    }
+
+    const minWidth = this.getMedianFontSize(items) * this.minGutterRatio;
+    const candidates = regions
+      .filter(region => region.x1 - region.x0 >= minWidth)
+      .sort((a, b) => a.minCoverage - b.minCoverage || (b.x1 - b.x0) - (a.x1 - a.x0));
+
+    return candidates.length > 0 ? this.getGutterCore(candidates[0]) : null;
+  }
+
+  /**
+   * 取空白带中跨越行数最少的最宽连续部分作为栏间距
+   * （栏内行尾参差时空白带会延伸进栏内，只用核心部分判断跨栏，避免误把栏内的行当作通栏行）
+   * @param {Object} region - 空白带 { x0, x1, minCoverage, spans }
+   * @returns {Object} 栏间距 { x0, x1 }
+   */
+  getGutterCore(region) {
+    let best = null;
+    let current = null;
+
+    for (const span of region.spans) {
+      if (span.coverage === region.minCoverage) {
+        current = current && current.x1 >= span.x0 ? { x0: current.x0, x1: span.x1 } : { x0: span.x0, x1: span.x1 };
+        if (!best || current.x1 - current.x0 > best.x1 - best.x0) best = current;
+      } else {
+        current = null;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * 把连续的非通栏行按栏间距拆分为左右两栏，不满足多栏条件时返回 null
+   * @param {Array} run - 连续的行
+   * @param {Object} gutter - 栏间距
+   * @returns {Object|null} { left, right } 两栏的文本项
+   */
+  splitRun(run, gutter) {
+    const center = (gutter.x0 + gutter.x1) / 2;
+    const left = [];
+    const right = [];
+    const leftLines = [];
+    const rightLines = [];
+
+    for (const line of run) {
+      const lineLeft = line.items.filter(item => item.x + item.width / 2 < center);
+      const lineRight = line.items.filter(item => item.x + item.width / 2 >= center);
+      left.push(...lineLeft);
+      right.push(...lineRight);
+      if (lineLeft.some(item => item.text.trim())) leftLines.push(lineLeft);
+      if (lineRight.some(item => item.text.trim())) rightLines.push(lineRight);
+    }
+
+    if (!this.isTextColumn(leftLines) || !this.isTextColumn(rightLines)) return null;
+    return { left, right };
+  }
+
+  /**
+   * 判断是否为正文栏（行数足够且平均每行字符数足够，避免把表格的列当作分栏）
+   * @param {Array} columnLines - 栏内每行的文本项
+   */
+  isTextColumn(columnLines) {
+    if (columnLines.length < this.minColumnLines) return false;
+
+    const chars = columnLines.reduce((sum, items) => {
+      return sum + items.map(item => item.text).join('').trim().length;
+    }, 0);
+    return chars / columnLines.length >= this.minColumnChars;
+  }
+
+  /**
+   * 判断行是否跨越栏间距（留少量容差，避免文本恰好贴着栏边时被误判）
+   */
+  crossesGutter(line, gutter) {
+    const tolerance = Math.min(1, (gutter.x1 - gutter.x0) / 4);
+    return this.getTextItems(line).some(item => {
+      return item.x < gutter.x1 - tolerance && item.x + item.width > gutter.x0 + tolerance;
+    });
+  }
+
+  /**
+   * 获取行内合并后的文本覆盖区间
+   */
+  getLineIntervals(line) {
+    const intervals = this.getTextItems(line)
+      .map(item => ({ x0: item.x, x1: item.x + item.width }))
+      .sort((a, b) => a.x0 - b.x0);
+
+    const merged = [];
+    for (const interval of intervals) {
+      const last = merged[merged.length - 1];
+      if (last && interval.x0 <= last.x1) {
+        last.x1 = Math.max(last.x1, interval.x1);
+      } else {
+        merged.push({ ...interval });
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * 获取行内非空白的文本项
+   */
+  getTextItems(line) {
+    return line.items.filter(item => item.text && item.text.trim() && item.width > 0);
+  }
+
+  /**
+   * 获取字号中位数
+   */
+  getMedianFontSize(items) {
+    const sizes = items.map(item => item.fontSize).filter(size => size > 0).sort((a, b) => a - b);
+    return sizes.length > 0 ? sizes[Math.floor(sizes.length / 2)] : 10;
+  }
+}
+
+// 导出模块
+window.PdfLayoutAnalyzer = PdfLayoutAnalyzer;
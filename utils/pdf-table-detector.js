@@ -0,0 +1,266 @@
+/**
+ * PDF 表格检测器
+ * 根据 pdf.js 文本项的 x 坐标，在连续多行之间对齐列，重建表格并输出 GFM 表格
+ */
+
+class PdfTableDetector {
+  /**
+   * @param {Object} options - 检测参数
+   * @param {number} options.cellGapRatio - 单元格间距阈值（相对字号），大于该间距的文本项视为不同单元格
+   * @param {number} options.rowGapRatio - 表格行距上限（相对字号）
+   * @param {number} options.minRows - 最少行数（含表头）
+   * @param {number} options.minColumns - 最少列数
+   */
+  constructor(options = {}) {
+    this.cellGapRatio = options.cellGapRatio || 1.0;
+    this.rowGapRatio = options.rowGapRatio || 2.5;
+    this.minRows = options.minRows || 2;
+    this.minColumns = options.minColumns || 2;
+  }
+
+  /**
+   * 检测行数组中的表格区域
+   * @param {Array} lines - 行数组 [{ y, items, text, fontSize }]（见 PdfConverter.groupTextIntoLines）
+   * @returns {Array} 表格 [{ startIndex, endIndex, rows, alignments }]，endIndex 为最后一行的索引
+   */
+  detectTables(lines) {
+    const segmented = lines.map(line => this.splitIntoSegments(line));
+    const tables = [];
+
+    let index = 0;
+    while (index < lines.length) {
+      if (segmented[index].length < this.minColumns) {
+        index++;
+        continue;
+      }
+
+      const end = this.findRunEnd(lines, segmented, index);
+      const table = this.buildTable(segmented.slice(index, end + 1));
+
+      if (table) {
+        tables.push({ startIndex: index, endIndex: index + table.lineCount - 1, rows: table.rows, alignments: table.alignments });
+        index += table.lineCount;
+      } else {
+        index++;
+      }
+    }
+
+    return tables;
+  }
+
+  /**
+   * 查找从 start 开始的连续候选表格行（单片段行仅在夹在多片段行之间或缩进到首列之后时计入，视为单元格内换行）
+   * @returns {number} 最后一行的索引
+   */
+  findRunEnd(lines, segmented, start) {
+    let end = start;
+
+    while (end + 1 < lines.length && this.isRowSpacing(lines[end], lines[end + 1])) {
+      const next = segmented[end + 1];
+      if (next.length === 0) break;
+
+      if (next.length < this.minColumns) {
+        const hasFollowingRow = end + 2 < lines.length &&
+          segmented[end + 2].length >= this.minColumns &&
+          this.isRowSpacing(lines[end + 1], lines[end + 2]);
+        // 表格末行的单元格换行：起点位于首列右侧
+        const isIndented = next[0].x0 > segmented[start][0].x1;
+        if (!hasFollowingRow && !isIndented) break;
+      }
+
+      end++;
+    }
+
+    return end;
+  }
+
+  /**
+   * 由候选行构建表格，列不对齐（如字间距较宽的正文）时返回 null
+   * @param {Array} rowsSegments - 每行的片段数组
+   * @returns {Object|null} { rows, alignments, lineCount }
+   */
+  buildTable(rowsSegments) {
+    const multiRows = rowsSegments.filter(segments => segments.length >= this.minColumns);
+    if (multiRows.length < this.minRows) return null;
+
+    const columns = this.findColumns(multiRows);
+    if (columns.length < this.minColumns) return null;
+
+    const rows = [];
+    let lineCount = 0;
+
+    for (const segments of rowsSegments) {
+      const cells = this.assignToColumns(segments, columns);
+
+      // 同一行的两个片段落入同一列，说明列间隙并不一致
+      if (!cells) break;
+
+      const isContinuation = rows.length > 0 && !cells[0] && segments.length < columns.length;
+      if (isContinuation) {
+        // 首列为空的行视为上一行单元格内的换行
+        const previous = rows[rows.length - 1];
+        cells.forEach((cell, i) => {
+          if (cell) previous[i] = previous[i] ? `${previous[i]} ${cell}` : cell;
+        });
+      } else if (segments.length < this.minColumns) {
+        break;
+      } else {
+        rows.push(cells);
+      }
+
+      lineCount++;
+    }
+
+    if (rows.length < this.minRows) return null;
+
+    return {
+      rows,
+      alignments: this.detectAlignments(rows),
+      lineCount
+    };
+  }
+
+  /**
+   * 将一行中的文本项按间距切分为单元格片段
+   * @param {Object} line - 行
+   * @returns {Array} 片段 [{ x0, x1, text }]
+   */
+  splitIntoSegments(line) {
+    const items = line.items
+      .filter(item => item.text && item.text.trim())
+      .sort((a, b) => a.x - b.x);
+    const segments = [];
+
+    for (const item of items) {
+      const fontSize = item.fontSize || line.fontSize || 10;
+      const last = segments[segments.length - 1];
+      const gap = last ? item.x - last.x1 : Infinity;
+
+      if (last && gap <= fontSize * this.cellGapRatio) {
+        // 间距超过约一个空格宽度时补空格
+        last.text += (gap > fontSize * 0.15 && !/\s$/.test(last.text) ? ' ' : '') + item.text;
+        last.x1 = Math.max(last.x1, item.x + item.width);
+      } else {
+        segments.push({ x0: item.x, x1: item.x + item.width, text: item.text });
+      }
+    }
+
+    segments.forEach(segment => {
+      segment.text = segment.text.replace(/\s+/g, ' ').trim();
+    });
+    return segments;
+  }
+
+  /**
+   * 合并各行片段在 x 轴上的投影区间，得到列边界
+   * @param {Array} rowsSegments - 每行的片段数组
+   * @returns {Array} 列 [{ x0, x1 }]
+   */
+  findColumns(rowsSegments) {
+    const intervals = rowsSegments
+      .flat()
+      .map(segment => ({ x0: segment.x0, x1: segment.x1 }))
+      .sort((a, b) => a.x0 - b.x0);
+
+    const columns = [];
+    for (const interval of intervals) {
+      const last = columns[columns.length - 1];
+      if (last && interval.x0 <= last.x1) {
+        last.x1 = Math.max(last.x1, interval.x1);
+      } else {
+        columns.push({ ...interval });
+      }
+    }
+
+    return columns;
+  }
+
+  /**
+   * 把片段放入所在的列
+   * @returns {Array|null} 单元格文本数组，同一列出现多个片段时返回 null
+   */
+  assignToColumns(segments, columns) {
+    const cells = columns.map(() => '');
+
+    for (const segment of segments) {
+      const column = columns.findIndex(col => segment.x0 >= col.x0 && segment.x1 <= col.x1);
+      if (column === -1 || cells[column]) return null;
+      cells[column] = segment.text;
+    }
+
+    return cells;
+  }
+
+  /**
+   * 检测列对齐方式（表体全部为数字的列右对齐）
+   * @param {Array} rows - 表格行（首行为表头）
+   * @returns {Array} 对齐方式 'left' | 'right'
+   */
+  detectAlignments(rows) {
+    const body = rows.slice(1);
+    const numberPattern = /^[-+(]?[¥$€£]?\d[\d,]*(\.\d+)?%?\)?$/;
+
+    return rows[0].map((_, column) => {
+      const values = body.map(row => row[column]).filter(Boolean);
+      return values.length > 0 && values.every(value => numberPattern.test(value)) ? 'right' : 'left';
+    });
+  }
+
+  /**
+   * 判断两行间距是否在表格行距范围内（多栏重排后下一行可能回到页面上方）
+   */
+  isRowSpacing(line, nextLine) {
+    const fontSize = Math.max(line.fontSize, nextLine.fontSize) || 10;
+    const gap = nextLine.y - line.y;
+    return gap > 0 && gap <= fontSize * this.rowGapRatio;
+  }
+
+  /**
+   * 将表格转换为列宽对齐的 GFM 表格
+   * @param {Object} table - 表格 { rows, alignments }
+   * @returns {string} Markdown 表格
+   */
+  toMarkdown(table) {
+    const rows = table.rows.map(row => row.map(cell => cell.replace(/\|/g, '\\|')));
+    const widths = rows[0].map((_, column) => {
+      return Math.max(3, ...rows.map(row => this.getDisplayWidth(row[column])));
+    });
+
+    const formatRow = (row) => {
+      const cells = row.map((cell, column) => this.padCell(cell, widths[column], table.alignments[column]));
+      return `| ${cells.join(' | ')} |`;
+    };
+
+    const separator = widths.map((width, column) => {
+      return table.alignments[column] === 'right' ? `${'-'.repeat(width - 1)}:` : '-'.repeat(width);
+    });
+
+    return [
+      formatRow(rows[0]),
+      `| ${separator.join(' | ')} |`,
+      ...rows.slice(1).map(formatRow)
+    ].join('\n');
+  }
+
+  /**
+   * 按对齐方式填充单元格
+   */
+  padCell(text, width, alignment) {
+    const padding = ' '.repeat(Math.max(0, width - this.getDisplayWidth(text)));
+    return alignment === 'right' ? padding + text : text + padding;
+  }
+
+  /**
+   * 计算显示宽度（中日韩等全角字符按 2 计）
+   */
+  getDisplayWidth(text) {
+    let width = 0;
+    for (const char of text) {
+      width += /[\u1100-\u115F\u2E80-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6]/.test(char) ? 2 : 1;
+    }
+    return width;
+  }
+}
+
+// 导出模块
+window.PdfTableDetector = PdfTableDetector;
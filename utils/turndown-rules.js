@@ -0,0 +1,325 @@
+/**
+ * Turndown 转换规则
+ * 为 HTML -> Markdown 转换提供可复用的自定义规则
+ */
+
+const TurndownRules = {
+  /**
+   * 获取 Turndown 构造函数（兼容 CDN 与备用库的导出方式）
+   * @returns {Function|undefined} TurndownService 构造函数
+   */
+  getTurndownConstructor() {
+    return (
+      window.TurndownService ||
+      (window.Turndown && window.Turndown.TurndownService) ||
+      (window.turndown && window.turndown.TurndownService)
+    );
+  },
+
+  /**
+   * 创建配置好规则的 TurndownService（Word、HTML、RTF、ODT 转换共用）
+   * 表格由 addTableRule 按 DOM 重建为 GFM 管道表格
+   * @param {Object} options - 选项
+   * @param {string} options.commentMode - Word 批注处理方式（见 addCommentRules）
+   * @returns {Object} TurndownService 实例
+   */
+  createTurndownService(options = {}) {
+    const TurndownCtor = this.getTurndownConstructor();
+    if (!TurndownCtor) {
+      throw new Error('未检测到 TurndownService，请检查库加载状态');
+    }
+
+    const turndownService = new TurndownCtor({
+      headingStyle: 'atx',
+      hr: '* * *',
+      codeBlockStyle: 'fenced',
+      emDelimiter: '_',
+      bulletListMarker: '-',
+      strongDelimiter: '**',
+    });
+
+    this.addTableRule(turndownService);
+    this.addAdmonitionRule(turndownService);
+    this.addFootnoteRules(turndownService);
+    this.addCommentRules(turndownService, options.commentMode);
+    turndownService.addRule('nbsp', {
+      filter: function (node) {
+        return node.nodeType === 3 && /\u00A0/.test(node.nodeValue);
+      },
+      replacement: function (content) {
+        return content.replace(/\u00A0/g, ' ');
+      },
+    });
+
+    return turndownService;
+  },
+
+  /**
+   * 添加 GFM 管道表格规则
+   * 含合并单元格或嵌套表格时回退为原始 HTML
+   * @param {Object} turndownService - TurndownService 实例
+   */
+  addTableRule(turndownService) {
+    turndownService.addRule('gfmTable', {
+      filter: 'table',
+      replacement: (content, node) => {
+        if (this.hasComplexCells(node)) {
+          return `\n\n${this.cleanTableHtml(node)}\n\n`;
+        }
+
+        const tableRows = this.getTableRows(node);
+        const rows = tableRows.map(row =>
+          Array.from(row.cells).map(cell => this.convertTableCell(turndownService, cell))
+        );
+        if (rows.length === 0) return '';
+
+        // 未检测到表头时使用空表头，避免把数据行误当作表头
+        const columnCount = Math.max(...rows.map(row => row.length));
+        const headerRow = this.isHeaderRow(tableRows[0]) ? rows.shift() : [];
+
+        const lines = [
+          this.formatTableRow(headerRow, columnCount),
+          this.formatTableRow(new Array(columnCount).fill('---'), columnCount),
+          ...rows.map(row => this.formatTableRow(row, columnCount))
+        ];
+
+        return `\n\n${lines.join('\n')}\n\n`;
+      }
+    });
+  },
+
+  /**
+   * 添加提示块规则，将 blockquote.admonition-* 转换为 GFM 提示语法（> [!NOTE]）
+   * @param {Object} turndownService - TurndownService 实例
+   */
+  addAdmonitionRule(turndownService) {
+    turndownService.addRule('admonition', {
+      filter: (node) => node.nodeName === 'BLOCKQUOTE' && /\badmonition-\w+/.test(node.className || ''),
+      replacement: (content, node) => {
+        const type = /\badmonition-(\w+)/.exec(node.className)[1].toUpperCase();
+        const body = content.trim().replace(/^/gm, '> ').replace(/^> $/gm, '>');
+        return `\n\n> [!${type}]\n${body}\n\n`;
+      }
+    });
+  },
+
+  /**
+   * 添加脚注/尾注规则，将 Mammoth 输出的脚注锚点与列表转换为 Markdown 脚注语法
+   * 脚注使用 [^1]，尾注使用 [^e1]，避免编号冲突
+   * @param {Object} turndownService - TurndownService 实例
+   */
+  addFootnoteRules(turndownService) {
+    turndownService.addRule('footnoteReference', {
+      filter: (node) => node.nodeName === 'SUP' && !!this.getNoteReferenceLink(node),
+      replacement: (content, node) => {
+        const href = this.getNoteReferenceLink(node).getAttribute('href').slice(1);
+        return `[^${this.getNoteLabel(href)}]`;
+      }
+    });
+
+    turndownService.addRule('footnoteBacklink', {
+      filter: (node) => node.nodeName === 'A' && /^#(footnote|endnote)-ref-/.test(node.getAttribute('href') || ''),
+      replacement: () => ''
+    });
+
+    turndownService.addRule('footnoteDefinitions', {
+      filter: (node) => {
+        if (node.nodeName !== 'OL') return false;
+        const items = Array.from(node.children);
+        return items.length > 0 && items.every(li => li.nodeName === 'LI' && this.isNoteId(li.id));
+      },
+      replacement: (content, node) => {
+        const definitions = Array.from(node.children).map(li => {
+          const body = turndownService.turndown(li.innerHTML)
+            .trim()
+            .replace(/\n(?=.)/g, '\n    ');
+          return `[^${this.getNoteLabel(li.id)}]: ${body}`;
+        });
+        return `\n\n${definitions.join('\n\n')}\n\n`;
+      }
+    });
+  },
+
+  /**
+   * 添加批注规则，处理 Mammoth 输出的批注引用（sup > a#comment-ref-N）与批注列表（dl）
+   * @param {Object} turndownService - TurndownService 实例
+   * @param {string} mode - 'footnote' 转为 [^cN] 脚注，'html' 转为行内 HTML 注释，其他值不处理
+   */
+  addCommentRules(turndownService, mode) {
+    if (mode !== 'footnote' && mode !== 'html') return;
+
+    turndownService.addRule('commentReference', {
+      filter: (node) => node.nodeName === 'SUP' && !!this.getCommentReferenceLink(node),
+      replacement: (content, node) => {
+        const id = this.getCommentReferenceLink(node).getAttribute('href').slice(1);
+        if (mode === 'footnote') {
+          return `[^c${id.replace(/^comment-/, '')}]`;
+        }
+
+        const definition = node.ownerDocument.getElementById(id);
+        const body = definition && definition.nextElementSibling
+          ? turndownService.turndown(definition.nextElementSibling.innerHTML).trim()
+          : '';
+        // HTML 注释中不能出现 --
+        return `<!-- 批注 ${this.getCommentTitle(definition)}: ${body.replace(/\s*\n+\s*/g, ' ').replace(/--/g, '- -')} -->`;
+      }
+    });
+
+    turndownService.addRule('commentBacklink', {
+      filter: (node) => node.nodeName === 'A' && /^#comment-ref-/.test(node.getAttribute('href') || ''),
+      replacement: () => ''
+    });
+
+    turndownService.addRule('commentDefinitions', {
+      filter: (node) => {
+        if (node.nodeName !== 'DL') return false;
+        const terms = Array.from(node.children).filter(child => child.nodeName === 'DT');
+        return terms.length > 0 && terms.every(dt => /^comment-\d+$/.test(dt.id));
+      },
+      replacement: (content, node) => {
+        if (mode === 'html') return '';
+
+        const definitions = Array.from(node.children)
+          .filter(child => child.nodeName === 'DT')
+          .map(dt => {
+            const dd = dt.nextElementSibling;
+            const body = dd ? turndownService.turndown(dd.innerHTML).trim().replace(/\n(?=.)/g, '\n    ') : '';
+            return `[^c${dt.id.replace(/^comment-/, '')}]: **${this.getCommentTitle(dt)}** ${body}`;
+          });
+        return `\n\n${definitions.join('\n\n')}\n\n`;
+      }
+    });
+  },
+
+  /**
+   * 获取批注引用链接（<sup><a href="#comment-0">[1]</a></sup>）
+   * @param {HTMLElement} sup - sup 元素
+   * @returns {HTMLAnchorElement|null} 引用链接
+   */
+  getCommentReferenceLink(sup) {
+    const link = sup.querySelector('a[href]');
+    if (!link || sup.textContent.trim() !== link.textContent.trim()) return null;
+    return /^#comment-\d+$/.test(link.getAttribute('href')) ? link : null;
+  },
+
+  /**
+   * 获取批注标题（Mammoth 生成的 "Comment [1]" 中的方括号部分）
+   * @param {HTMLElement|null} dt - 批注标题元素
+   * @returns {string} 标题
+   */
+  getCommentTitle(dt) {
+    const match = dt ? /\[[^\]]*\]/.exec(dt.textContent) : null;
+    return match ? match[0] : '';
+  },
+
+  /**
+   * 获取脚注引用链接（<sup><a href="#footnote-1">[1]</a></sup>）
+   * @param {HTMLElement} sup - sup 元素
+   * @returns {HTMLAnchorElement|null} 引用链接
+   */
+  getNoteReferenceLink(sup) {
+    const link = sup.querySelector('a[href]');
+    if (!link || sup.textContent.trim() !== link.textContent.trim()) return null;
+    return this.isNoteId(link.getAttribute('href').slice(1)) ? link : null;
+  },
+
+  /**
+   * 判断是否为脚注/尾注 ID（footnote-1、endnote-2）
+   * @param {string} id - 元素 ID
+   */
+  isNoteId(id) {
+    return /^(footnote|endnote)-[^-]+$/.test(id || '');
+  },
+
+  /**
+   * 根据脚注 ID 生成 Markdown 脚注标签
+   * @param {string} id - 脚注 ID
+   * @returns {string} 标签
+   */
+  getNoteLabel(id) {
+    const [, kind, number] = /^(footnote|endnote)-(.+)$/.exec(id);
+    return kind === 'endnote' ? `e${number}` : number;
+  },
+
+  /**
+   * 获取表格自身的行（不包含嵌套表格的行）
+   * @param {HTMLTableElement} table - 表格元素
+   * @returns {Array} 行元素数组
+   */
+  getTableRows(table) {
+    return Array.from(table.rows).filter(row => row.closest('table') === table);
+  },
+
+  /**
+   * 检查表格是否包含合并单元格或嵌套表格
+   * @param {HTMLTableElement} table - 表格元素
+   * @returns {boolean} 是否需要回退为 HTML
+   */
+  hasComplexCells(table) {
+    if (table.querySelector('table')) return true;
+
+    return this.getTableRows(table).some(row =>
+      Array.from(row.cells).some(cell => cell.colSpan > 1 || cell.rowSpan > 1)
+    );
+  },
+
+  /**
+   * 判断是否为表头行：位于 thead 中、全部为 th，或全部单元格内容加粗
+   * @param {HTMLTableRowElement} row - 行元素
+   * @returns {boolean} 是否为表头行
+   */
+  isHeaderRow(row) {
+    if (!row) return false;
+    if (row.parentNode && row.parentNode.nodeName === 'THEAD') return true;
+
+    const cells = Array.from(row.cells);
+    if (cells.length === 0) return false;
+    if (cells.every(cell => cell.nodeName === 'TH')) return true;
+
+    return cells.every(cell => {
+      const text = cell.textContent.trim();
+      if (!text) return false;
+      const boldText = Array.from(cell.querySelectorAll('strong, b'))
+        .map(el => el.textContent)
+        .join('')
+        .trim();
+      return boldText === text;
+    });
+  },
+
+  /**
+   * 转换单元格内容：转义管道符，换行转为 <br>
+   * @param {Object} turndownService - TurndownService 实例
+   * @param {HTMLTableCellElement} cell - 单元格元素
+   * @returns {string} 单元格 Markdown
+   */
+  convertTableCell(turndownService, cell) {
+    return turndownService.turndown(cell.innerHTML)
+      .trim()
+      .replace(/\|/g, '\\|')
+      .replace(/\n+/g, '<br>');
+  },
+
+  /**
+   * 格式化表格行，列数不足时补齐空单元格
+   * @param {Array} cells - 单元格内容
+   * @param {number} columnCount - 列数
+   * @returns {string} 表格行 Markdown
+   */
+  formatTableRow(cells, columnCount) {
+    const padded = cells.concat(new Array(columnCount - cells.length).fill(''));
+    return `| ${padded.join(' | ')} |`;
+  },
+
+  /**
+   * 生成去除多余空白的表格 HTML
+   * @param {HTMLTableElement} table - 表格元素
+   * @returns {string} 表格 HTML
+   */
+  cleanTableHtml(table) {
+    return table.outerHTML.replace(/>\s+</g, '><');
+  }
+};
+
+// 导出工具
+window.TurndownRules = TurndownRules;